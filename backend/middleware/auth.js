@@ -1,5 +1,25 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isVerificationRequired } = require('../utils/emailVerification');
+const { resolveWorkspace } = require('../utils/workspaces');
+
+// How often lastUsedAt is refreshed for an active session
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+
+// Routes an account with an unverified email may still use when
+// REQUIRE_EMAIL_VERIFICATION is enabled
+const UNVERIFIED_ALLOWED_ROUTES = [
+  /^\/api\/auth\//,
+  /^\/api\/users\/profile$/,
+  /^\/api\/users\/sessions(\/|$)/,
+  /^\/api\/users\/account$/
+];
+
+const isAllowedWhileUnverified = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return UNVERIFIED_ALLOWED_ROUTES.some(pattern => pattern.test(path));
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -10,6 +30,12 @@ const auth = async (req, res, next) => {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
     
     if (!user) {
@@ -19,8 +45,38 @@ const auth = async (req, res, next) => {
     if (!user.isActive) {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
+
+    // Revoking a session invalidates its access tokens immediately
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isActive) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+
+      if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+      }
+
+      req.sessionId = session._id;
+      req.impersonator = session.impersonatedBy;
+    }
+
+    if (isVerificationRequired() && !user.emailVerified && !isAllowedWhileUnverified(req)) {
+      return res.status(403).json({
+        message: 'Please verify your email address to continue',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
     
+    // Resolve the active workspace (X-Workspace-Id header or the user's default)
+    const workspace = await resolveWorkspace(user, req.header('X-Workspace-Id'));
+    if (!workspace) {
+      return res.status(403).json({ message: 'You are not a member of this workspace' });
+    }
+
     req.user = user;
+    req.workspace = workspace;
+    req.workspaceRole = workspace.getRole(user._id);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -42,5 +98,18 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth };
+// Account security stays with the account holder: an administrator acting
+// as a user can't change the user's email, password, 2FA or sessions, or
+// delete the account. Mount after auth.
+const rejectImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      message: 'This is not available while impersonating a user',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+  next();
+};
+
+module.exports = { auth, adminAuth, rejectImpersonation };
 
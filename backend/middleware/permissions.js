@@ -0,0 +1,19 @@
+const { hasPermission } = require('../utils/permissions');
+
+// Require every listed permission in the active workspace. Use after `auth`.
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.find(permission => !hasPermission(req, permission));
+
+    if (missing) {
+      return res.status(403).json({
+        message: 'You do not have permission to perform this action',
+        permission: missing
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { requirePermission };
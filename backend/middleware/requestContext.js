@@ -0,0 +1,13 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Make the current request reachable from code that has no access to it,
+// such as mongoose hooks. Mount after the body parsers.
+const requestContext = (req, res, next) => {
+  storage.run(req, next);
+};
+
+const getCurrentRequest = () => storage.getStore();
+
+module.exports = { requestContext, getCurrentRequest };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../utils/events');
+
+const activitySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: ['client', 'project', 'task', 'invoice'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Every record the event belongs to, so one event shows up on the
+  // timelines of e.g. the task, its project and the project's client
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Timelines are read newest first and paginated by _id
+activitySchema.index({ workspace: 1, _id: -1 });
+activitySchema.index({ workspace: 1, client: 1, _id: -1 });
+activitySchema.index({ workspace: 1, project: 1, _id: -1 });
+activitySchema.index({ workspace: 1, task: 1, _id: -1 });
+activitySchema.index({ workspace: 1, invoice: 1, _id: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const clientSchema = new mongoose.Schema({
   name: {
@@ -30,6 +31,22 @@ const clientSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // The client's tax registration number, e.g. for reverse-charge invoices
+  taxNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tax number cannot exceed 50 characters'],
+    default: ''
+  },
+  // Short code for the {CLIENT} token of invoice numbers, e.g. ACME
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Client code cannot exceed 10 characters'],
+    match: [/^[A-Z0-9]*$/, 'Client code can only contain letters and digits'],
+    default: ''
+  },
   address: {
     street: { type: String, default: '' },
     city: { type: String, default: '' },
@@ -84,12 +101,22 @@ const clientSchema = new mongoose.Schema({
     facebook: { type: String, default: '' },
     instagram: { type: String, default: '' }
   },
+  // Opt-out of automatic payment reminders for this client's invoices
+  paymentReminders: {
+    type: Boolean,
+    default: true
+  },
   lastContact: {
     type: Date
   },
   nextFollowUp: {
     type: Date
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -100,8 +127,8 @@ const clientSchema = new mongoose.Schema({
 });
 
 // Index for better query performance
-clientSchema.index({ user: 1, status: 1 });
-clientSchema.index({ user: 1, name: 1 });
+clientSchema.index({ workspace: 1, status: 1 });
+clientSchema.index({ workspace: 1, name: 1 });
 
 // Virtual for full address
 clientSchema.virtual('fullAddress').get(function() {
@@ -117,5 +144,7 @@ clientSchema.virtual('projectsCount', {
   count: true
 });
 
+clientSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Client', clientSchema);
 
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. the invoice numbers of a workspace in a given year
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment a counter and return its new value. The counter is
+// created on first use; when two requests create it at the same time the
+// loser of the upsert race retries and increments the winner's.
+counterSchema.statics.next = async function(key) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    if (error.code === 11000) return this.next(key);
+    throw error;
+  }
+};
+
+// Current value of a counter without incrementing it
+counterSchema.statics.peek = async function(key) {
+  const counter = await this.findOne({ key });
+  return counter ? counter.seq : 0;
+};
+
+counterSchema.statics.setValue = function(key, seq) {
+  return this.updateOne({ key }, { $set: { seq } }, { upsert: true });
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
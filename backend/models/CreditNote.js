@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { getBaseCurrency, snapshotRate, sumByCurrency } = require('../utils/exchangeRates');
+const { calculateTotals } = require('../utils/tax');
+const TaxProfile = require('./TaxProfile');
+
+// A credit note corrects an issued invoice by crediting back some or all of
+// its lines. Credit notes are never edited or deleted; a mistake is fixed
+// with another document, which keeps the books traceable.
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    trim: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Rate to the base currency on the day the credit note was issued
+  exchangeRate: {
+    base: String,
+    rate: Number,
+    date: Date
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  items: [{
+    _id: false,
+    // The invoice line being credited
+    invoiceItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, 'Rate cannot be negative']
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    taxes: [TaxProfile.appliedTaxSchema]
+  }],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  withholdingAmount: {
+    type: Number,
+    default: 0
+  },
+  taxSummary: [TaxProfile.appliedTaxSchema],
+  discountRate: {
+    type: Number,
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: [0.01, 'A credit note must credit something']
+  },
+  // How the credit was settled: first against what the client still owed
+  // on the invoice, the rest is money to pay back to the client
+  appliedToBalance: {
+    type: Number,
+    default: 0
+  },
+  refundDue: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ workspace: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ workspace: 1, invoice: 1 });
+creditNoteSchema.index({ workspace: 1, issueDate: -1 });
+
+// Snapshot the exchange rate in the issuer's base currency
+creditNoteSchema.pre('save', async function() {
+  if (!this.isNew) return;
+  const base = await getBaseCurrency(this.user);
+  this.exchangeRate = await snapshotRate(this.workspace, this.currency, base, this.issueDate);
+});
+
+// Build the lines and amounts of a credit note for `invoice`, crediting
+// `quantities` (invoice item id => quantity) at the invoice's rates, taxes
+// and discount, which mirrors how the invoice computed its own total.
+creditNoteSchema.statics.calculate = function(invoice, quantities) {
+  const items = invoice.items
+    .filter(item => quantities[item._id.toString()] > 0)
+    .map(item => ({
+      invoiceItem: item._id,
+      description: item.description,
+      quantity: quantities[item._id.toString()],
+      rate: item.rate,
+      taxes: item.taxes.map(tax => tax.toObject())
+    }));
+
+  const totals = calculateTotals(items, {
+    discountRate: invoice.discountRate,
+    taxRate: invoice.taxRate
+  });
+
+  return {
+    items,
+    ...totals,
+    taxRate: invoice.taxRate,
+    discountRate: invoice.discountRate
+  };
+};
+
+// Quantity of each line of an invoice credited so far, by invoice item id
+creditNoteSchema.statics.getCreditedQuantities = async function(invoiceId) {
+  const results = await this.aggregate([
+    { $match: { invoice: invoiceId } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.invoiceItem', quantity: { $sum: '$items.quantity' } } }
+  ]);
+
+  return Object.fromEntries(results.map(result => [result._id.toString(), result.quantity]));
+};
+
+// Money owed back to clients on the credit notes matching `match` per
+// currency (see sumByCurrency), optionally only those issued within
+// `from`..`to`. Credit notes of voided invoices don't count, as those
+// invoices are out of revenue altogether.
+creditNoteSchema.statics.sumRefunds = function(match, { from, to, base } = {}) {
+  const dateMatch = {};
+  if (from || to) {
+    dateMatch.issueDate = {};
+    if (from) dateMatch.issueDate.$gte = from;
+    if (to) dateMatch.issueDate.$lte = to;
+  }
+
+  return this.aggregate([
+    { $match: { ...match, ...dateMatch, refundDue: { $gt: 0 } } },
+    { $lookup: { from: 'invoices', localField: 'invoice', foreignField: '_id', as: 'source' } },
+    { $match: { 'source.status': { $ne: 'void' } } },
+    sumByCurrency('$refundDue', '$exchangeRate', base)
+  ]);
+};
+
+creditNoteSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
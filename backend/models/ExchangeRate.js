@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const currencyCode = {
+  type: String,
+  required: true,
+  uppercase: true,
+  trim: true,
+  match: [/^[A-Z]{3}$/, 'Currency must be a three letter code']
+};
+
+// Exchange rates of a workspace: on and after `date`, one unit of `from` is
+// worth `rate` units of `to`, until a later rate for the pair takes over
+const exchangeRateSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  from: currencyCode,
+  to: currencyCode,
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive']
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per pair and day; entering it again replaces it
+exchangeRateSchema.index({ workspace: 1, from: 1, to: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,10 +1,68 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+const { generateRandomToken } = require('../utils/tokens');
+const { roundMoney } = require('../utils/money');
+const { getBaseCurrency, snapshotRate, sumByCurrency } = require('../utils/exchangeRates');
+const { calculateTotals } = require('../utils/tax');
+const TaxProfile = require('./TaxProfile');
+
+const PAYMENT_METHODS = ['bank-transfer', 'paypal', 'stripe', 'check', 'cash', 'other'];
+
+const paymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [0.01, 'Payment amount must be positive']
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    default: 'bank-transfer'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+    default: ''
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Refunded payments stay in the ledger but no longer count as paid
+  refundedAt: Date,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  refundReason: {
+    type: String,
+    maxlength: [500, 'Refund reason cannot exceed 500 characters']
+  },
+  // Rate to the base currency on the day the payment was received
+  exchangeRate: {
+    base: String,
+    rate: Number,
+    date: Date
+  }
+}, {
+  timestamps: true
+});
 
 const invoiceSchema = new mongoose.Schema({
   invoiceNumber: {
     type: String,
     required: [true, 'Invoice number is required'],
-    unique: true,
     trim: true
   },
   client: {
@@ -12,6 +70,11 @@ const invoiceSchema = new mongoose.Schema({
     ref: 'Client',
     required: true
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -23,7 +86,7 @@ const invoiceSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'sent', 'viewed', 'paid', 'overdue', 'cancelled'],
+    enum: ['draft', 'sent', 'viewed', 'partially-paid', 'paid', 'overdue', 'cancelled', 'void'],
     default: 'draft'
   },
   issueDate: {
@@ -43,6 +106,12 @@ const invoiceSchema = new mongoose.Schema({
     default: 'USD',
     required: true
   },
+  // Rate to the base currency on the day the invoice was issued
+  exchangeRate: {
+    base: String,
+    rate: Number,
+    date: Date
+  },
   items: [{
     description: {
       type: String,
@@ -70,7 +139,9 @@ const invoiceSchema = new mongoose.Schema({
       type: String,
       enum: ['hourly', 'fixed', 'expense'],
       default: 'fixed'
-    }
+    },
+    // Taxes of the line; lines without any are taxed at the flat taxRate
+    taxes: [TaxProfile.appliedTaxSchema]
   }],
   subtotal: {
     type: Number,
@@ -84,11 +155,20 @@ const invoiceSchema = new mongoose.Schema({
     max: [100, 'Tax rate cannot exceed 100%'],
     default: 0
   },
+  // All tax charged, inclusive taxes too
   taxAmount: {
     type: Number,
     min: [0, 'Tax amount cannot be negative'],
     default: 0
   },
+  // Tax the client withholds and pays to the tax office instead
+  withholdingAmount: {
+    type: Number,
+    min: [0, 'Withholding amount cannot be negative'],
+    default: 0
+  },
+  // Base and amount per tax over all lines
+  taxSummary: [TaxProfile.appliedTaxSchema],
   discountRate: {
     type: Number,
     min: [0, 'Discount rate cannot be negative'],
@@ -118,7 +198,7 @@ const invoiceSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['bank-transfer', 'paypal', 'stripe', 'check', 'cash', 'other'],
+    enum: PAYMENT_METHODS,
     default: 'bank-transfer'
   },
   paymentDetails: {
@@ -126,6 +206,32 @@ const invoiceSchema = new mongoose.Schema({
     maxlength: [500, 'Payment details cannot exceed 500 characters'],
     default: ''
   },
+  payments: [paymentSchema],
+  // Derived from payments on save
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the credit notes issued against this invoice
+  creditedAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Voided invoices keep their number and record but count for nothing
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    maxlength: [500, 'Void reason cannot exceed 500 characters']
+  },
   attachments: [{
     name: String,
     url: String,
@@ -137,18 +243,42 @@ const invoiceSchema = new mongoose.Schema({
     }
   }],
   emailHistory: [{
+    type: {
+      type: String,
+      enum: ['invoice', 'reminder'],
+      default: 'invoice'
+    },
     sentAt: {
       type: Date,
       default: Date.now
     },
     sentTo: String,
+    cc: [String],
+    bcc: [String],
     subject: String,
     status: {
       type: String,
       enum: ['sent', 'delivered', 'opened', 'failed'],
       default: 'sent'
-    }
+    },
+    messageId: String,
+    error: String
   }],
+  // Public read-only link. The token is the only credential for the link,
+  // so it is never returned unless explicitly selected.
+  shareToken: {
+    type: String,
+    select: false
+  },
+  sharedAt: Date,
+  firstViewedAt: Date,
+  lastViewedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // Reminder steps (offsetDays) already sent for the current due date
+  remindersSent: [Number],
   isRecurring: {
     type: Boolean,
     default: false
@@ -156,28 +286,52 @@ const invoiceSchema = new mongoose.Schema({
   recurringSettings: {
     frequency: {
       type: String,
-      enum: ['weekly', 'monthly', 'quarterly', 'yearly']
+      enum: ['weekly', 'monthly', 'quarterly', 'yearly'],
+      required: [function() { return this.isRecurring; }, 'Frequency is required for recurring invoices']
     },
     interval: {
       type: Number,
+      min: [1, 'Interval must be at least 1'],
       default: 1
     },
     endDate: Date,
-    nextInvoiceDate: Date
-  }
+    nextInvoiceDate: Date,
+    // Email each generated invoice to the client right away
+    autoSend: {
+      type: Boolean,
+      default: false
+    },
+    lastGeneratedAt: Date
+  },
+  // Set on invoices generated from a recurring invoice: the template and
+  // the period (its nextInvoiceDate at the time) they were generated for
+  recurringSource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  recurringPeriod: Date
 }, {
   timestamps: true
 });
 
 // Indexes for better query performance
-invoiceSchema.index({ user: 1, status: 1 });
-invoiceSchema.index({ user: 1, client: 1 });
-invoiceSchema.index({ user: 1, dueDate: 1 });
-invoiceSchema.index({ invoiceNumber: 1 });
+invoiceSchema.index({ workspace: 1, status: 1 });
+invoiceSchema.index({ workspace: 1, client: 1 });
+invoiceSchema.index({ workspace: 1, dueDate: 1 });
+// Invoice numbers are unique per workspace, not across workspaces
+invoiceSchema.index({ workspace: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ isRecurring: 1, 'recurringSettings.nextInvoiceDate': 1 });
+// One generated invoice per template and period, however many servers run
+invoiceSchema.index(
+  { recurringSource: 1, recurringPeriod: 1 },
+  { unique: true, partialFilterExpression: { recurringSource: { $exists: true } } }
+);
 
 // Virtual to check if invoice is overdue
 invoiceSchema.virtual('isOverdue').get(function() {
-  return ['sent', 'viewed'].includes(this.status) && this.dueDate < new Date();
+  return this.status === 'overdue' ||
+    (['sent', 'viewed', 'partially-paid'].includes(this.status) && this.dueDate < new Date());
 });
 
 // Virtual for days until due
@@ -190,23 +344,58 @@ invoiceSchema.virtual('daysUntilDue').get(function() {
 
 // Pre-save middleware to calculate totals
 invoiceSchema.pre('save', function(next) {
-  // Calculate item amounts
-  this.items.forEach(item => {
-    item.amount = item.quantity * item.rate;
-  });
-  
-  // Calculate subtotal
-  this.subtotal = this.items.reduce((sum, item) => sum + item.amount, 0);
-  
-  // Calculate tax amount
-  this.taxAmount = (this.subtotal * this.taxRate) / 100;
-  
-  // Calculate discount amount
-  this.discountAmount = (this.subtotal * this.discountRate) / 100;
-  
-  // Calculate total
-  this.total = this.subtotal + this.taxAmount - this.discountAmount;
+  // Totals follow the lines, taxes and discount. They are left alone
+  // otherwise, so recording a payment never changes an issued total.
+  if (this.isNew || this.isModified('items') || this.isModified('taxRate') || this.isModified('discountRate')) {
+    Object.assign(this, calculateTotals(this.items, {
+      discountRate: this.discountRate,
+      taxRate: this.taxRate
+    }));
+  }
+
+  // Calculate what has been paid and what is left
+  this.amountPaid = roundMoney(this.payments
+    .filter(payment => !payment.refundedAt)
+    .reduce((sum, payment) => sum + payment.amount, 0));
+  this.balanceDue = this.getOutstandingBalance();
+
+  // Payments and credits drive the paid states; removing or refunding
+  // payments reopens the invoice. An invoice credited in full before
+  // anything was paid is cancelled. An overdue invoice stays overdue while
+  // a balance is left, so it is not reported overdue a second time.
+  if ((this.isModified('payments') || this.isModified('creditedAmount')) && this.status !== 'void') {
+    const received = this.payments.filter(payment => !payment.refundedAt);
+    const stillOverdue = this.status === 'overdue' && this.dueDate < new Date();
+
+    if (this.amountPaid > 0 && this.balanceDue === 0) {
+      this.status = 'paid';
+      this.paidDate = new Date(Math.max(...received.map(payment => payment.date)));
+    } else if (this.balanceDue === 0) {
+      this.status = 'cancelled';
+      this.paidDate = undefined;
+    } else if (this.amountPaid > 0) {
+      this.status = stillOverdue ? 'overdue' : 'partially-paid';
+      this.paidDate = undefined;
+    } else if (['paid', 'partially-paid'].includes(this.status)) {
+      this.status = this.firstViewedAt ? 'viewed' : 'sent';
+      this.paidDate = undefined;
+    }
+  }
   
+  // A new due date reopens the reminder sequence, and lifts the overdue
+  // status when it lies in the future
+  if (this.isModified('dueDate') && !this.isNew) {
+    this.remindersSent = [];
+    if (this.status === 'overdue' && this.dueDate > new Date()) {
+      this.status = this.amountPaid > 0 ? 'partially-paid' : (this.firstViewedAt ? 'viewed' : 'sent');
+    }
+  }
+
+  // Recurring invoices repeat one period after their own issue date
+  if (this.isRecurring && this.recurringSettings.frequency && !this.recurringSettings.nextInvoiceDate) {
+    this.recurringSettings.nextInvoiceDate = this.getNextRecurringDate(this.issueDate);
+  }
+
   // Update paid date when status changes to paid
   if (this.isModified('status') && this.status === 'paid' && !this.paidDate) {
     this.paidDate = new Date();
@@ -215,25 +404,110 @@ invoiceSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to generate invoice number
-invoiceSchema.statics.generateInvoiceNumber = async function(userId) {
-  const year = new Date().getFullYear();
-  const prefix = `INV-${year}-`;
-  
-  // Find the last invoice for this user in the current year
-  const lastInvoice = await this.findOne({
-    user: userId,
-    invoiceNumber: { $regex: `^${prefix}` }
-  }).sort({ invoiceNumber: -1 });
-  
-  let nextNumber = 1;
-  if (lastInvoice) {
-    const lastNumber = parseInt(lastInvoice.invoiceNumber.split('-')[2]);
-    nextNumber = lastNumber + 1;
+// Snapshot exchange rates once the invoice is issued, and for every
+// payment, in the base currency of the invoice's owner
+invoiceSchema.pre('save', async function() {
+  if (this.status === 'draft') return;
+
+  const issueRateMissing = !this.exchangeRate?.rate || this.isModified('currency');
+  const payments = this.payments.filter(payment => !payment.exchangeRate?.rate);
+  if (!issueRateMissing && payments.length === 0) return;
+
+  const base = await getBaseCurrency(this.user);
+  if (issueRateMissing) {
+    this.exchangeRate = await snapshotRate(this.workspace, this.currency, base, this.issueDate);
   }
-  
-  return `${prefix}${nextNumber.toString().padStart(4, '0')}`;
+  for (const payment of payments) {
+    payment.exchangeRate = await snapshotRate(this.workspace, this.currency, base, payment.date);
+  }
+});
+
+// Create a new public share token, replacing (and so revoking) any previous one
+invoiceSchema.methods.generateShareToken = function() {
+  this.shareToken = generateRandomToken(24);
+  this.sharedAt = new Date();
+  return this.shareToken;
+};
+
+const RECURRING_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Date of the period after `date` according to recurringSettings. Monthly
+// periods keep the issue date's day of month, clamped to short months, so
+// an invoice issued on the 31st recurs on Feb 28th and then Mar 31st again.
+invoiceSchema.methods.getNextRecurringDate = function(date) {
+  const { frequency, interval = 1 } = this.recurringSettings;
+  const next = new Date(date);
+
+  if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + 7 * interval);
+    return next;
+  }
+
+  const anchorDay = new Date(this.issueDate || date).getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + RECURRING_MONTHS[frequency] * interval);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  return next;
+};
+
+// Balance left to pay. Unlike the stored balanceDue this is also right for
+// invoices that have not been saved since payments were introduced.
+invoiceSchema.methods.getOutstandingBalance = function() {
+  if (this.status === 'void') return 0;
+  return Math.max(roundMoney(this.total - this.amountPaid - (this.creditedAmount || 0)), 0);
 };
 
+// Received on the invoices matching `match` per currency (see
+// sumByCurrency), optionally only payments dated within `from`..`to`.
+// Refunded payments and voided invoices don't count. Invoices marked paid
+// before payments were recorded count as one payment of their total.
+invoiceSchema.statics.sumPayments = function(match, { from, to, base } = {}) {
+  const ledgerMatch = { 'ledger.refundedAt': null };
+  if (from || to) {
+    ledgerMatch['ledger.date'] = {};
+    if (from) ledgerMatch['ledger.date'].$gte = from;
+    if (to) ledgerMatch['ledger.date'].$lte = to;
+  }
+
+  return this.aggregate([
+    { $match: { $and: [match, { status: { $ne: 'void' } }] } },
+    {
+      $project: {
+        currency: 1,
+        ledger: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+            '$payments',
+            {
+              $cond: [
+                { $eq: ['$status', 'paid'] },
+                [{ amount: '$total', date: '$paidDate', exchangeRate: '$exchangeRate' }],
+                []
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$ledger' },
+    { $match: ledgerMatch },
+    sumByCurrency('$ledger.amount', '$ledger.exchangeRate', base)
+  ]);
+};
+
+// Still owed on the invoices matching `match`, per currency
+invoiceSchema.statics.sumBalanceDue = function(match, base) {
+  return this.aggregate([
+    { $match: match },
+    sumByCurrency({ $ifNull: ['$balanceDue', '$total'] }, '$exchangeRate', base)
+  ]);
+};
+
+// Keep share tokens out of the audit log, and don't log every page view
+invoiceSchema.plugin(auditPlugin, {
+  exclude: ['shareToken', 'viewCount', 'lastViewedAt']
+});
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const projectSchema = new mongoose.Schema({
   title: {
@@ -32,6 +33,11 @@ const projectSchema = new mongoose.Schema({
     ref: 'Client',
     required: true
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -97,16 +103,22 @@ const projectSchema = new mongoose.Schema({
   isArchived: {
     type: Boolean,
     default: false
+  },
+  // project.overdue was emitted for the current stretch of being overdue
+  overdueNotified: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
 });
 
 // Indexes for better query performance
-projectSchema.index({ user: 1, status: 1 });
-projectSchema.index({ user: 1, client: 1 });
-projectSchema.index({ user: 1, dueDate: 1 });
-projectSchema.index({ user: 1, priority: 1 });
+projectSchema.index({ workspace: 1, status: 1 });
+projectSchema.index({ workspace: 1, client: 1 });
+projectSchema.index({ workspace: 1, dueDate: 1 });
+projectSchema.index({ workspace: 1, priority: 1 });
+projectSchema.index({ overdueNotified: 1, dueDate: 1 });
 
 // Virtual for tasks count
 projectSchema.virtual('tasksCount', {
@@ -125,9 +137,9 @@ projectSchema.virtual('completedTasksCount', {
   count: true
 });
 
-// Virtual to check if project is overdue
+// Virtual to check if project is overdue; finished and cancelled work can't be
 projectSchema.virtual('isOverdue').get(function() {
-  return this.status !== 'completed' && this.dueDate < new Date();
+  return !['completed', 'cancelled'].includes(this.status) && this.dueDate < new Date();
 });
 
 // Virtual for days until due
@@ -151,5 +163,7 @@ projectSchema.pre('save', async function(next) {
   next();
 });
 
+projectSchema.plugin(auditPlugin, { exclude: ['overdueNotified'] });
+
 module.exports = mongoose.model('Project', projectSchema);
 
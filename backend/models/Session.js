@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  // When the refresh token was last rotated
+  rotatedAt: {
+    type: Date
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Administrator acting as this session's user
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Replace the refresh token, remembering the old one to detect reuse. The
+// swap only happens while the session still holds the token it was loaded
+// with, so of two concurrent rotations only one wins. Resolves with the
+// rotated session and its new token, or null for the loser.
+sessionSchema.methods.rotateRefreshToken = async function(updates = {}) {
+  const refreshToken = generateRandomToken(48);
+  const now = new Date();
+
+  const session = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash },
+    {
+      $set: {
+        ...updates,
+        previousTokenHash: this.refreshTokenHash,
+        refreshTokenHash: hashToken(refreshToken),
+        lastUsedAt: now,
+        rotatedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken } : null;
+};
+
+sessionSchema.methods.revoke = function() {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+  }
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, { revokedAt: new Date() });
+};
+
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject({ virtuals: true });
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousTokenHash;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -32,6 +33,11 @@ const taskSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -133,10 +139,28 @@ const taskSchema = new mongoose.Schema({
     },
     interval: {
       type: Number,
+      min: [1, 'Interval must be at least 1'],
       default: 1
     },
     endDate: Date
   },
+  // Set on occurrences of a recurring task: the series and the due date
+  // the occurrence was scheduled for
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries'
+  },
+  seriesPeriod: Date,
+  // Invoice a completed task was billed on
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Manual order within its status column on the board
+  position: {
+    type: Number,
+    default: 0
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -146,11 +170,17 @@ const taskSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
-taskSchema.index({ user: 1, status: 1 });
-taskSchema.index({ user: 1, project: 1 });
-taskSchema.index({ user: 1, dueDate: 1 });
-taskSchema.index({ user: 1, priority: 1 });
+taskSchema.index({ workspace: 1, status: 1 });
+taskSchema.index({ workspace: 1, project: 1 });
+taskSchema.index({ workspace: 1, dueDate: 1 });
+taskSchema.index({ workspace: 1, priority: 1 });
 taskSchema.index({ assignedTo: 1, status: 1 });
+taskSchema.index({ workspace: 1, status: 1, position: 1 });
+// One occurrence per series and period, however many servers run
+taskSchema.index(
+  { series: 1, seriesPeriod: 1 },
+  { unique: true, partialFilterExpression: { series: { $exists: true } } }
+);
 
 // Virtual to check if task is overdue
 taskSchema.virtual('isOverdue').get(function() {
@@ -197,5 +227,7 @@ taskSchema.pre('save', async function(next) {
   next();
 });
 
+taskSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Task', taskSchema);
 
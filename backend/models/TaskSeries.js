@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const FREQUENCY_MONTHS = { monthly: 1, yearly: 12 };
+const FREQUENCY_DAYS = { daily: 1, weekly: 7 };
+
+// A recurring task: what each occurrence starts out as, and when the next
+// one is due. Occurrences are ordinary tasks linked to the series, so one
+// occurrence can be edited on its own while the series keeps its template.
+const taskSeriesSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    title: {
+      type: String,
+      required: true
+    },
+    description: String,
+    priority: String,
+    type: {
+      type: String
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    estimatedHours: Number,
+    tags: [String],
+    // Checklist items every occurrence starts with, none of them done
+    checklist: [String]
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    default: 1
+  },
+  endDate: Date,
+  // Due date the schedule counts from; monthly and yearly occurrences keep
+  // its day of the month
+  anchorDate: {
+    type: Date,
+    required: true
+  },
+  // How long before its due date an occurrence starts
+  leadTime: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Due date of the latest occurrence. The next one is created when it is
+  // completed, or once that date has passed.
+  currentPeriod: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taskSeriesSchema.index({ isActive: 1, currentPeriod: 1 });
+
+// Due date of the occurrence after `date`. Monthly occurrences are clamped
+// to short months and return to the anchor day after, e.g. the 31st, Feb
+// 28th, Mar 31st.
+taskSeriesSchema.methods.getNextPeriod = function(date) {
+  const next = new Date(date);
+
+  if (FREQUENCY_DAYS[this.frequency]) {
+    next.setUTCDate(next.getUTCDate() + FREQUENCY_DAYS[this.frequency] * this.interval);
+    return next;
+  }
+
+  const anchorDay = new Date(this.anchorDate).getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + FREQUENCY_MONTHS[this.frequency] * this.interval);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  return next;
+};
+
+// Recurrence settings as shown on each occurrence (Task.recurring)
+taskSeriesSchema.methods.toRecurring = function() {
+  return {
+    isRecurring: this.isActive,
+    frequency: this.frequency,
+    interval: this.interval,
+    endDate: this.endDate
+  };
+};
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const TAX_TYPES = ['vat', 'gst', 'sales', 'withholding', 'other'];
+
+// Printed on invoices using a reverse-charge tax without a note of its own
+const REVERSE_CHARGE_NOTE = 'Reverse charge: the customer is liable to account for the tax';
+
+// A named tax of a workspace, e.g. "VAT 20%", applied to invoice lines
+const taxProfileSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: TAX_TYPES,
+    default: 'vat'
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  // Charged on the line amount plus the taxes before it, e.g. Quebec QST
+  compound: {
+    type: Boolean,
+    default: false
+  },
+  // Line rates already include the tax
+  inclusive: {
+    type: Boolean,
+    default: false
+  },
+  // Shown on the invoice but paid by the customer, not charged
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+  // Printed on invoices using the tax
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+taxProfileSchema.index({ workspace: 1, name: 1 }, { unique: true });
+
+// A tax as applied to an invoice or credit note line, and summed up per tax
+// over the whole document: a copy of the profile, so later edits of the
+// profile don't change documents already written, and the amounts
+const appliedTaxSchema = new mongoose.Schema({
+  taxProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxProfile'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TAX_TYPES,
+    default: 'other'
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  compound: Boolean,
+  inclusive: Boolean,
+  reverseCharge: Boolean,
+  note: String,
+  base: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  _id: false
+});
+
+// Withholding is deducted from what the client pays; it can't be part of
+// the line amount, stack on other taxes or be reverse charged
+taxProfileSchema.pre('validate', function(next) {
+  if (this.type === 'withholding') {
+    this.compound = false;
+    this.inclusive = false;
+    this.reverseCharge = false;
+  }
+  next();
+});
+
+// The tax as copied onto an invoice line
+taxProfileSchema.methods.toSnapshot = function() {
+  return {
+    taxProfile: this._id,
+    name: this.name,
+    type: this.type,
+    rate: this.rate,
+    compound: this.compound,
+    inclusive: this.inclusive,
+    reverseCharge: this.reverseCharge,
+    note: this.note || (this.reverseCharge ? REVERSE_CHARGE_NOTE : '')
+  };
+};
+
+taxProfileSchema.statics.TYPES = TAX_TYPES;
+taxProfileSchema.statics.appliedTaxSchema = appliedTaxSchema;
+
+module.exports = mongoose.model('TaxProfile', taxProfileSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { auditPlugin } = require('../utils/audit');
+
+// Time a member spent on a project, usually on one of its tasks. A running
+// timer is an entry without an end; each user has at most one.
+const timeEntrySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: [true, 'Start is required']
+  },
+  end: {
+    type: Date,
+    validate: {
+      validator: function(end) {
+        return !end || end >= this.start;
+      },
+      message: 'End cannot be before start'
+    }
+  },
+  // Seconds between start and end, set when the entry is saved
+  duration: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  billable: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: ''
+  },
+  // Invoice the time was billed on; billed time can't be edited or billed again
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ workspace: 1, start: -1 });
+timeEntrySchema.index({ task: 1 });
+timeEntrySchema.index({ project: 1, invoice: 1 });
+timeEntrySchema.index({ invoice: 1 });
+// One running timer per user, however many requests start one at once
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+timeEntrySchema.pre('save', function(next) {
+  this.isRunning = !this.end;
+  this.duration = this.end ? Math.round((this.end - this.start) / 1000) : 0;
+  next();
+});
+
+timeEntrySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { auditPlugin } = require('../utils/audit');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -45,6 +47,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // VAT, GST or other tax registration number printed on invoices
+  taxNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Tax number cannot exceed 50 characters'],
+    default: ''
+  },
   phone: {
     type: String,
     default: ''
@@ -53,6 +62,13 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'UTC'
   },
+  // Currency revenue and balances are reported in
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three letter code'],
+    default: 'USD'
+  },
   preferences: {
     emailNotifications: {
       type: Boolean,
@@ -71,8 +87,81 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
+  },
+  // Set by an administrator: the account cannot log in until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  defaultWorkspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Hash of the login challenge currently accepted, and the wrong codes
+    // entered for it
+    challengeId: {
+      type: String,
+      select: false
+    },
+    challengeAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    // Wrong codes since the last login; too many lock two-factor logins
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lockedUntil: {
+      type: Date,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
@@ -96,12 +185,87 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Create a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateRandomToken();
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Find the user owning a valid, unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Generate one-time recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+
+  return codes;
+};
+
+// Consume a recovery code; returns false if it is unknown or already used
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const remaining = (this.twoFactor.recoveryCodes || []).filter(hash => hash !== codeHash);
+
+  if (remaining.length === (this.twoFactor.recoveryCodes || []).length) {
+    return false;
+  }
+
+  this.twoFactor.recoveryCodes = remaining;
+  return true;
+};
+
+// Remove password and secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+    delete userObject.twoFactor.challengeId;
+    delete userObject.twoFactor.challengeAttempts;
+    delete userObject.twoFactor.failedAttempts;
+    delete userObject.twoFactor.lockedUntil;
+  }
   return userObject;
 };
 
+// Record profile and account changes, never credentials or secrets
+userSchema.plugin(auditPlugin, {
+  exclude: [
+    'password',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'twoFactor.secret',
+    'twoFactor.pendingSecret',
+    'twoFactor.recoveryCodes',
+    'twoFactor.lastUsedStep',
+    'twoFactor.challengeId',
+    'twoFactor.challengeAttempts',
+    'twoFactor.failedAttempts',
+    'twoFactor.lockedUntil',
+    'lastLogin',
+    'emailVerificationSentAt'
+  ]
+});
+
 module.exports = mongoose.model('User', userSchema);
 
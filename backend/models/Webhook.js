@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../utils/events');
+const { generateRandomToken } = require('../utils/tokens');
+
+const webhookSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // Signing key shared with the receiver; it has to be kept readable
+  // because every delivery is signed with it
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Event types to deliver, or ['*'] for all of them
+  events: {
+    type: [{
+      type: String,
+      enum: ['*', ...EVENT_TYPES]
+    }],
+    validate: [events => events.length > 0, 'At least one event type is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+webhookSchema.index({ workspace: 1, isActive: 1 });
+
+webhookSchema.methods.generateSecret = function() {
+  this.secret = `whsec_${generateRandomToken(24)}`;
+  return this.secret;
+};
+
+webhookSchema.methods.subscribesTo = function(eventType) {
+  return this.events.includes('*') || this.events.includes(eventType);
+};
+
+webhookSchema.methods.toJSON = function() {
+  const webhookObject = this.toObject();
+  delete webhookObject.secret;
+  return webhookObject;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const WORKSPACE_ROLES = ['owner', 'manager', 'editor', 'viewer'];
+const INVOICE_NUMBER_RESETS = ['yearly', 'never'];
+// Characters of prefixes and of the fixed text of number formats. Numbers
+// end up in file names and email headers, so nothing else is allowed.
+const INVOICE_NUMBER_TEXT = /^[A-Za-z0-9._-]*$/;
+
+const isInvoiceNumberText = (text) => INVOICE_NUMBER_TEXT.test(text);
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: WORKSPACE_ROLES,
+      default: 'editor'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  // Payment reminders emailed to clients about unpaid invoices. Each step
+  // is sent once, `offsetDays` after the due date (negative = before).
+  invoiceReminders: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    steps: {
+      type: [{
+        _id: false,
+        offsetDays: {
+          type: Number,
+          required: true,
+          min: [-60, 'Reminders start at most 60 days before the due date'],
+          max: [365, 'Reminders end at most 365 days after the due date']
+        },
+        // Empty to use the default reminder template
+        subject: {
+          type: String,
+          maxlength: [200, 'Subject cannot exceed 200 characters'],
+          default: ''
+        },
+        message: {
+          type: String,
+          maxlength: [5000, 'Message cannot exceed 5000 characters'],
+          default: ''
+        }
+      }],
+      default: () => [-3, 0, 7, 14].map(offsetDays => ({ offsetDays }))
+    }
+  },
+  // Pattern of new invoice numbers, see utils/invoiceNumbers
+  invoiceNumbering: {
+    format: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Invoice number format cannot exceed 60 characters'],
+      validate: [{
+        validator: format => format.includes('{SEQ}'),
+        message: 'Invoice number format must contain {SEQ}'
+      }, {
+        validator: format => isInvoiceNumberText(format.replace(/\{\w+\}/g, '')),
+        message: 'Invoice number format can only contain letters, digits, ".", "_" and "-" besides its tokens'
+      }],
+      default: '{PREFIX}-{YYYY}-{SEQ}'
+    },
+    prefix: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Invoice number prefix cannot exceed 20 characters'],
+      validate: {
+        validator: isInvoiceNumberText,
+        message: 'Invoice number prefix can only contain letters, digits, ".", "_" and "-"'
+      },
+      default: 'INV'
+    },
+    creditNotePrefix: {
+      type: String,
+      trim: true,
+      maxlength: [20, 'Credit note prefix cannot exceed 20 characters'],
+      validate: {
+        validator: isInvoiceNumberText,
+        message: 'Credit note prefix can only contain letters, digits, ".", "_" and "-"'
+      },
+      default: 'CN'
+    },
+    padding: {
+      type: Number,
+      min: [1, 'Padding must be at least 1 digit'],
+      max: [10, 'Padding cannot exceed 10 digits'],
+      default: 4
+    },
+    reset: {
+      type: String,
+      enum: INVOICE_NUMBER_RESETS,
+      default: 'yearly'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ owner: 1, isPersonal: 1 });
+// One personal workspace per user, however many requests create it at once
+workspaceSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { isPersonal: true } });
+workspaceSchema.index({ 'invoiceReminders.enabled': 1 });
+
+// Get the membership entry of a user, if any
+workspaceSchema.methods.getMember = function(userId) {
+  return this.members.find(member => {
+    const memberId = member.user?._id || member.user;
+    return memberId.toString() === userId.toString();
+  });
+};
+
+workspaceSchema.methods.getRole = function(userId) {
+  return this.getMember(userId)?.role || null;
+};
+
+workspaceSchema.statics.ROLES = WORKSPACE_ROLES;
+workspaceSchema.statics.INVOICE_NUMBER_RESETS = INVOICE_NUMBER_RESETS;
+workspaceSchema.statics.isInvoiceNumberText = isInvoiceNumberText;
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
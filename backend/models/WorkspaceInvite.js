@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+
+const workspaceInviteSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['manager', 'editor', 'viewer'],
+    default: 'editor'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+workspaceInviteSchema.index({ workspace: 1, email: 1 });
+workspaceInviteSchema.index({ tokenHash: 1 });
+
+// Virtual to check if the invite can still be accepted
+workspaceInviteSchema.virtual('isPending').get(function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Create a new invite token, storing only its hash
+workspaceInviteSchema.methods.createToken = function() {
+  const token = generateRandomToken();
+  const expiresInDays = parseInt(process.env.WORKSPACE_INVITE_EXPIRE_DAYS) || 7;
+
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+workspaceInviteSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+workspaceInviteSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('WorkspaceInvite', workspaceInviteSchema);
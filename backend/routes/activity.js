@@ -0,0 +1,57 @@
+const express = require('express');
+const { query } = require('express-validator');
+const Activity = require('../models/Activity');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+const { EVENT_TYPES } = require('../utils/events');
+
+const router = express.Router();
+
+// @route   GET /api/activity
+// @desc    Get the activity timeline of the workspace, a client, project, task or invoice
+// @access  Private
+router.get('/', auth, requirePermission('activity:read'), [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional().isMongoId().withMessage('Invalid cursor'),
+  query('client').optional().isMongoId().withMessage('Invalid client ID'),
+  query('project').optional().isMongoId().withMessage('Invalid project ID'),
+  query('task').optional().isMongoId().withMessage('Invalid task ID'),
+  query('invoice').optional().isMongoId().withMessage('Invalid invoice ID'),
+  query('type').optional().isIn(EVENT_TYPES).withMessage('Invalid event type')
+], validate, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const { cursor, client, project, task, invoice, type } = req.query;
+
+    // Build query
+    const query = { workspace: req.workspace._id };
+    if (client) query.client = client;
+    if (project) query.project = project;
+    if (task) query.task = task;
+    if (invoice) query.invoice = invoice;
+    if (type) query.type = type;
+
+    // The cursor is the id of the last activity of the previous page
+    if (cursor) query._id = { $lt: cursor };
+
+    // Fetch one extra to know whether another page exists
+    const activities = await Activity.find(query)
+      .populate('actor', 'name avatar')
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = activities.length > limit;
+    const page = activities.slice(0, limit);
+
+    res.json({
+      activities: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Get activity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
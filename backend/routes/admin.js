@@ -0,0 +1,389 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Workspace = require('../models/Workspace');
+const AuditLog = require('../models/AuditLog');
+const { auth, adminAuth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { sendMail, getClientUrl } = require('../utils/mailer');
+const { startImpersonationSession } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Load the user targeted by an admin action, or send a 404
+const loadUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  return user;
+};
+
+// Admins may not lock themselves out through the console
+const rejectSelf = (req, res, user, message) => {
+  if (user._id.equals(req.user._id)) {
+    res.status(400).json({ message });
+    return true;
+  }
+  return false;
+};
+
+// @route   GET /api/admin/users
+// @desc    List users with search and filters
+// @access  Admin
+router.get('/users', adminAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+  query('status').optional().isIn(['active', 'inactive']).withMessage('Invalid status'),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { role, status, search } = req.query;
+
+    // Build query
+    const query = {};
+    if (role) query.role = role;
+    if (status) query.isActive = status === 'active';
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { company: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their workspaces and active sessions
+// @access  Admin
+router.get('/users/:id', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validate, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const workspaces = await Workspace.find({ 'members.user': user._id })
+      .select('name isPersonal owner members');
+
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    });
+
+    res.json({
+      user,
+      workspaces: workspaces.map(workspace => ({
+        _id: workspace._id,
+        name: workspace.name,
+        isPersonal: workspace.isPersonal,
+        role: workspace.getRole(user._id)
+      })),
+      activeSessions
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's platform role
+// @access  Admin
+router.put('/users/:id/role', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('role').isIn(['user', 'admin']).withMessage('Invalid role')
+], validate, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (rejectSelf(req, res, user, 'You cannot change your own role')) return;
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    if (previousRole !== user.role) {
+      await recordAudit(req, {
+        action: 'admin.user.role_changed',
+        entityType: 'User',
+        entityId: user._id,
+        changes: [{ field: 'role', before: previousRole, after: user.role }]
+      });
+    }
+
+    res.json({
+      message: 'User role updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Activate or deactivate a user
+// @access  Admin
+router.put('/users/:id/status', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('isActive').isBoolean().withMessage('isActive must be a boolean')
+], validate, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (rejectSelf(req, res, user, 'You cannot change the status of your own account')) return;
+
+    const wasActive = user.isActive;
+    user.isActive = req.body.isActive;
+    await user.save();
+
+    // A deactivated account is signed out everywhere
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id);
+    }
+
+    if (wasActive !== user.isActive) {
+      await recordAudit(req, {
+        action: user.isActive ? 'admin.user.activated' : 'admin.user.deactivated',
+        entityType: 'User',
+        entityId: user._id,
+        changes: [{ field: 'isActive', before: wasActive, after: user.isActive }]
+      });
+    }
+
+    res.json({
+      message: user.isActive ? 'User activated successfully' : 'User deactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin change status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Invalidate a user's password and email them a reset link
+// @access  Admin
+router.post('/users/:id/force-password-reset', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validate, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (rejectSelf(req, res, user, 'Use change password to update your own password')) return;
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id);
+
+    const resetUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your password must be reset',
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'An administrator has required a password reset for your account.',
+          'You have been signed out and will need to choose a new password before logging in again:',
+          '',
+          resetUrl,
+          '',
+          'This link can only be used once and will expire soon.',
+          'If it expires, request a new one from the "Forgot password" page.'
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Forced password reset email error:', mailError);
+      emailSent = false;
+    }
+
+    await recordAudit(req, {
+      action: 'admin.user.password_reset_forced',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { emailSent }
+    });
+
+    res.json({
+      message: emailSent
+        ? 'Password reset required and instructions sent to the user'
+        : 'Password reset required, but the reset email could not be sent',
+      emailSent
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a short-lived access token acting as another user
+// @access  Admin
+router.post('/users/:id/impersonate', adminAuth, [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], validate, async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    if (rejectSelf(req, res, user, 'You cannot impersonate yourself')) return;
+
+    if (user.role === 'admin') {
+      return res.status(400).json({ message: 'Administrators cannot be impersonated' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'Deactivated users cannot be impersonated' });
+    }
+
+    const { session, token } = await startImpersonationSession(user, req.user, req);
+
+    await recordAudit(req, {
+      action: 'admin.user.impersonation_started',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: {
+        session: session._id,
+        reason: req.body.reason || '',
+        expiresAt: session.expiresAt
+      }
+    });
+
+    res.json({
+      message: `You are now acting as ${user.name}`,
+      token,
+      expiresAt: session.expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        avatar: user.avatar,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Admin impersonate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/impersonation/stop
+// @desc    End the current impersonation session
+// @access  Private (impersonation sessions only)
+router.post('/impersonation/stop', auth, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ message: 'This session is not an impersonation session' });
+    }
+
+    const session = await Session.findById(req.sessionId);
+    if (session) await session.revoke();
+
+    await recordAudit(req, {
+      action: 'admin.user.impersonation_stopped',
+      entityType: 'User',
+      entityId: req.user._id,
+      metadata: { session: req.sessionId }
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/audit-log
+// @desc    Get the trail of admin actions
+// @access  Admin
+router.get('/audit-log', adminAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID')
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { action: /^admin\./ };
+    if (req.query.user) {
+      query.entityType = 'User';
+      query.entityId = req.query.user;
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .populate('impersonatedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    // Attach the users the actions were taken on
+    const targetIds = entries.filter(entry => entry.entityType === 'User').map(entry => entry.entityId);
+    const targets = await User.find({ _id: { $in: targetIds } }).select('name email');
+    const targetsById = new Map(targets.map(target => [target._id.toString(), target]));
+
+    res.json({
+      entries: entries.map(entry => ({
+        ...entry.toObject(),
+        target: targetsById.get(String(entry.entityId)) || null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
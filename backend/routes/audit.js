@@ -0,0 +1,68 @@
+const express = require('express');
+const { query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const ENTITY_TYPES = ['Client', 'Project', 'Task', 'Invoice', 'User'];
+
+// @route   GET /api/audit
+// @desc    Query the audit log by entity, actor and date range
+// @access  Private (admins see every entry, others their active workspace)
+router.get('/', auth, requirePermission('audit:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('entityType').optional().isIn(ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('action').optional().isLength({ max: 100 }).withMessage('Action too long'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { entityType, entityId, actor, action, from, to } = req.query;
+
+    // Build query
+    const query = {};
+    if (req.user.role !== 'admin') query.workspace = req.workspace._id;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .populate('impersonatedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,45 @@
 const express = require('express');
 const { body } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const {
+  verifyToken,
+  verifyChallengeToken,
+  verifyEmailVerificationToken
+} = require('../utils/jwt');
+const { verifyCode } = require('../utils/totp');
+const {
+  startSession,
+  refreshSession,
+  getRefreshToken,
+  clearRefreshCookie
+} = require('../utils/sessions');
+const { sendMail, getClientUrl } = require('../utils/mailer');
+const { hashToken } = require('../utils/tokens');
+const { sendVerificationEmail, getResendWaitSeconds } = require('../utils/emailVerification');
+const { ensurePersonalWorkspace } = require('../utils/workspaces');
+const {
+  getLockoutWaitSeconds,
+  issueChallenge,
+  claimAttempt,
+  recordFailedAttempt,
+  completeChallenge
+} = require('../utils/twoFactorLogin');
+const { auth, rejectImpersonation } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
 
+// Two-factor logins are locked for a while after too many invalid codes
+const sendLockedOut = (res, waitSeconds) => {
+  const minutes = Math.ceil(waitSeconds / 60);
+  res.set('Retry-After', String(waitSeconds));
+  return res.status(429).json({
+    message: `Too many invalid codes, please try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+    retryAfter: waitSeconds
+  });
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -41,17 +74,30 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Every account starts with a personal workspace
+    await ensurePersonalWorkspace(user);
+
+    // A failed verification email must not fail the registration;
+    // the user can request another one
+    try {
+      await sendVerificationEmail(user);
+      await user.save();
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -76,7 +122,7 @@ router.post('/login', [
     const { email, password } = req.body;
 
     // Find user and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +twoFactor.lockedUntil');
     if (!user) {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
@@ -92,12 +138,34 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    // An administrator forced a reset: the old password no longer grants access
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        message: 'Your password must be reset before you can log in. Check your email for a reset link.',
+        code: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // With 2FA enabled the password only earns a challenge for the second step
+    if (user.twoFactor?.enabled) {
+      const waitSeconds = getLockoutWaitSeconds(user);
+      if (waitSeconds > 0) {
+        return sendLockedOut(res, waitSeconds);
+      }
+
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: await issueChallenge(user)
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
 
     res.json({
       message: 'Login successful',
@@ -107,7 +175,8 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
-        avatar: user.avatar
+        avatar: user.avatar,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -116,19 +185,263 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+], validate, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'An authentication code or recovery code is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(400).json({ message: 'Login challenge has expired, please sign in again' });
+    }
+
+    const user = await User.findById(decoded.id).select([
+      '+twoFactor.secret',
+      '+twoFactor.recoveryCodes',
+      '+twoFactor.lastUsedStep',
+      '+twoFactor.challengeId',
+      '+twoFactor.challengeAttempts',
+      '+twoFactor.failedAttempts',
+      '+twoFactor.lockedUntil'
+    ].join(' '));
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    const waitSeconds = getLockoutWaitSeconds(user);
+    if (waitSeconds > 0) {
+      return sendLockedOut(res, waitSeconds);
+    }
+
+    // Each challenge takes a few codes, then the password is needed again
+    if (!(await claimAttempt(user._id, decoded.challenge))) {
+      return res.status(400).json({ message: 'Login challenge has expired, please sign in again' });
+    }
+
+    let isValid;
+    if (code) {
+      const step = verifyCode(user.twoFactor.secret, code);
+
+      // Reject invalid codes and codes that were already used
+      isValid = step !== null && !(user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep);
+      if (isValid) user.twoFactor.lastUsedStep = step;
+    } else {
+      isValid = user.useRecoveryCode(recoveryCode);
+    }
+
+    if (!isValid) {
+      const lockoutSeconds = await recordFailedAttempt(user._id);
+      if (lockoutSeconds > 0) {
+        return sendLockedOut(res, lockoutSeconds);
+      }
+
+      return res.status(400).json({
+        message: code ? 'Invalid authentication code' : 'Invalid recovery code'
+      });
+    }
+
+    completeChallenge(user);
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session and generate token
+    const token = await startSession(user, req, res);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        avatar: user.avatar,
+        emailVerified: user.emailVerified
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(401).json({ message: 'No refresh token provided' });
+    }
+
+    const result = await refreshSession(refreshToken, req, res);
+    if (!result) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Session has expired, please log in again' });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await result.session.revoke();
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({ token: result.token });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Public
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+    let session = null;
+
+    if (refreshToken) {
+      session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+    }
+
+    // Fall back to the session referenced by the access token
+    if (!session) {
+      const accessToken = req.header('Authorization')?.replace('Bearer ', '');
+      if (accessToken) {
+        try {
+          const decoded = verifyToken(accessToken);
+          if (decoded.sid) session = await Session.findById(decoded.sid);
+        } catch (error) {
+          // An expired access token is fine here, there is just nothing to revoke
+        }
+      }
+    }
+
+    if (session) await session.revoke();
+
+    clearRefreshCookie(res);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
-    res.json({ user });
+
+    // Let the client show who is acting on behalf of the user
+    let impersonator = null;
+    if (req.impersonator) {
+      impersonator = await User.findById(req.impersonator).select('name email');
+    }
+
+    res.json({
+      user,
+      workspace: req.workspace,
+      workspaceRole: req.workspaceRole,
+      impersonator
+    });
   } catch (error) {
     console.error('Get current user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address from a signed link
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Links sent to a previous address stop working once the email changes
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const waitSeconds = getResendWaitSeconds(user);
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        message: `Please wait ${waitSeconds} seconds before requesting another email`,
+        retryAfter: waitSeconds
+      });
+    }
+
+    await sendVerificationEmail(user);
+    await user.save();
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Request password reset
 // @access  Public
@@ -138,35 +451,96 @@ router.post('/forgot-password', [
     .normalizeEmail()
     .withMessage('Please provide a valid email')
 ], validate, async (req, res) => {
+  // Same response whether or not the account exists, so the endpoint
+  // cannot be used to discover registered emails
+  const genericResponse = {
+    message: 'If an account exists for this email, password reset instructions have been sent'
+  };
+
   try {
     const { email } = req.body;
 
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email, isActive: true });
     if (!user) {
-      return res.status(404).json({ message: 'User not found with this email' });
+      return res.json(genericResponse);
     }
 
-    // In a real application, you would:
-    // 1. Generate a password reset token
-    // 2. Save it to the database with expiration
-    // 3. Send an email with the reset link
-    
-    // For demo purposes, we'll just return a success message
-    res.json({ 
-      message: 'Password reset instructions sent to your email',
-      // In production, don't return this info
-      debug: 'Password reset functionality would be implemented here'
-    });
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${getClientUrl()}/reset-password/${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${user.name},`,
+          '',
+          'We received a request to reset your password. Use the link below to choose a new one:',
+          '',
+          resetUrl,
+          '',
+          'This link can only be used once and will expire soon.',
+          'If you did not request a password reset, you can safely ignore this email.'
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+    }
+
+    res.json(genericResponse);
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], validate, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Password reset link is invalid or has expired' });
+    }
+
+    // Tokens are single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await Session.revokeAllForUser(user._id);
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', auth, [
+router.post('/change-password', auth, rejectImpersonation, [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
@@ -190,6 +564,9 @@ router.post('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Keep the current session, sign out all other devices
+    await Session.revokeAllForUser(user._id, req.sessionId);
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -3,18 +3,21 @@ const { body, query } = require('express-validator');
 const Client = require('../models/Client');
 const Project = require('../models/Project');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const validate = require('../middleware/validate');
+const { withoutOwnership } = require('../utils/workspaces');
+const { emitEvent, emitUpdateEvents } = require('../utils/events');
 
 const router = express.Router();
 
 // @route   GET /api/clients/stats/overview
 // @desc    Get client statistics
 // @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+router.get('/stats/overview', auth, requirePermission('clients:read'), async (req, res) => {
   try {
-    const totalClients = await Client.countDocuments({ user: req.user.id });
-    const activeClients = await Client.countDocuments({ user: req.user.id, status: 'active' });
-    const prospectClients = await Client.countDocuments({ user: req.user.id, status: 'prospect' });
+    const totalClients = await Client.countDocuments({ workspace: req.workspace._id });
+    const activeClients = await Client.countDocuments({ workspace: req.workspace._id, status: 'active' });
+    const prospectClients = await Client.countDocuments({ workspace: req.workspace._id, status: 'prospect' });
     
     // Get new clients this month
     const startOfMonth = new Date();
@@ -22,7 +25,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     startOfMonth.setHours(0, 0, 0, 0);
     
     const newClientsThisMonth = await Client.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       createdAt: { $gte: startOfMonth }
     });
 
@@ -39,9 +42,9 @@ router.get('/stats/overview', auth, async (req, res) => {
 });
 
 // @route   GET /api/clients
-// @desc    Get all clients for the authenticated user
+// @desc    Get all clients in the active workspace
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, requirePermission('clients:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status').optional().isIn(['active', 'inactive', 'prospect']).withMessage('Invalid status'),
@@ -54,7 +57,7 @@ router.get('/', auth, [
     const { status, search } = req.query;
 
     // Build query
-    const query = { user: req.user.id };
+    const query = { workspace: req.workspace._id };
     if (status) query.status = status;
     if (search) {
       query.$or = [
@@ -90,11 +93,11 @@ router.get('/', auth, [
 // @route   GET /api/clients/:id
 // @desc    Get client by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission('clients:read'), async (req, res) => {
   try {
     const client = await Client.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     }).populate('projectsCount');
 
     if (!client) {
@@ -104,7 +107,7 @@ router.get('/:id', auth, async (req, res) => {
     // Get recent projects for this client
     const recentProjects = await Project.find({
       client: client._id,
-      user: req.user.id
+      workspace: req.workspace._id
     })
       .sort({ createdAt: -1 })
       .limit(5)
@@ -123,7 +126,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/clients
 // @desc    Create a new client
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('clients:create'), [
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -147,17 +150,34 @@ router.post('/', auth, [
   body('hourlyRate')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Hourly rate must be a positive number')
+    .withMessage('Hourly rate must be a positive number'),
+  body('paymentReminders')
+    .optional()
+    .isBoolean()
+    .withMessage('paymentReminders must be a boolean'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9]{0,10}$/)
+    .withMessage('Client code must be up to 10 letters and digits'),
+  body('taxNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tax number cannot exceed 50 characters')
 ], validate, async (req, res) => {
   try {
     const clientData = {
       ...req.body,
+      workspace: req.workspace._id,
       user: req.user.id
     };
 
     const client = new Client(clientData);
     await client.save();
 
+    emitEvent(req, 'client.created', client);
+
     res.status(201).json({
       message: 'Client created successfully',
       client
@@ -175,7 +195,7 @@ router.post('/', auth, [
 // @route   PUT /api/clients/:id
 // @desc    Update client
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, requirePermission('clients:update'), [
   body('name')
     .optional()
     .trim()
@@ -201,12 +221,33 @@ router.put('/:id', auth, [
   body('hourlyRate')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Hourly rate must be a positive number')
+    .withMessage('Hourly rate must be a positive number'),
+  body('paymentReminders')
+    .optional()
+    .isBoolean()
+    .withMessage('paymentReminders must be a boolean'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9]{0,10}$/)
+    .withMessage('Client code must be up to 10 letters and digits'),
+  body('taxNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tax number cannot exceed 50 characters')
 ], validate, async (req, res) => {
   try {
+    const existing = await Client.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const updates = withoutOwnership(req.body);
     const client = await Client.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
+      { _id: existing._id, workspace: req.workspace._id },
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -214,6 +255,8 @@ router.put('/:id', auth, [
       return res.status(404).json({ message: 'Client not found' });
     }
 
+    emitUpdateEvents(req, 'client', existing, client, Object.keys(updates));
+
     res.json({
       message: 'Client updated successfully',
       client
@@ -227,12 +270,12 @@ router.put('/:id', auth, [
 // @route   DELETE /api/clients/:id
 // @desc    Delete client
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('clients:delete'), async (req, res) => {
   try {
     // Check if client has active projects
     const activeProjects = await Project.countDocuments({
       client: req.params.id,
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $in: ['planning', 'active', 'on-hold'] }
     });
 
@@ -244,13 +287,15 @@ router.delete('/:id', auth, async (req, res) => {
 
     const client = await Client.findOneAndDelete({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!client) {
       return res.status(404).json({ message: 'Client not found' });
     }
 
+    emitEvent(req, 'client.deleted', client);
+
     res.json({ message: 'Client deleted successfully' });
   } catch (error) {
     console.error('Delete client error:', error);
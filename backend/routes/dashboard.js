@@ -3,14 +3,18 @@ const Project = require('../models/Project');
 const Task = require('../models/Task');
 const Client = require('../models/Client');
 const Invoice = require('../models/Invoice');
+const Activity = require('../models/Activity');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { getRevenue, getOutstanding } = require('../utils/revenue');
+const { toHours, getTrackedSeconds } = require('../utils/timeTracking');
 
 const router = express.Router();
 
 // @route   GET /api/dashboard/overview
 // @desc    Get dashboard overview data
 // @access  Private
-router.get('/overview', auth, async (req, res) => {
+router.get('/overview', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
     // Get current date ranges
     const today = new Date();
@@ -21,7 +25,7 @@ router.get('/overview', auth, async (req, res) => {
 
     // Project statistics
     const projectStats = await Project.aggregate([
-      { $match: { user: req.user._id, isArchived: false } },
+      { $match: { workspace: req.workspace._id, isArchived: false } },
       {
         $group: {
           _id: '$status',
@@ -31,7 +35,7 @@ router.get('/overview', auth, async (req, res) => {
     ]);
 
     const projects = {
-      total: await Project.countDocuments({ user: req.user.id, isArchived: false }),
+      total: await Project.countDocuments({ workspace: req.workspace._id, isArchived: false }),
       active: 0,
       completed: 0,
       planning: 0,
@@ -47,7 +51,7 @@ router.get('/overview', auth, async (req, res) => {
 
     // Task statistics
     const taskStats = await Task.aggregate([
-      { $match: { user: req.user._id, isArchived: false } },
+      { $match: { workspace: req.workspace._id, isArchived: false } },
       {
         $group: {
           _id: '$status',
@@ -57,7 +61,7 @@ router.get('/overview', auth, async (req, res) => {
     ]);
 
     const tasks = {
-      total: await Task.countDocuments({ user: req.user.id, isArchived: false }),
+      total: await Task.countDocuments({ workspace: req.workspace._id, isArchived: false }),
       todo: 0,
       inProgress: 0,
       review: 0,
@@ -73,14 +77,14 @@ router.get('/overview', auth, async (req, res) => {
 
     // Overdue items
     const overdueProjects = await Project.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $nin: ['completed', 'cancelled'] },
       dueDate: { $lt: new Date() },
       isArchived: false
     });
 
     const overdueTasks = await Task.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $nin: ['completed', 'cancelled'] },
       dueDate: { $lt: new Date() },
       isArchived: false
@@ -88,22 +92,21 @@ router.get('/overview', auth, async (req, res) => {
 
     // Client statistics
     const clientStats = {
-      total: await Client.countDocuments({ user: req.user.id }),
-      active: await Client.countDocuments({ user: req.user.id, status: 'active' }),
+      total: await Client.countDocuments({ workspace: req.workspace._id }),
+      active: await Client.countDocuments({ workspace: req.workspace._id, status: 'active' }),
       newThisMonth: await Client.countDocuments({
-        user: req.user.id,
+        workspace: req.workspace._id,
         createdAt: { $gte: startOfMonth, $lte: endOfMonth }
       })
     };
 
     // Invoice statistics
     const invoiceStats = await Invoice.aggregate([
-      { $match: { user: req.user._id } },
+      { $match: { workspace: req.workspace._id } },
       {
         $group: {
           _id: '$status',
-          count: { $sum: 1 },
-          totalAmount: { $sum: '$total' }
+          count: { $sum: 1 }
         }
       }
     ]);
@@ -112,27 +115,30 @@ router.get('/overview', auth, async (req, res) => {
       total: 0,
       paid: 0,
       pending: 0,
-      overdue: 0,
-      totalRevenue: 0,
-      pendingAmount: 0
+      overdue: 0
     };
 
     invoiceStats.forEach(stat => {
       invoices.total += stat.count;
       if (stat._id === 'paid') {
         invoices.paid = stat.count;
-        invoices.totalRevenue = stat.totalAmount;
-      } else if (['sent', 'viewed'].includes(stat._id)) {
+      } else if (['sent', 'viewed', 'partially-paid'].includes(stat._id)) {
         invoices.pending += stat.count;
-        invoices.pendingAmount += stat.totalAmount;
+      } else if (stat._id === 'overdue') {
+        invoices.overdue = stat.count;
       }
     });
 
-    // Get overdue invoices
-    invoices.overdue = await Invoice.countDocuments({
-      user: req.user.id,
-      status: { $in: ['sent', 'viewed'] },
-      dueDate: { $lt: new Date() }
+    // Amounts are reported in the user's base currency
+    const revenue = await getRevenue(req.workspace._id, req.user.baseCurrency);
+    const pending = await getOutstanding(req.workspace._id, req.user.baseCurrency);
+    Object.assign(invoices, {
+      currency: req.user.baseCurrency,
+      totalRevenue: revenue.total,
+      pendingAmount: pending.total,
+      revenueByCurrency: revenue.byCurrency,
+      pendingByCurrency: pending.byCurrency,
+      missingRates: [...new Set([...revenue.missingRates, ...pending.missingRates])]
     });
 
     res.json({
@@ -155,85 +161,16 @@ router.get('/overview', auth, async (req, res) => {
 // @route   GET /api/dashboard/recent-activity
 // @desc    Get recent activity for dashboard
 // @access  Private
-router.get('/recent-activity', auth, async (req, res) => {
+router.get('/recent-activity', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-
-    // Get recent projects
-    const recentProjects = await Project.find({
-      user: req.user.id,
-      isArchived: false
-    })
-      .populate('client', 'name company')
-      .sort({ updatedAt: -1 })
-      .limit(5)
-      .select('title status dueDate progress client updatedAt');
-
-    // Get recent tasks
-    const recentTasks = await Task.find({
-      user: req.user.id,
-      isArchived: false
-    })
-      .populate('project', 'title')
-      .sort({ updatedAt: -1 })
-      .limit(5)
-      .select('title status dueDate progress project updatedAt');
-
-    // Get recent invoices
-    const recentInvoices = await Invoice.find({
-      user: req.user.id
-    })
-      .populate('client', 'name company')
-      .sort({ updatedAt: -1 })
-      .limit(5)
-      .select('invoiceNumber status total client updatedAt');
-
-    // Combine and sort all activities
-    const activities = [];
-
-    recentProjects.forEach(project => {
-      activities.push({
-        type: 'project',
-        id: project._id,
-        title: project.title,
-        status: project.status,
-        client: project.client,
-        dueDate: project.dueDate,
-        progress: project.progress,
-        updatedAt: project.updatedAt
-      });
-    });
-
-    recentTasks.forEach(task => {
-      activities.push({
-        type: 'task',
-        id: task._id,
-        title: task.title,
-        status: task.status,
-        project: task.project,
-        dueDate: task.dueDate,
-        progress: task.progress,
-        updatedAt: task.updatedAt
-      });
-    });
-
-    recentInvoices.forEach(invoice => {
-      activities.push({
-        type: 'invoice',
-        id: invoice._id,
-        title: invoice.invoiceNumber,
-        status: invoice.status,
-        client: invoice.client,
-        total: invoice.total,
-        updatedAt: invoice.updatedAt
-      });
-    });
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
 
-    // Sort by most recent and limit
-    activities.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-    const limitedActivities = activities.slice(0, limit);
+    const activities = await Activity.find({ workspace: req.workspace._id })
+      .populate('actor', 'name avatar')
+      .sort({ _id: -1 })
+      .limit(limit);
 
-    res.json({ activities: limitedActivities });
+    res.json({ activities });
   } catch (error) {
     console.error('Get recent activity error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -243,7 +180,7 @@ router.get('/recent-activity', auth, async (req, res) => {
 // @route   GET /api/dashboard/upcoming-deadlines
 // @desc    Get upcoming deadlines
 // @access  Private
-router.get('/upcoming-deadlines', auth, async (req, res) => {
+router.get('/upcoming-deadlines', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
     const daysAhead = parseInt(req.query.days) || 7;
@@ -253,7 +190,7 @@ router.get('/upcoming-deadlines', auth, async (req, res) => {
 
     // Get upcoming project deadlines
     const upcomingProjects = await Project.find({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $nin: ['completed', 'cancelled'] },
       dueDate: { $gte: new Date(), $lte: futureDate },
       isArchived: false
@@ -265,7 +202,7 @@ router.get('/upcoming-deadlines', auth, async (req, res) => {
 
     // Get upcoming task deadlines
     const upcomingTasks = await Task.find({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $nin: ['completed', 'cancelled'] },
       dueDate: { $gte: new Date(), $lte: futureDate },
       isArchived: false
@@ -324,7 +261,7 @@ router.get('/upcoming-deadlines', auth, async (req, res) => {
 // @route   GET /api/dashboard/productivity-stats
 // @desc    Get productivity statistics
 // @access  Private
-router.get('/productivity-stats', auth, async (req, res) => {
+router.get('/productivity-stats', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { period = 'week' } = req.query;
     
@@ -344,62 +281,32 @@ router.get('/productivity-stats', auth, async (req, res) => {
 
     // Tasks completed in period
     const tasksCompleted = await Task.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: 'completed',
       completedDate: { $gte: startDate, $lte: endDate }
     });
 
     // Projects completed in period
     const projectsCompleted = await Project.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: 'completed',
       completedDate: { $gte: startDate, $lte: endDate }
     });
 
-    // Total hours logged
-    const hoursResult = await Task.aggregate([
-      {
-        $match: {
-          user: req.user._id,
-          actualHours: { $gt: 0 },
-          updatedAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalHours: { $sum: '$actualHours' }
-        }
-      }
-    ]);
-
-    const totalHours = hoursResult.length > 0 ? hoursResult[0].totalHours : 0;
-
-    // Revenue generated
-    const revenueResult = await Invoice.aggregate([
-      {
-        $match: {
-          user: req.user._id,
-          status: 'paid',
-          paidDate: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$total' }
-        }
-      }
-    ]);
+    // Hours tracked on time entries started in period
+    const totalHours = toHours(await getTrackedSeconds(req.workspace._id, { from: startDate, to: endDate }));
 
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+    // Revenue received in period, net of credit notes issued in it
+    const revenue = await getRevenue(req.workspace._id, req.user.baseCurrency, { from: startDate, to: endDate });
 
     res.json({
       period,
       tasksCompleted,
       projectsCompleted,
       totalHours,
-      totalRevenue,
+      currency: revenue.currency,
+      totalRevenue: revenue.total,
+      revenueByCurrency: revenue.byCurrency,
       averageHoursPerDay: totalHours / (period === 'week' ? 7 : period === 'month' ? 30 : 365)
     });
   } catch (error) {
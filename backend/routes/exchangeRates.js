@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const ExchangeRate = require('../models/ExchangeRate');
+const Invoice = require('../models/Invoice');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+const { startOfDay } = require('../utils/exchangeRates');
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 5000;
+const CSV_COLUMNS = ['date', 'from', 'to', 'rate'];
+
+const isCurrency = (value) => /^[A-Z]{3}$/.test(value);
+
+// Parse an exchange rate CSV file with a header naming the columns date,
+// from, to and rate, in any order. Resolves every row or reports the lines
+// that are invalid, so a file is never half imported.
+const parseRatesCsv = (csv) => {
+  const lines = csv.split(/\r?\n/).map(line => line.trim());
+  const header = lines[0].toLowerCase().split(',').map(column => column.trim());
+
+  const missing = CSV_COLUMNS.filter(column => !header.includes(column));
+  if (missing.length > 0) {
+    return { errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`] };
+  }
+
+  const rows = [];
+  const errors = [];
+
+  lines.slice(1).forEach((line, index) => {
+    if (!line) return;
+
+    const cells = line.split(',').map(cell => cell.trim());
+    const value = (column) => cells[header.indexOf(column)] || '';
+    const from = value('from').toUpperCase();
+    const to = value('to').toUpperCase();
+    const rate = Number(value('rate'));
+    const date = new Date(value('date'));
+    const lineNumber = index + 2;
+
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`Line ${lineNumber}: invalid date "${value('date')}"`);
+    } else if (!isCurrency(from) || !isCurrency(to) || from === to) {
+      errors.push(`Line ${lineNumber}: currencies must be two different three letter codes`);
+    } else if (!(rate > 0)) {
+      errors.push(`Line ${lineNumber}: rate must be a positive number`);
+    } else {
+      rows.push({ date: startOfDay(date), from, to, rate });
+    }
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    errors.push(`A file can contain at most ${MAX_IMPORT_ROWS} rates`);
+  }
+
+  return { rows, errors };
+};
+
+// Add rates, replacing those already entered for the same pair and day
+const saveRates = (req, rates, source) => {
+  return ExchangeRate.bulkWrite(rates.map(({ date, from, to, rate }) => ({
+    updateOne: {
+      filter: { workspace: req.workspace._id, from, to, date },
+      update: { $set: { rate, source, user: req.user._id } },
+      upsert: true
+    }
+  })));
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Get the exchange rates of the active workspace, newest first
+// @access  Private
+router.get('/', auth, requirePermission('invoices:read'), [
+  query('currency').optional().isISO4217().withMessage('Invalid currency'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], validate, async (req, res) => {
+  try {
+    const filter = { workspace: req.workspace._id };
+    if (req.query.currency) {
+      const currency = req.query.currency.toUpperCase();
+      filter.$or = [{ from: currency }, { to: currency }];
+    }
+
+    const rates = await ExchangeRate.find(filter)
+      .sort({ date: -1, from: 1, to: 1 })
+      .limit(parseInt(req.query.limit) || 100);
+
+    // Currencies invoiced in, which need a rate to the base currency
+    const currencies = await Invoice.distinct('currency', { workspace: req.workspace._id });
+
+    res.json({
+      rates,
+      currencies,
+      baseCurrency: req.user.baseCurrency
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Enter an exchange rate
+// @access  Private
+router.post('/', auth, requirePermission('workspace:update'), [
+  body('from')
+    .isISO4217()
+    .withMessage('Valid source currency is required'),
+  body('to')
+    .isISO4217()
+    .withMessage('Valid target currency is required')
+    .custom((to, { req }) => to.toUpperCase() !== String(req.body.from).toUpperCase())
+    .withMessage('Currencies must be different'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid date is required')
+], validate, async (req, res) => {
+  try {
+    const rate = {
+      from: req.body.from.toUpperCase(),
+      to: req.body.to.toUpperCase(),
+      rate: parseFloat(req.body.rate),
+      date: startOfDay(req.body.date || new Date())
+    };
+
+    await saveRates(req, [rate], 'manual');
+    const exchangeRate = await ExchangeRate.findOne({
+      workspace: req.workspace._id,
+      from: rate.from,
+      to: rate.to,
+      date: rate.date
+    });
+
+    res.status(201).json({
+      message: 'Exchange rate saved successfully',
+      exchangeRate
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import exchange rates from the contents of a CSV file
+// @access  Private
+router.post('/import', auth, requirePermission('workspace:update'), [
+  body('csv')
+    .isString()
+    .withMessage('CSV contents are required')
+    .isLength({ min: 1, max: 1024 * 1024 })
+    .withMessage('CSV file must be between 1 byte and 1 MB')
+], validate, async (req, res) => {
+  try {
+    const { rows, errors } = parseRatesCsv(req.body.csv);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'The file could not be imported',
+        errors: errors.slice(0, 20).map(message => ({ field: 'csv', message }))
+      });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file contains no rates' });
+    }
+
+    await saveRates(req, rows, 'import');
+
+    res.json({
+      message: `Imported ${rows.length} exchange rate${rows.length === 1 ? '' : 's'}`,
+      imported: rows.length
+    });
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private
+router.delete('/:id', auth, requirePermission('workspace:update'), [
+  param('id').isMongoId().withMessage('Invalid exchange rate ID')
+], validate, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndDelete({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
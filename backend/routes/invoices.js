@@ -1,51 +1,180 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
 const Client = require('../models/Client');
 const Project = require('../models/Project');
+const TaxProfile = require('../models/TaxProfile');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const validate = require('../middleware/validate');
+const { withoutOwnership } = require('../utils/workspaces');
+const { emitEvent, emitUpdateEvents } = require('../utils/events');
+const { roundMoney } = require('../utils/money');
+const {
+  INVOICE_DOCUMENT_POPULATE,
+  renderInvoicePdf,
+  getInvoicePdfFilename
+} = require('../utils/invoicePdf');
+const {
+  INVOICE_EMAIL_TEMPLATE,
+  INVOICE_PLACEHOLDERS,
+  getInvoiceShareUrl
+} = require('../utils/emailTemplates');
+const { sendInvoiceEmail } = require('../utils/invoiceEmails');
+const { previewRecurringInvoices } = require('../utils/recurringInvoices');
+const { generateInvoiceNumber, generateCreditNoteNumber } = require('../utils/invoiceNumbers');
+const { getRevenue, getOutstanding } = require('../utils/revenue');
+const { getTaxSummary } = require('../utils/taxReport');
+const {
+  SOURCES,
+  GROUP_BY,
+  getPaymentTermDays,
+  getUnbilledTime,
+  getUnbilledTasks,
+  buildLineItems,
+  claimWork,
+  releaseWork
+} = require('../utils/timeInvoicing');
 
 const router = express.Router();
 
+// Invoices waiting on (the rest of) their payment
+const OPEN_STATUSES = ['sent', 'viewed', 'partially-paid'];
+
+// Fields only the server sets: the invoice number, the status, the totals,
+// the payment ledger, credits, voiding, sending and sharing history, the
+// rate snapshot and where a generated recurring invoice came from
+const withoutServerFields = (data) => {
+  const {
+    invoiceNumber,
+    subtotal,
+    taxAmount,
+    withholdingAmount,
+    taxSummary,
+    discountAmount,
+    total,
+    payments,
+    amountPaid,
+    balanceDue,
+    creditedAmount,
+    voidedAt,
+    voidedBy,
+    voidReason,
+    recurringSource,
+    recurringPeriod,
+    status,
+    paidDate,
+    exchangeRate,
+    emailHistory,
+    remindersSent,
+    shareToken,
+    sharedAt,
+    firstViewedAt,
+    lastViewedAt,
+    viewCount,
+    ...fields
+  } = withoutOwnership(data);
+  return fields;
+};
+
+// Taxes of a line are given as tax profile IDs. Lines sent back as
+// returned by the API carry copies of the taxes instead, which name theirs.
+const getTaxProfileId = (tax) => (tax && typeof tax === 'object' ? tax.taxProfile : tax);
+
+const lineTaxValidators = [
+  body('items.*.taxes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('A line can have at most 5 taxes'),
+  body('items.*.taxes.*')
+    .custom(tax => /^[a-f\d]{24}$/i.test(String(getTaxProfileId(tax))))
+    .withMessage('Invalid tax profile ID')
+];
+
+// Replace the taxes of `items` with copies of the workspace's tax profiles.
+// Resolves with an error message when a profile is unknown, or when a line
+// mixes taxes included in its rate with taxes added on top.
+const applyTaxProfiles = async (workspaceId, items) => {
+  const ids = [...new Set(items.flatMap(item => (item.taxes || []).map(tax => String(getTaxProfileId(tax)))))];
+  const profiles = await TaxProfile.find({ _id: { $in: ids }, workspace: workspaceId });
+  const byId = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+
+  for (const item of items) {
+    if (!item.taxes) continue;
+
+    const taxes = [...new Set(item.taxes.map(tax => String(getTaxProfileId(tax))))].map(id => byId.get(id));
+    if (taxes.some(tax => !tax)) {
+      return 'Tax profile not found';
+    }
+
+    const charged = taxes.filter(tax => tax.type !== 'withholding' && !tax.reverseCharge);
+    if (charged.some(tax => tax.inclusive) && !charged.every(tax => tax.inclusive)) {
+      return `The taxes of "${item.description}" must either all be included in its rate or none`;
+    }
+
+    item.taxes = taxes.map(tax => tax.toSnapshot());
+  }
+
+  return null;
+};
+
+const recurringValidators = [
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring must be a boolean'),
+  body('recurringSettings.frequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(['weekly', 'monthly', 'quarterly', 'yearly'])
+    .withMessage('Frequency must be weekly, monthly, quarterly or yearly'),
+  body('recurringSettings.interval')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Interval must be between 1 and 52'),
+  body('recurringSettings.endDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+  body('recurringSettings.nextInvoiceDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid next invoice date is required'),
+  body('recurringSettings.autoSend')
+    .optional()
+    .isBoolean()
+    .withMessage('autoSend must be a boolean')
+];
+
 // @route   GET /api/invoices/stats/overview
 // @desc    Get invoice statistics
 // @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+router.get('/stats/overview', auth, requirePermission('invoices:read'), async (req, res) => {
   try {
-    const totalInvoices = await Invoice.countDocuments({ user: req.user.id });
-    const paidInvoices = await Invoice.countDocuments({ user: req.user.id, status: 'paid' });
+    const totalInvoices = await Invoice.countDocuments({ workspace: req.workspace._id });
+    const paidInvoices = await Invoice.countDocuments({ workspace: req.workspace._id, status: 'paid' });
     const pendingInvoices = await Invoice.countDocuments({ 
-      user: req.user.id, 
-      status: { $in: ['sent', 'viewed'] }
+      workspace: req.workspace._id, 
+      status: { $in: OPEN_STATUSES }
     });
-    const overdueInvoices = await Invoice.countDocuments({
-      user: req.user.id,
-      status: { $in: ['sent', 'viewed'] },
-      dueDate: { $lt: new Date() }
-    });
-
-    // Calculate total revenue
-    const revenueResult = await Invoice.aggregate([
-      { $match: { user: req.user._id, status: 'paid' } },
-      { $group: { _id: null, totalRevenue: { $sum: '$total' } } }
-    ]);
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+    const overdueInvoices = await Invoice.countDocuments({ workspace: req.workspace._id, status: 'overdue' });
 
-    // Calculate pending amount
-    const pendingResult = await Invoice.aggregate([
-      { $match: { user: req.user._id, status: { $in: ['sent', 'viewed'] } } },
-      { $group: { _id: null, pendingAmount: { $sum: '$total' } } }
-    ]);
-    const pendingAmount = pendingResult.length > 0 ? pendingResult[0].pendingAmount : 0;
+    // Amounts are reported in the user's base currency
+    const currency = req.user.baseCurrency;
+    const revenue = await getRevenue(req.workspace._id, currency);
+    const pending = await getOutstanding(req.workspace._id, currency);
 
     res.json({
       totalInvoices,
       paidInvoices,
       pendingInvoices,
       overdueInvoices,
-      totalRevenue,
-      pendingAmount
+      currency,
+      totalRevenue: revenue.total,
+      pendingAmount: pending.total,
+      revenueByCurrency: revenue.byCurrency,
+      pendingByCurrency: pending.byCurrency,
+      missingRates: [...new Set([...revenue.missingRates, ...pending.missingRates])]
     });
   } catch (error) {
     console.error('Get invoice stats error:', error);
@@ -53,13 +182,70 @@ router.get('/stats/overview', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/invoices/stats/tax-summary
+// @desc    Get the tax invoiced per currency and tax, net of credit notes
+// @access  Private
+router.get('/stats/tax-summary', auth, requirePermission('invoices:read'), [
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required')
+], validate, async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    const taxes = await getTaxSummary(req.workspace._id, { from, to });
+
+    res.json({
+      from,
+      to,
+      taxes
+    });
+  } catch (error) {
+    console.error('Get tax summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/invoices/email-template
+// @desc    Get the default invoice email template and its placeholders
+// @access  Private
+router.get('/email-template', auth, requirePermission('invoices:send'), (req, res) => {
+  res.json({
+    template: INVOICE_EMAIL_TEMPLATE,
+    placeholders: INVOICE_PLACEHOLDERS
+  });
+});
+
+// @route   GET /api/invoices/recurring/upcoming
+// @desc    Preview the invoices recurring invoices will generate
+// @access  Private
+router.get('/recurring/upcoming', auth, requirePermission('invoices:read'), [
+  query('days').optional().isInt({ min: 1, max: 366 }).withMessage('Days must be between 1 and 366'),
+  query('invoice').optional().isMongoId().withMessage('Invalid invoice ID')
+], validate, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 90;
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const query = { workspace: req.workspace._id };
+    if (req.query.invoice) query._id = req.query.invoice;
+
+    const upcoming = await previewRecurringInvoices(query, until);
+
+    res.json({ upcoming, until });
+  } catch (error) {
+    console.error('Preview recurring invoices error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/invoices
-// @desc    Get all invoices for the authenticated user
+// @desc    Get all invoices in the active workspace
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, requirePermission('invoices:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['draft', 'sent', 'viewed', 'paid', 'overdue', 'cancelled']).withMessage('Invalid status'),
+  query('status').optional().isIn(Invoice.schema.path('status').enumValues).withMessage('Invalid status'),
   query('client').optional().isMongoId().withMessage('Invalid client ID'),
   query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
 ], validate, async (req, res) => {
@@ -70,7 +256,7 @@ router.get('/', auth, [
     const { status, client, search } = req.query;
 
     // Build query
-    const query = { user: req.user.id };
+    const query = { workspace: req.workspace._id };
     if (status) query.status = status;
     if (client) query.client = client;
     if (search) {
@@ -107,11 +293,11 @@ router.get('/', auth, [
 // @route   GET /api/invoices/:id
 // @desc    Get invoice by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission('invoices:read'), async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     })
       .populate('client', 'name company email phone address')
       .populate('project', 'title description')
@@ -128,13 +314,101 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/invoices/:id/pdf
+// @desc    Download invoice as PDF
+// @access  Private
+router.get('/:id/pdf', auth, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    }).populate(INVOICE_DOCUMENT_POPULATE);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `${disposition}; filename="${getInvoicePdfFilename(invoice)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invoices/:id/share
+// @desc    Get the public link of an invoice, creating it if needed
+// @access  Private
+router.post('/:id/share', auth, requirePermission('invoices:send'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    }).select('+shareToken');
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (!invoice.shareToken) {
+      invoice.generateShareToken();
+      await invoice.save();
+    }
+
+    res.json({
+      message: 'Share link ready',
+      shareUrl: getInvoiceShareUrl(invoice.shareToken),
+      sharedAt: invoice.sharedAt
+    });
+  } catch (error) {
+    console.error('Share invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/invoices/:id/share
+// @desc    Revoke the public link of an invoice
+// @access  Private
+router.delete('/:id/share', auth, requirePermission('invoices:send'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: req.params.id, workspace: req.workspace._id },
+      { $unset: { shareToken: 1, sharedAt: 1 } },
+      { new: true }
+    );
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    res.json({
+      message: 'Share link revoked',
+      invoice
+    });
+  } catch (error) {
+    console.error('Revoke invoice share error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/invoices
 // @desc    Create a new invoice
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('invoices:create'), [
   body('client')
     .isMongoId()
     .withMessage('Valid client ID is required'),
+  body('issueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid issue date is required'),
   body('dueDate')
     .isISO8601()
     .withMessage('Valid due date is required'),
@@ -151,6 +425,7 @@ router.post('/', auth, [
   body('items.*.rate')
     .isFloat({ min: 0 })
     .withMessage('Rate must be a positive number'),
+  ...lineTaxValidators,
   body('taxRate')
     .optional()
     .isFloat({ min: 0, max: 100 })
@@ -158,24 +433,25 @@ router.post('/', auth, [
   body('discountRate')
     .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('Discount rate must be between 0 and 100')
+    .withMessage('Discount rate must be between 0 and 100'),
+  ...recurringValidators
 ], validate, async (req, res) => {
   try {
-    // Verify client belongs to user
+    // Verify client belongs to the workspace
     const client = await Client.findOne({
       _id: req.body.client,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!client) {
       return res.status(400).json({ message: 'Client not found or access denied' });
     }
 
-    // Verify project belongs to user if provided
+    // Verify project belongs to the workspace if provided
     if (req.body.project) {
       const project = await Project.findOne({
         _id: req.body.project,
-        user: req.user.id
+        workspace: req.workspace._id
       });
 
       if (!project) {
@@ -183,11 +459,19 @@ router.post('/', auth, [
       }
     }
 
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber(req.user.id);
+    const taxError = await applyTaxProfiles(req.workspace._id, req.body.items);
+    if (taxError) {
+      return res.status(400).json({ message: taxError });
+    }
+
+    const invoiceNumber = await generateInvoiceNumber(req.workspace._id, {
+      client,
+      date: req.body.issueDate ? new Date(req.body.issueDate) : new Date()
+    });
 
     const invoiceData = {
-      ...req.body,
+      ...withoutServerFields(req.body),
+      workspace: req.workspace._id,
       user: req.user.id,
       invoiceNumber
     };
@@ -195,6 +479,8 @@ router.post('/', auth, [
     const invoice = new Invoice(invoiceData);
     await invoice.save();
 
+    emitEvent(req, 'invoice.created', invoice, { total: invoice.total, currency: invoice.currency });
+
     // Populate for response
     await invoice.populate([
       { path: 'client', select: 'name company email' },
@@ -211,10 +497,139 @@ router.post('/', auth, [
   }
 });
 
+// @route   POST /api/invoices/from-time
+// @desc    Create a draft invoice from a client's unbilled time, or completed
+//          tasks, and mark it billed
+// @access  Private
+router.post('/from-time', auth, requirePermission('invoices:create'), [
+  body('client')
+    .isMongoId()
+    .withMessage('Valid client ID is required'),
+  body('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  body('source')
+    .optional()
+    .isIn(SOURCES)
+    .withMessage(`Source must be one of: ${SOURCES.join(', ')}`),
+  body('groupBy')
+    .optional()
+    .isIn(GROUP_BY)
+    .withMessage(`Group by must be one of: ${GROUP_BY.join(', ')}`),
+  body(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from and to dates are required'),
+  body('rate')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rate must be a positive number'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid due date is required'),
+  body('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Tax rate must be between 0 and 100')
+], validate, async (req, res) => {
+  try {
+    const { source = 'time', groupBy = 'task', from, to } = req.body;
+
+    const client = await Client.findOne({
+      _id: req.body.client,
+      workspace: req.workspace._id
+    });
+
+    if (!client) {
+      return res.status(400).json({ message: 'Client not found or access denied' });
+    }
+
+    const projectQuery = { workspace: req.workspace._id, client: client._id };
+    if (req.body.project) projectQuery._id = req.body.project;
+    const projects = await Project.find(projectQuery).select('title');
+
+    if (req.body.project && projects.length === 0) {
+      return res.status(400).json({ message: 'Project not found or access denied' });
+    }
+
+    const rate = req.body.rate !== undefined ? parseFloat(req.body.rate) : client.hourlyRate;
+    if (!rate) {
+      return res.status(400).json({ message: 'Set an hourly rate for the client, or give one' });
+    }
+
+    const projectIds = projects.map(project => project._id);
+    const units = source === 'tasks'
+      ? await getUnbilledTasks(req.workspace._id, projectIds, { from, to })
+      : await getUnbilledTime(req.workspace._id, projectIds, { from, to });
+
+    const items = buildLineItems(units, {
+      groupBy,
+      rate,
+      projectTitles: new Map(projects.map(project => [String(project._id), project.title]))
+    });
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        message: source === 'tasks' ? 'No unbilled completed tasks found' : 'No unbilled billable time found'
+      });
+    }
+
+    const issueDate = new Date();
+    const invoice = new Invoice({
+      client: client._id,
+      project: req.body.project,
+      workspace: req.workspace._id,
+      user: req.user.id,
+      issueDate,
+      dueDate: req.body.dueDate || new Date(issueDate.getTime() + getPaymentTermDays(client) * 24 * 60 * 60 * 1000),
+      currency: client.currency,
+      taxRate: req.body.taxRate,
+      items
+    });
+
+    // Claimed before the invoice exists, so the same time can never end up
+    // on two invoices created at once
+    const sources = units.map(unit => unit.source._id);
+    const claimed = await claimWork(invoice._id, source === 'tasks'
+      ? { timeEntries: [], tasks: sources }
+      : { timeEntries: sources, tasks: [] });
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Some of this work was invoiced at the same time, please try again' });
+    }
+
+    try {
+      invoice.invoiceNumber = await generateInvoiceNumber(req.workspace._id, { client, date: issueDate });
+      await invoice.save();
+    } catch (error) {
+      await releaseWork(invoice._id);
+      throw error;
+    }
+
+    emitEvent(req, 'invoice.created', invoice, { total: invoice.total, currency: invoice.currency });
+
+    await invoice.populate([
+      { path: 'client', select: 'name company email' },
+      { path: 'project', select: 'title' }
+    ]);
+
+    res.status(201).json({
+      message: 'Invoice created successfully',
+      invoice,
+      billed: units.length
+    });
+  } catch (error) {
+    console.error('Create invoice from time error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/invoices/:id
 // @desc    Update invoice
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, requirePermission('invoices:update'), [
   body('dueDate')
     .optional()
     .isISO8601()
@@ -236,10 +651,13 @@ router.put('/:id', auth, [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Rate must be a positive number'),
+  ...lineTaxValidators,
+  // Sending, payments and voiding have endpoints of their own, which check
+  // their own permissions; here a draft can only be cancelled
   body('status')
     .optional()
-    .isIn(['draft', 'sent', 'viewed', 'paid', 'overdue', 'cancelled'])
-    .withMessage('Invalid status'),
+    .isIn(['cancelled'])
+    .withMessage('Only cancelling a draft is possible here, use the send, payment and void actions otherwise'),
   body('taxRate')
     .optional()
     .isFloat({ min: 0, max: 100 })
@@ -247,12 +665,13 @@ router.put('/:id', auth, [
   body('discountRate')
     .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('Discount rate must be between 0 and 100')
+    .withMessage('Discount rate must be between 0 and 100'),
+  ...recurringValidators
 ], validate, async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!invoice) {
@@ -260,13 +679,47 @@ router.put('/:id', auth, [
     }
 
     // Don't allow editing paid invoices
-    if (invoice.status === 'paid' && req.body.status !== 'paid') {
+    if (invoice.status === 'paid') {
       return res.status(400).json({ message: 'Cannot modify paid invoice' });
     }
 
-    Object.assign(invoice, req.body);
+    if (req.body.status && invoice.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft invoices can be cancelled' });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({ message: 'Cannot modify void invoice' });
+    }
+
+    // The credit notes refer to the lines as they were
+    if (invoice.creditedAmount > 0) {
+      return res.status(400).json({ message: 'Cannot modify an invoice with credit notes, issue another credit note instead' });
+    }
+
+    // Payments were made against the amounts as they are
+    const changesAmounts = ['items', 'taxRate', 'discountRate', 'currency'].some(field => req.body[field] !== undefined);
+    if (invoice.amountPaid > 0 && changesAmounts) {
+      return res.status(400).json({ message: 'Cannot change the amounts of an invoice with payments, refund them first' });
+    }
+
+    const before = invoice.toObject();
+    const updates = withoutServerFields(req.body);
+
+    if (updates.items) {
+      const taxError = await applyTaxProfiles(req.workspace._id, updates.items);
+      if (taxError) {
+        return res.status(400).json({ message: taxError });
+      }
+    }
+
+    Object.assign(invoice, updates);
+    if (req.body.status) {
+      invoice.status = req.body.status;
+    }
     await invoice.save();
 
+    emitUpdateEvents(req, 'invoice', before, invoice, [...Object.keys(updates), 'status']);
+
     await invoice.populate([
       { path: 'client', select: 'name company email' },
       { path: 'project', select: 'title' }
@@ -283,35 +736,80 @@ router.put('/:id', auth, [
 });
 
 // @route   POST /api/invoices/:id/send
-// @desc    Send invoice to client
+// @desc    Email invoice to client with the PDF attached
 // @access  Private
-router.post('/:id/send', auth, async (req, res) => {
+router.post('/:id/send', auth, requirePermission('invoices:send'), [
+  body('to')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid recipient email'),
+  body('cc')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('CC must be a list of up to 10 emails'),
+  body('cc.*')
+    .isEmail()
+    .withMessage('Please provide valid CC emails'),
+  body('bcc')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('BCC must be a list of up to 10 emails'),
+  body('bcc.*')
+    .isEmail()
+    .withMessage('Please provide valid BCC emails'),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must not exceed 200 characters'),
+  body('message')
+    .optional()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Message must not exceed 5000 characters'),
+  body('attachPdf')
+    .optional()
+    .isBoolean()
+    .withMessage('attachPdf must be a boolean')
+], validate, async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.id
-    }).populate('client', 'name email');
+      workspace: req.workspace._id
+    })
+      .select('+shareToken')
+      .populate(INVOICE_DOCUMENT_POPULATE);
 
     if (!invoice) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
-    if (invoice.status === 'paid') {
-      return res.status(400).json({ message: 'Cannot send paid invoice' });
+    if (['paid', 'void'].includes(invoice.status)) {
+      return res.status(400).json({ message: `Cannot send ${invoice.status} invoice` });
+    }
+
+    if (!req.body.to && !invoice.client?.email) {
+      return res.status(400).json({ message: 'Client has no email address, please provide a recipient' });
     }
 
-    // Update status and add to email history
-    invoice.status = 'sent';
-    invoice.emailHistory.push({
-      sentTo: invoice.client.email,
-      subject: `Invoice ${invoice.invoiceNumber}`,
-      status: 'sent'
+    const { to, cc, bcc, subject, message, attachPdf } = req.body;
+    const { delivered, recipient, error: deliveryError } = await sendInvoiceEmail(invoice, {
+      to,
+      cc,
+      bcc,
+      subject,
+      message,
+      attachPdf
     });
 
-    await invoice.save();
+    if (!delivered) {
+      return res.status(502).json({
+        message: 'Invoice email could not be delivered',
+        error: deliveryError,
+        invoice
+      });
+    }
 
-    // In a real application, you would send the actual email here
-    // using a service like SendGrid, Mailgun, or AWS SES
+    emitEvent(req, 'invoice.sent', invoice, { sentTo: recipient });
 
     res.json({
       message: 'Invoice sent successfully',
@@ -324,23 +822,38 @@ router.post('/:id/send', auth, async (req, res) => {
 });
 
 // @route   PUT /api/invoices/:id/mark-paid
-// @desc    Mark invoice as paid
+// @desc    Mark invoice as paid by recording a payment of the balance due
 // @access  Private
-router.put('/:id/mark-paid', auth, async (req, res) => {
+router.put('/:id/mark-paid', auth, requirePermission('invoices:mark-paid'), async (req, res) => {
   try {
-    const invoice = await Invoice.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      { 
-        status: 'paid',
-        paidDate: new Date()
-      },
-      { new: true }
-    ).populate('client', 'name company email');
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    });
 
     if (!invoice) {
       return res.status(404).json({ message: 'Invoice not found' });
     }
 
+    if (['paid', 'cancelled', 'void'].includes(invoice.status)) {
+      return res.status(400).json({ message: `Cannot mark ${invoice.status} invoice as paid` });
+    }
+
+    const balance = invoice.getOutstandingBalance();
+    if (balance > 0) {
+      invoice.payments.push({
+        amount: balance,
+        method: invoice.paymentMethod,
+        recordedBy: req.user._id
+      });
+    } else {
+      invoice.status = 'paid';
+    }
+    await invoice.save();
+    await invoice.populate('client', 'name company email');
+
+    emitEvent(req, 'invoice.paid', invoice, { total: invoice.total, currency: invoice.currency });
+
     res.json({
       message: 'Invoice marked as paid',
       invoice
@@ -351,14 +864,389 @@ router.put('/:id/mark-paid', auth, async (req, res) => {
   }
 });
 
+// Load an invoice and one of its payments, or send a 404
+const loadPayment = async (req, res) => {
+  const invoice = await Invoice.findOne({
+    _id: req.params.id,
+    workspace: req.workspace._id
+  });
+
+  const payment = invoice?.payments.id(req.params.paymentId);
+  if (!payment) {
+    res.status(404).json({ message: invoice ? 'Payment not found' : 'Invoice not found' });
+    return {};
+  }
+
+  if (invoice.status === 'void') {
+    res.status(400).json({ message: 'Cannot change payments of a void invoice' });
+    return {};
+  }
+
+  return { invoice, payment };
+};
+
+// @route   POST /api/invoices/:id/payments
+// @desc    Record a (partial) payment
+// @access  Private
+router.post('/:id/payments', auth, requirePermission('invoices:mark-paid'), [
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Payment amount must be a positive number'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid payment date is required'),
+  body('method')
+    .optional()
+    .isIn(Invoice.schema.path('paymentMethod').enumValues)
+    .withMessage('Invalid payment method'),
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+], validate, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (['paid', 'cancelled', 'void'].includes(invoice.status)) {
+      return res.status(400).json({ message: `Cannot record a payment on a ${invoice.status} invoice` });
+    }
+
+    const amount = parseFloat(req.body.amount);
+    const balance = invoice.getOutstandingBalance();
+    if (amount > balance) {
+      return res.status(400).json({
+        message: `Payment exceeds the balance due of ${balance} ${invoice.currency}`
+      });
+    }
+
+    invoice.payments.push({
+      amount,
+      date: req.body.date,
+      method: req.body.method || invoice.paymentMethod,
+      reference: req.body.reference,
+      notes: req.body.notes,
+      recordedBy: req.user._id
+    });
+    await invoice.save();
+
+    const payment = invoice.payments[invoice.payments.length - 1];
+
+    emitEvent(req, 'invoice.payment_recorded', invoice, {
+      amount,
+      currency: invoice.currency,
+      balanceDue: invoice.balanceDue
+    });
+    if (invoice.status === 'paid') {
+      emitEvent(req, 'invoice.paid', invoice, { total: invoice.total, currency: invoice.currency });
+    }
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment,
+      invoice
+    });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invoices/:id/payments/:paymentId/refund
+// @desc    Refund a payment; it stays in the ledger but no longer counts
+// @access  Private
+router.post('/:id/payments/:paymentId/refund', auth, requirePermission('invoices:mark-paid'), [
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  param('paymentId').isMongoId().withMessage('Invalid payment ID'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], validate, async (req, res) => {
+  try {
+    const { invoice, payment } = await loadPayment(req, res);
+    if (!payment) return;
+
+    if (payment.refundedAt) {
+      return res.status(400).json({ message: 'Payment has already been refunded' });
+    }
+
+    payment.refundedAt = new Date();
+    payment.refundedBy = req.user._id;
+    payment.refundReason = req.body.reason;
+    await invoice.save();
+
+    emitEvent(req, 'invoice.payment_refunded', invoice, {
+      amount: payment.amount,
+      currency: invoice.currency,
+      balanceDue: invoice.balanceDue
+    });
+
+    res.json({
+      message: 'Payment refunded successfully',
+      payment,
+      invoice
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/invoices/:id/payments/:paymentId
+// @desc    Delete a payment recorded by mistake
+// @access  Private
+router.delete('/:id/payments/:paymentId', auth, requirePermission('invoices:mark-paid'), [
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  param('paymentId').isMongoId().withMessage('Invalid payment ID')
+], validate, async (req, res) => {
+  try {
+    const { invoice, payment } = await loadPayment(req, res);
+    if (!payment) return;
+
+    payment.deleteOne();
+    await invoice.save();
+
+    emitEvent(req, 'invoice.payment_deleted', invoice, {
+      amount: payment.amount,
+      currency: invoice.currency,
+      balanceDue: invoice.balanceDue
+    });
+
+    res.json({
+      message: 'Payment deleted successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Delete payment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invoices/:id/void
+// @desc    Void an issued invoice; it keeps its number but leaves revenue
+// @access  Private
+router.post('/:id/void', auth, requirePermission('invoices:void'), [
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], validate, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({ message: 'Invoice is already void' });
+    }
+
+    invoice.status = 'void';
+    invoice.voidedAt = new Date();
+    invoice.voidedBy = req.user._id;
+    invoice.voidReason = req.body.reason;
+    // A void invoice no longer generates new ones
+    invoice.isRecurring = false;
+    invoice.recurringSettings.nextInvoiceDate = undefined;
+    await invoice.save();
+    // The time and tasks it billed can go on another invoice
+    await releaseWork(invoice._id);
+    await invoice.populate('client', 'name company email');
+
+    emitEvent(req, 'invoice.voided', invoice, {
+      total: invoice.total,
+      currency: invoice.currency,
+      reason: invoice.voidReason
+    });
+
+    res.json({
+      message: 'Invoice voided successfully',
+      invoice
+    });
+  } catch (error) {
+    console.error('Void invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/invoices/:id/credit-notes
+// @desc    Get the credit notes issued against an invoice
+// @access  Private
+router.get('/:id/credit-notes', auth, requirePermission('invoices:read'), [
+  param('id').isMongoId().withMessage('Invalid invoice ID')
+], validate, async (req, res) => {
+  try {
+    const creditNotes = await CreditNote.find({
+      invoice: req.params.id,
+      workspace: req.workspace._id
+    }).sort({ issueDate: 1 });
+
+    res.json({ creditNotes });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invoices/:id/credit-notes
+// @desc    Credit an invoice in full, or some quantity of some of its lines
+// @access  Private
+router.post('/:id/credit-notes', auth, requirePermission('invoices:credit'), [
+  param('id').isMongoId().withMessage('Invalid invoice ID'),
+  body('items')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Select at least one line to credit'),
+  body('items.*.item')
+    .isMongoId()
+    .withMessage('Invalid invoice line'),
+  body('items.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Credited quantity must be a positive number'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], validate, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    // Drafts are still edited directly
+    if (['draft', 'cancelled', 'void'].includes(invoice.status)) {
+      return res.status(400).json({ message: `Cannot credit ${invoice.status} invoice` });
+    }
+
+    // What is left to credit on each line
+    const credited = await CreditNote.getCreditedQuantities(invoice._id);
+    const remaining = Object.fromEntries(invoice.items.map(item => [
+      item._id.toString(),
+      Math.max(item.quantity - (credited[item._id.toString()] || 0), 0)
+    ]));
+
+    const quantities = {};
+    if (req.body.items) {
+      for (const { item, quantity } of req.body.items) {
+        const line = invoice.items.id(item);
+        if (!line) {
+          return res.status(400).json({ message: 'Invoice line not found' });
+        }
+
+        const key = line._id.toString();
+        quantities[key] = (quantities[key] || 0) + parseFloat(quantity);
+        if (quantities[key] > remaining[key]) {
+          return res.status(400).json({
+            message: `Only ${remaining[key]} of "${line.description}" is left to credit`
+          });
+        }
+      }
+    } else {
+      Object.assign(quantities, remaining);
+    }
+
+    const amounts = CreditNote.calculate(invoice, quantities);
+    const creditable = roundMoney(invoice.total - invoice.creditedAmount);
+    if (amounts.total <= 0 || creditable <= 0) {
+      return res.status(400).json({ message: 'Nothing is left to credit on this invoice' });
+    }
+    // Rounding per line must never credit more than the invoice
+    amounts.total = Math.min(amounts.total, creditable);
+
+    // The credit first clears what the client still owes
+    const appliedToBalance = Math.min(amounts.total, invoice.getOutstandingBalance());
+    const refundDue = roundMoney(amounts.total - appliedToBalance);
+
+    // Saved only if no other credit note was issued in the meantime
+    invoice.$where = { creditedAmount: invoice.creditedAmount };
+    invoice.creditedAmount = roundMoney(invoice.creditedAmount + amounts.total);
+    try {
+      await invoice.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        return res.status(409).json({ message: 'The invoice was credited at the same time, please try again' });
+      }
+      throw error;
+    }
+
+    let creditNote;
+    try {
+      creditNote = await CreditNote.create({
+        ...amounts,
+        appliedToBalance,
+        refundDue,
+        creditNoteNumber: await generateCreditNoteNumber(req.workspace._id, { client: invoice.client }),
+        invoice: invoice._id,
+        client: invoice.client,
+        workspace: req.workspace._id,
+        user: req.user._id,
+        currency: invoice.currency,
+        reason: req.body.reason
+      });
+    } catch (error) {
+      // Give the credit back to the invoice so it can be issued again
+      const reverted = await Invoice.findById(invoice._id);
+      reverted.creditedAmount = roundMoney(reverted.creditedAmount - amounts.total);
+      await reverted.save();
+      throw error;
+    }
+
+    emitEvent(req, 'invoice.credited', invoice, {
+      creditNoteNumber: creditNote.creditNoteNumber,
+      amount: creditNote.total,
+      currency: creditNote.currency,
+      refundDue
+    });
+
+    await invoice.populate('client', 'name company email');
+
+    res.status(201).json({
+      message: refundDue > 0
+        ? `Credit note ${creditNote.creditNoteNumber} issued, ${refundDue} ${creditNote.currency} is due back to the client`
+        : `Credit note ${creditNote.creditNoteNumber} issued`,
+      creditNote,
+      invoice
+    });
+  } catch (error) {
+    console.error('Create credit note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/invoices/:id
 // @desc    Delete invoice
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('invoices:delete'), async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!invoice) {
@@ -369,7 +1257,19 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete paid invoice' });
     }
 
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({ message: 'Cannot delete an invoice with payments, delete or refund them first' });
+    }
+
+    // Voided and credited invoices stay for the record
+    if (invoice.status === 'void' || invoice.creditedAmount > 0) {
+      return res.status(400).json({ message: `Cannot delete ${invoice.status === 'void' ? 'a void invoice' : 'an invoice with credit notes'}` });
+    }
+
     await Invoice.findByIdAndDelete(req.params.id);
+    await releaseWork(invoice._id);
+
+    emitEvent(req, 'invoice.deleted', invoice);
 
     res.json({ message: 'Invoice deleted successfully' });
   } catch (error) {
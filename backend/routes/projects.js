@@ -4,34 +4,38 @@ const Project = require('../models/Project');
 const Task = require('../models/Task');
 const Client = require('../models/Client');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const validate = require('../middleware/validate');
+const { withoutOwnership } = require('../utils/workspaces');
+const { emitEvent, emitUpdateEvents } = require('../utils/events');
+const { syncOverdueState } = require('../utils/overdueProjects');
 
 const router = express.Router();
 
 // @route   GET /api/projects/stats/overview
 // @desc    Get project statistics
 // @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+router.get('/stats/overview', auth, requirePermission('projects:read'), async (req, res) => {
   try {
     const totalProjects = await Project.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       isArchived: false 
     });
     
     const activeProjects = await Project.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       status: 'active',
       isArchived: false 
     });
     
     const completedProjects = await Project.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       status: 'completed',
       isArchived: false 
     });
     
     const overdueProjects = await Project.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $nin: ['completed', 'cancelled'] },
       dueDate: { $lt: new Date() },
       isArchived: false
@@ -50,9 +54,9 @@ router.get('/stats/overview', auth, async (req, res) => {
 });
 
 // @route   GET /api/projects
-// @desc    Get all projects for the authenticated user
+// @desc    Get all projects in the active workspace
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, requirePermission('projects:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status').optional().isIn(['planning', 'active', 'on-hold', 'completed', 'cancelled']).withMessage('Invalid status'),
@@ -67,7 +71,7 @@ router.get('/', auth, [
     const { status, priority, client, search } = req.query;
 
     // Build query
-    const query = { user: req.user.id, isArchived: false };
+    const query = { workspace: req.workspace._id, isArchived: false };
     if (status) query.status = status;
     if (priority) query.priority = priority;
     if (client) query.client = client;
@@ -106,11 +110,11 @@ router.get('/', auth, [
 // @route   GET /api/projects/:id
 // @desc    Get project by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission('projects:read'), async (req, res) => {
   try {
     const project = await Project.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     })
       .populate('client', 'name company email phone')
       .populate('tasksCount')
@@ -123,7 +127,7 @@ router.get('/:id', auth, async (req, res) => {
     // Get recent tasks for this project
     const recentTasks = await Task.find({
       project: project._id,
-      user: req.user.id
+      workspace: req.workspace._id
     })
       .sort({ createdAt: -1 })
       .limit(10)
@@ -142,7 +146,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/projects
 // @desc    Create a new project
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('projects:create'), [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -175,24 +179,29 @@ router.post('/', auth, [
     .withMessage('Estimated hours must be a positive number')
 ], validate, async (req, res) => {
   try {
-    // Verify client belongs to user
+    // Verify client belongs to the workspace
     const client = await Client.findOne({
       _id: req.body.client,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!client) {
       return res.status(400).json({ message: 'Client not found or access denied' });
     }
 
+    // Actual hours are rolled up from time entries
+    const { actualHours, overdueNotified, ...fields } = req.body;
     const projectData = {
-      ...req.body,
+      ...fields,
+      workspace: req.workspace._id,
       user: req.user.id
     };
 
     const project = new Project(projectData);
     await project.save();
 
+    emitEvent(req, 'project.created', project);
+
     // Populate client data for response
     await project.populate('client', 'name company email');
 
@@ -209,7 +218,7 @@ router.post('/', auth, [
 // @route   PUT /api/projects/:id
 // @desc    Update project
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, requirePermission('projects:update'), [
   body('title')
     .optional()
     .trim()
@@ -242,16 +251,20 @@ router.put('/:id', auth, [
   body('estimatedHours')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Estimated hours must be a positive number'),
-  body('actualHours')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Actual hours must be a positive number')
+    .withMessage('Estimated hours must be a positive number')
 ], validate, async (req, res) => {
   try {
+    const existing = await Project.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    // Actual hours are rolled up from time entries
+    const { actualHours, overdueNotified, ...updates } = withoutOwnership(req.body);
     const project = await Project.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
+      { _id: existing._id, workspace: req.workspace._id },
+      updates,
       { new: true, runValidators: true }
     ).populate('client', 'name company email');
 
@@ -259,6 +272,11 @@ router.put('/:id', auth, [
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    emitUpdateEvents(req, 'project', existing, project, Object.keys(updates));
+
+    // Moving the due date into the past (or reopening a late project) makes it overdue
+    await syncOverdueState(req, project);
+
     res.json({
       message: 'Project updated successfully',
       project
@@ -272,12 +290,12 @@ router.put('/:id', auth, [
 // @route   DELETE /api/projects/:id
 // @desc    Delete project
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('projects:delete'), async (req, res) => {
   try {
     // Check if project has tasks
     const taskCount = await Task.countDocuments({
       project: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (taskCount > 0) {
@@ -288,13 +306,15 @@ router.delete('/:id', auth, async (req, res) => {
 
     const project = await Project.findOneAndDelete({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    emitEvent(req, 'project.deleted', project);
+
     res.json({ message: 'Project deleted successfully' });
   } catch (error) {
     console.error('Delete project error:', error);
@@ -305,12 +325,12 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   PUT /api/projects/:id/archive
 // @desc    Archive/unarchive project
 // @access  Private
-router.put('/:id/archive', auth, async (req, res) => {
+router.put('/:id/archive', auth, requirePermission('projects:archive'), async (req, res) => {
   try {
     const { isArchived } = req.body;
 
     const project = await Project.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
+      { _id: req.params.id, workspace: req.workspace._id },
       { isArchived: Boolean(isArchived) },
       { new: true }
     ).populate('client', 'name company email');
@@ -319,6 +339,8 @@ router.put('/:id/archive', auth, async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    emitEvent(req, isArchived ? 'project.archived' : 'project.unarchived', project);
+
     res.json({
       message: `Project ${isArchived ? 'archived' : 'unarchived'} successfully`,
       project
@@ -0,0 +1,160 @@
+const express = require('express');
+const { param } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const validate = require('../middleware/validate');
+const { emitEvent } = require('../utils/events');
+const {
+  INVOICE_DOCUMENT_POPULATE,
+  renderInvoicePdf,
+  getInvoicePdfFilename
+} = require('../utils/invoicePdf');
+
+const router = express.Router();
+
+const tokenValidator = [
+  param('token').isHexadecimal().isLength({ min: 32, max: 128 }).withMessage('Invalid link')
+];
+
+// Only what the client needs to see; internal fields such as the email
+// history, workspace or view statistics stay private
+const toPublicInvoice = (invoice) => {
+  const sender = invoice.user || {};
+  const client = invoice.client || {};
+
+  return {
+    invoiceNumber: invoice.invoiceNumber,
+    status: invoice.status,
+    issueDate: invoice.issueDate,
+    dueDate: invoice.dueDate,
+    paidDate: invoice.paidDate,
+    currency: invoice.currency,
+    items: invoice.items.map(({ description, quantity, rate, amount, taxes }) => ({
+      description,
+      quantity,
+      rate,
+      amount,
+      taxes: taxes.map(({ name, rate }) => ({ name, rate }))
+    })),
+    subtotal: invoice.subtotal,
+    taxRate: invoice.taxRate,
+    taxAmount: invoice.taxAmount,
+    withholdingAmount: invoice.withholdingAmount,
+    taxSummary: invoice.taxSummary.map(({ name, type, rate, inclusive, reverseCharge, note, base, amount }) => ({
+      name,
+      type,
+      rate,
+      inclusive,
+      reverseCharge,
+      note,
+      base,
+      amount
+    })),
+    discountRate: invoice.discountRate,
+    discountAmount: invoice.discountAmount,
+    total: invoice.total,
+    amountPaid: invoice.amountPaid,
+    creditedAmount: invoice.creditedAmount,
+    balanceDue: invoice.getOutstandingBalance(),
+    notes: invoice.notes,
+    terms: invoice.terms,
+    paymentMethod: invoice.paymentMethod,
+    paymentDetails: invoice.paymentDetails,
+    project: invoice.project ? { title: invoice.project.title } : null,
+    from: {
+      name: sender.name,
+      company: sender.company,
+      email: sender.email,
+      phone: sender.phone,
+      website: sender.website,
+      taxNumber: sender.taxNumber
+    },
+    billTo: {
+      name: client.name,
+      company: client.company,
+      email: client.email,
+      address: client.fullAddress,
+      taxNumber: client.taxNumber
+    }
+  };
+};
+
+// Record a view of a shared invoice. The first view of a sent invoice moves
+// it to "viewed"; since the link reaches the client by email, the delivered
+// emails are marked as opened at the same time.
+const recordInvoiceView = async (req, invoice) => {
+  const now = new Date();
+
+  await Invoice.updateOne({ _id: invoice._id }, {
+    $inc: { viewCount: 1 },
+    $set: { lastViewedAt: now },
+    $min: { firstViewedAt: now }
+  });
+
+  // Conditional on the status so concurrent first views transition once
+  const viewed = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, status: 'sent' },
+    {
+      $set: {
+        status: 'viewed',
+        'emailHistory.$[entry].status': 'opened'
+      }
+    },
+    {
+      new: true,
+      arrayFilters: [{ 'entry.status': 'delivered' }]
+    }
+  );
+
+  if (viewed) {
+    emitEvent(req, 'invoice.viewed', viewed, { from: 'sent', to: 'viewed' });
+  }
+};
+
+// @route   GET /api/public/invoices/:token
+// @desc    Get a shared invoice by its public link
+// @access  Public
+router.get('/invoices/:token', tokenValidator, validate, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ shareToken: req.params.token })
+      .populate(INVOICE_DOCUMENT_POPULATE);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    await recordInvoiceView(req, invoice);
+
+    res.json({ invoice: toPublicInvoice(invoice) });
+  } catch (error) {
+    console.error('Get public invoice error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/public/invoices/:token/pdf
+// @desc    Download a shared invoice as PDF
+// @access  Public
+router.get('/invoices/:token/pdf', tokenValidator, validate, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ shareToken: req.params.token })
+      .populate(INVOICE_DOCUMENT_POPULATE);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `attachment; filename="${getInvoicePdfFilename(invoice)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Public invoice PDF error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
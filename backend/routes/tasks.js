@@ -1,42 +1,123 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
+const TimeEntry = require('../models/TimeEntry');
 const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
 const validate = require('../middleware/validate');
+const { withoutOwnership } = require('../utils/workspaces');
+const { emitEvent, emitUpdateEvents } = require('../utils/events');
+const {
+  SCOPES,
+  startSeries,
+  updateRecurrence,
+  updateFutureOccurrences,
+  stopSeries,
+  handleTaskCompleted
+} = require('../utils/recurringTasks');
+const {
+  BLOCKED_STATUSES,
+  linkTasks,
+  unlinkTasks,
+  removeDependencyLinks,
+  getOpenBlockers,
+  withBlockers
+} = require('../utils/taskDependencies');
 
 const router = express.Router();
 
+// Fields the server sets (the series an occurrence belongs to, hours
+// rolled up from time entries, when it was completed), fields with
+// endpoints of their own, and request options
+const withoutServerFields = (data) => {
+  const {
+    series,
+    seriesPeriod,
+    actualHours,
+    completedDate,
+    dependencies,
+    scope,
+    ignoreBlockers,
+    ...fields
+  } = withoutOwnership(data);
+  return fields;
+};
+
+const recurringValidators = [
+  body('recurring.isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('isRecurring must be a boolean'),
+  body('recurring.frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Frequency must be daily, weekly, monthly or yearly'),
+  body('recurring.interval')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365'),
+  body('recurring.endDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Valid end date is required')
+];
+
+// Occurrences of a recurring task are edited or deleted on their own
+// ("this"), or together with the occurrences after them ("future")
+const scopeValidator = (location) => location('scope')
+  .optional()
+  .isIn(SCOPES)
+  .withMessage(`Scope must be one of: ${SCOPES.join(', ')}`);
+
+// What a status change of `task` sets besides the status. Updates skip the
+// pre-save hook, so the completion date is kept the same way here.
+const completionUpdates = (task, status) => {
+  if (!status || status === task.status) return {};
+
+  if (status === 'completed') {
+    return task.completedDate ? {} : { completedDate: new Date(), progress: 100 };
+  }
+  return task.completedDate ? { $unset: { completedDate: 1 } } : {};
+};
+
+// Refuse a status change of a task with open blockers
+const sendBlocked = (res, blockers) => res.status(409).json({
+  message: `This task is blocked by ${blockers.length === 1 ? `"${blockers[0].title}"` : `${blockers.length} open tasks`}`,
+  blockers
+});
+
 // @route   GET /api/tasks/stats/overview
 // @desc    Get task statistics
 // @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+router.get('/stats/overview', auth, requirePermission('tasks:read'), async (req, res) => {
   try {
     const totalTasks = await Task.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       isArchived: false 
     });
     
     const todoTasks = await Task.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       status: 'todo',
       isArchived: false 
     });
     
     const inProgressTasks = await Task.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       status: 'in-progress',
       isArchived: false 
     });
     
     const completedTasks = await Task.countDocuments({ 
-      user: req.user.id, 
+      workspace: req.workspace._id, 
       status: 'completed',
       isArchived: false 
     });
     
     const overdueTasks = await Task.countDocuments({
-      user: req.user.id,
+      workspace: req.workspace._id,
       status: { $nin: ['completed', 'cancelled'] },
       dueDate: { $lt: new Date() },
       isArchived: false
@@ -56,29 +137,32 @@ router.get('/stats/overview', auth, async (req, res) => {
 });
 
 // @route   GET /api/tasks
-// @desc    Get all tasks for the authenticated user
+// @desc    Get all tasks in the active workspace
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, requirePermission('tasks:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('status').optional().isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled']).withMessage('Invalid status'),
   query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']).withMessage('Invalid priority'),
   query('project').optional().isMongoId().withMessage('Invalid project ID'),
   query('assignedTo').optional().isMongoId().withMessage('Invalid user ID'),
-  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long')
+  query('series').optional().isMongoId().withMessage('Invalid series ID'),
+  query('search').optional().isLength({ max: 100 }).withMessage('Search term too long'),
+  query('sort').optional().isIn(['dueDate', 'position']).withMessage('Sort must be dueDate or position')
 ], validate, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { status, priority, project, assignedTo, search } = req.query;
+    const { status, priority, project, assignedTo, series, search } = req.query;
 
     // Build query
-    const query = { user: req.user.id, isArchived: false };
+    const query = { workspace: req.workspace._id, isArchived: false };
     if (status) query.status = status;
     if (priority) query.priority = priority;
     if (project) query.project = project;
     if (assignedTo) query.assignedTo = assignedTo;
+    if (series) query.series = series;
     if (search) {
       query.$or = [
         { title: { $regex: search, $options: 'i' } },
@@ -96,14 +180,15 @@ router.get('/', auth, [
           select: 'name company'
         }
       })
-      .sort({ dueDate: 1, priority: -1 })
+      // _id breaks ties, so the board reads the same order page by page
+      .sort(req.query.sort === 'position' ? { position: 1, dueDate: 1, _id: 1 } : { dueDate: 1, priority: -1 })
       .skip(skip)
       .limit(limit);
 
     const total = await Task.countDocuments(query);
 
     res.json({
-      tasks,
+      tasks: await withBlockers(tasks),
       pagination: {
         page,
         limit,
@@ -120,11 +205,11 @@ router.get('/', auth, [
 // @route   GET /api/tasks/:id
 // @desc    Get task by ID
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requirePermission('tasks:read'), async (req, res) => {
   try {
     const task = await Task.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     })
       .populate('project', 'title client dueDate')
       .populate('assignedTo', 'name email avatar')
@@ -141,7 +226,9 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    res.json({ task });
+    const [taskWithBlockers] = await withBlockers([task]);
+
+    res.json({ task: taskWithBlockers });
   } catch (error) {
     console.error('Get task error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -151,7 +238,7 @@ router.get('/:id', auth, async (req, res) => {
 // @route   POST /api/tasks
 // @desc    Create a new task
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, requirePermission('tasks:create'), [
   body('title')
     .trim()
     .isLength({ min: 1, max: 200 })
@@ -177,34 +264,65 @@ router.post('/', auth, [
   body('estimatedHours')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Estimated hours must be a positive number')
+    .withMessage('Estimated hours must be a positive number'),
+  body('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+  ...recurringValidators
 ], validate, async (req, res) => {
   try {
-    // Verify project belongs to user
+    // Verify project belongs to the workspace
     const project = await Project.findOne({
       _id: req.body.project,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!project) {
       return res.status(400).json({ message: 'Project not found or access denied' });
     }
 
+    // Tasks can only be assigned to members of the workspace
+    if (req.body.assignedTo && !req.workspace.getMember(req.body.assignedTo)) {
+      return res.status(400).json({ message: 'Assignee is not a member of this workspace' });
+    }
+
+    // Assigning work to someone else is a separate permission
+    if (req.body.assignedTo && req.body.assignedTo !== req.user.id && !hasPermission(req, 'tasks:assign')) {
+      return res.status(403).json({
+        message: 'You do not have permission to assign tasks',
+        permission: 'tasks:assign'
+      });
+    }
+
+    // New tasks go to the bottom of their column on the board
+    const last = await Task.findOne({ workspace: req.workspace._id, status: req.body.status || 'todo' })
+      .sort({ position: -1 })
+      .select('position');
+
     const taskData = {
-      ...req.body,
+      ...withoutServerFields(req.body),
+      workspace: req.workspace._id,
       user: req.user.id,
-      assignedTo: req.body.assignedTo || req.user.id
+      assignedTo: req.body.assignedTo || req.user.id,
+      position: last ? last.position + 1 : 0
     };
 
     const task = new Task(taskData);
     await task.save();
 
+    if (task.recurring.isRecurring) {
+      await startSeries(task);
+    }
+
     // Populate for response
     await task.populate([
       { path: 'project', select: 'title client' },
       { path: 'assignedTo', select: 'name email avatar' }
     ]);
 
+    emitEvent(req, 'task.created', task);
+
     res.status(201).json({
       message: 'Task created successfully',
       task
@@ -215,10 +333,105 @@ router.post('/', auth, [
   }
 });
 
+// @route   PUT /api/tasks/reorder
+// @desc    Move a task on the board: into a status column, before another
+//          task of it or to its end
+// @access  Private
+router.put('/reorder', auth, requirePermission('tasks:update'), [
+  body('task')
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  body('status')
+    .isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled'])
+    .withMessage('Invalid status'),
+  body('before')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  body('ignoreBlockers')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreBlockers must be a boolean')
+], validate, async (req, res) => {
+  try {
+    const { status, before } = req.body;
+
+    const existing = await Task.findOne({ _id: req.body.task, workspace: req.workspace._id });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // Same rules as changing the status through PUT /api/tasks/:id
+    if (BLOCKED_STATUSES.includes(status) && status !== existing.status && !req.body.ignoreBlockers) {
+      const blockers = await getOpenBlockers(existing);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    // The whole column is renumbered here, so positions stay unique however
+    // much of the board the client has loaded
+    const column = await Task.find({ workspace: req.workspace._id, status, _id: { $ne: existing._id } })
+      .sort({ position: 1, dueDate: 1, _id: 1 })
+      .select('position');
+
+    let index = column.length;
+    if (before) {
+      index = column.findIndex(entry => String(entry._id) === before);
+      if (index === -1) {
+        return res.status(400).json({ message: `The task to move before must have the status ${status}` });
+      }
+    }
+    column.splice(index, 0, existing);
+
+    const task = await Task.findOneAndUpdate(
+      { _id: existing._id, workspace: req.workspace._id },
+      { status, position: index, ...completionUpdates(existing, status) },
+      { new: true, runValidators: true }
+    );
+
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const moved = column
+      .map((entry, position) => ({ entry, position }))
+      .filter(({ entry, position }) => entry !== existing && entry.position !== position);
+    await Task.auditedBulkWrite(moved.map(({ entry, position }) => ({
+      updateOne: {
+        filter: { _id: entry._id, workspace: req.workspace._id },
+        update: { position }
+      }
+    })));
+
+    let nextOccurrence = null;
+    if (existing.status !== 'completed' && task.status === 'completed') {
+      nextOccurrence = await handleTaskCompleted(task);
+    }
+
+    await task.populate([
+      { path: 'project', select: 'title client' },
+      { path: 'assignedTo', select: 'name email avatar' }
+    ]);
+
+    emitUpdateEvents(req, 'task', existing, task, ['status']);
+
+    res.json({
+      message: 'Task moved successfully',
+      task,
+      nextOccurrence
+    });
+  } catch (error) {
+    console.error('Reorder tasks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/tasks/:id
-// @desc    Update task
+// @desc    Update task; with scope=future also the later occurrences of its series
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, requirePermission('tasks:update'), [
   body('title')
     .optional()
     .trim()
@@ -248,27 +461,83 @@ router.put('/:id', auth, [
     .optional()
     .isFloat({ min: 0 })
     .withMessage('Estimated hours must be a positive number'),
-  body('actualHours')
+  body('assignedTo')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Actual hours must be a positive number')
+    .isMongoId()
+    .withMessage('Invalid assignee ID'),
+  body('ignoreBlockers')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreBlockers must be a boolean'),
+  ...recurringValidators,
+  scopeValidator(body)
 ], validate, async (req, res) => {
   try {
+    if (req.body.assignedTo && !req.workspace.getMember(req.body.assignedTo)) {
+      return res.status(400).json({ message: 'Assignee is not a member of this workspace' });
+    }
+
+    if (req.body.assignedTo && !hasPermission(req, 'tasks:assign')) {
+      return res.status(403).json({
+        message: 'You do not have permission to assign tasks',
+        permission: 'tasks:assign'
+      });
+    }
+
+    const existing = await Task.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const updates = withoutServerFields(req.body);
+
+    // Work can't start or finish before what blocks it is done, unless the
+    // user says so
+    if (BLOCKED_STATUSES.includes(updates.status) && updates.status !== existing.status && !req.body.ignoreBlockers) {
+      const blockers = await getOpenBlockers(existing);
+      if (blockers.length > 0) {
+        return sendBlocked(res, blockers);
+      }
+    }
+
+    if (req.body.scope === 'future' && existing.series) {
+      const seriesError = await updateFutureOccurrences(existing, updates);
+      if (seriesError) {
+        return res.status(400).json({ message: seriesError });
+      }
+    }
+
     const task = await Task.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
-      req.body,
+      { _id: existing._id, workspace: req.workspace._id },
+      { ...updates, ...completionUpdates(existing, updates.status) },
       { new: true, runValidators: true }
-    )
-      .populate('project', 'title client')
-      .populate('assignedTo', 'name email avatar');
+    );
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    if (req.body.recurring) {
+      await updateRecurrence(task, req.body.recurring);
+    }
+
+    let nextOccurrence = null;
+    if (existing.status !== 'completed' && task.status === 'completed') {
+      nextOccurrence = await handleTaskCompleted(task);
+    }
+
+    await task.populate([
+      { path: 'project', select: 'title client' },
+      { path: 'assignedTo', select: 'name email avatar' }
+    ]);
+
+    emitUpdateEvents(req, 'task', existing, task, Object.keys(updates));
+
     res.json({
       message: 'Task updated successfully',
-      task
+      task,
+      nextOccurrence
     });
   } catch (error) {
     console.error('Update task error:', error);
@@ -279,7 +548,7 @@ router.put('/:id', auth, [
 // @route   POST /api/tasks/:id/comments
 // @desc    Add comment to task
 // @access  Private
-router.post('/:id/comments', auth, [
+router.post('/:id/comments', auth, requirePermission('tasks:comment'), [
   body('text')
     .trim()
     .isLength({ min: 1, max: 500 })
@@ -288,7 +557,7 @@ router.post('/:id/comments', auth, [
   try {
     const task = await Task.findOne({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!task) {
@@ -306,6 +575,8 @@ router.post('/:id/comments', auth, [
     // Populate the new comment
     await task.populate('comments.author', 'name avatar');
 
+    emitEvent(req, 'task.commented', task, { comment: req.body.text.slice(0, 140) });
+
     res.status(201).json({
       message: 'Comment added successfully',
       comment: task.comments[task.comments.length - 1]
@@ -319,7 +590,7 @@ router.post('/:id/comments', auth, [
 // @route   PUT /api/tasks/:id/checklist
 // @desc    Update task checklist
 // @access  Private
-router.put('/:id/checklist', auth, [
+router.put('/:id/checklist', auth, requirePermission('tasks:update'), [
   body('checklist')
     .isArray()
     .withMessage('Checklist must be an array'),
@@ -330,7 +601,7 @@ router.put('/:id/checklist', auth, [
 ], validate, async (req, res) => {
   try {
     const task = await Task.findOneAndUpdate(
-      { _id: req.params.id, user: req.user.id },
+      { _id: req.params.id, workspace: req.workspace._id },
       { checklist: req.body.checklist },
       { new: true, runValidators: true }
     );
@@ -350,20 +621,115 @@ router.put('/:id/checklist', auth, [
   }
 });
 
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Link a task that blocks, or is blocked by, this task
+// @access  Private
+router.post('/:id/dependencies', auth, requirePermission('tasks:update'), [
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('task')
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  body('type')
+    .isIn(['blocks', 'blocked-by'])
+    .withMessage('Type must be blocks or blocked-by')
+], validate, async (req, res) => {
+  try {
+    const [task, other] = await Promise.all([
+      Task.findOne({ _id: req.params.id, workspace: req.workspace._id }),
+      Task.findOne({ _id: req.body.task, workspace: req.workspace._id })
+    ]);
+
+    if (!task || !other) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const linkError = await linkTasks(task, other, req.body.type);
+    if (linkError) {
+      return res.status(400).json({ message: linkError });
+    }
+
+    const linked = await Task.find({ _id: { $in: [task._id, other._id] } });
+    linked.forEach(entry => emitEvent(req, 'task.updated', entry, { fields: ['dependencies'] }));
+
+    const [taskWithBlockers] = await withBlockers(linked.filter(entry => entry._id.equals(task._id)));
+
+    res.status(201).json({
+      message: 'Dependency added successfully',
+      task: taskWithBlockers
+    });
+  } catch (error) {
+    console.error('Add dependency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/dependencies/:taskId
+// @desc    Unlink a task from this task, on both sides
+// @access  Private
+router.delete('/:id/dependencies/:taskId', auth, requirePermission('tasks:update'), [
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('taskId').isMongoId().withMessage('Invalid task ID')
+], validate, async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      workspace: req.workspace._id,
+      'dependencies.task': req.params.taskId
+    });
+
+    if (!task) {
+      return res.status(404).json({ message: 'Dependency not found' });
+    }
+
+    await unlinkTasks(task._id, req.params.taskId);
+
+    const unlinked = await Task.find({ _id: { $in: [task._id, req.params.taskId] }, workspace: req.workspace._id });
+    unlinked.forEach(entry => emitEvent(req, 'task.updated', entry, { fields: ['dependencies'] }));
+
+    const [taskWithBlockers] = await withBlockers(unlinked.filter(entry => entry._id.equals(task._id)));
+
+    res.json({
+      message: 'Dependency removed successfully',
+      task: taskWithBlockers
+    });
+  } catch (error) {
+    console.error('Remove dependency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/tasks/:id
-// @desc    Delete task
+// @desc    Delete task; with scope=future also the later occurrences of its series
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requirePermission('tasks:delete'), [
+  scopeValidator(query)
+], validate, async (req, res) => {
   try {
     const task = await Task.findOneAndDelete({
       _id: req.params.id,
-      user: req.user.id
+      workspace: req.workspace._id
     });
 
     if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
 
+    emitEvent(req, 'task.deleted', task);
+    const deletedIds = [task._id];
+
+    // Deleting this and all future occurrences ends the series
+    if (req.query.scope === 'future' && task.series) {
+      const removed = await stopSeries(task);
+      removed.forEach(occurrence => {
+        emitEvent(req, 'task.deleted', occurrence);
+        deletedIds.push(occurrence._id);
+      });
+    }
+
+    await removeDependencyLinks(deletedIds);
+    // Time tracked on deleted tasks stays on their project
+    await TimeEntry.auditedUpdateMany({ task: { $in: deletedIds } }, { $unset: { task: 1 } });
+
     res.json({ message: 'Task deleted successfully' });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const TaxProfile = require('../models/TaxProfile');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'type', 'rate', 'compound', 'inclusive', 'reverseCharge', 'note'];
+
+const pickFields = (data) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+const profileValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Name is required and must not exceed 50 characters'),
+    field('rate')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Tax rate must be between 0 and 100'),
+    body('type')
+      .optional()
+      .isIn(TaxProfile.TYPES)
+      .withMessage(`Type must be one of: ${TaxProfile.TYPES.join(', ')}`),
+    body(['compound', 'inclusive', 'reverseCharge'])
+      .optional()
+      .isBoolean()
+      .withMessage('Compound, inclusive and reverse charge must be booleans'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Note cannot exceed 500 characters')
+  ];
+};
+
+// @route   GET /api/tax-profiles
+// @desc    Get the tax profiles of the active workspace
+// @access  Private
+router.get('/', auth, requirePermission('invoices:read'), async (req, res) => {
+  try {
+    const taxProfiles = await TaxProfile.find({ workspace: req.workspace._id }).sort({ name: 1 });
+
+    res.json({
+      taxProfiles,
+      types: TaxProfile.TYPES
+    });
+  } catch (error) {
+    console.error('Get tax profiles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tax-profiles
+// @desc    Create a tax profile
+// @access  Private
+router.post('/', auth, requirePermission('workspace:update'), profileValidators(false), validate, async (req, res) => {
+  try {
+    const taxProfile = await TaxProfile.create({
+      ...pickFields(req.body),
+      workspace: req.workspace._id,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Tax profile created successfully',
+      taxProfile
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A tax profile with this name already exists' });
+    }
+    console.error('Create tax profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tax-profiles/:id
+// @desc    Update a tax profile. Invoices already written keep the tax as it was.
+// @access  Private
+router.put('/:id', auth, requirePermission('workspace:update'), [
+  param('id').isMongoId().withMessage('Invalid tax profile ID'),
+  ...profileValidators(true)
+], validate, async (req, res) => {
+  try {
+    const taxProfile = await TaxProfile.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!taxProfile) {
+      return res.status(404).json({ message: 'Tax profile not found' });
+    }
+
+    Object.assign(taxProfile, pickFields(req.body));
+    await taxProfile.save();
+
+    res.json({
+      message: 'Tax profile updated successfully',
+      taxProfile
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A tax profile with this name already exists' });
+    }
+    console.error('Update tax profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tax-profiles/:id
+// @desc    Delete a tax profile; invoices using it keep their copy
+// @access  Private
+router.delete('/:id', auth, requirePermission('workspace:update'), [
+  param('id').isMongoId().withMessage('Invalid tax profile ID')
+], validate, async (req, res) => {
+  try {
+    const taxProfile = await TaxProfile.findOneAndDelete({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!taxProfile) {
+      return res.status(404).json({ message: 'Tax profile not found' });
+    }
+
+    res.json({ message: 'Tax profile deleted successfully' });
+  } catch (error) {
+    console.error('Delete tax profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { hasPermission } = require('../utils/permissions');
+const validate = require('../middleware/validate');
+const { syncActualHours } = require('../utils/timeTracking');
+
+const router = express.Router();
+
+const POPULATE = [
+  { path: 'task', select: 'title status' },
+  { path: 'project', select: 'title' },
+  { path: 'user', select: 'name avatar' }
+];
+
+const targetValidators = [
+  body('task')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid task ID'),
+  body('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID'),
+  body('billable')
+    .optional()
+    .isBoolean()
+    .withMessage('Billable must be a boolean'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// The task and project time is tracked on. A task brings its project; time
+// can also go to a project directly. Resolves with an error message when
+// neither is found in the workspace.
+const resolveTarget = async (req, { task: taskId, project: projectId }) => {
+  if (taskId) {
+    const task = await Task.findOne({ _id: taskId, workspace: req.workspace._id }).select('project');
+    return task ? { task: task._id, project: task.project } : { error: 'Task not found' };
+  }
+
+  if (projectId) {
+    const project = await Project.findOne({ _id: projectId, workspace: req.workspace._id }).select('_id');
+    return project ? { task: null, project: project._id } : { error: 'Project not found' };
+  }
+
+  return { error: 'A task or project is required' };
+};
+
+// Members edit their own entries; others' need time:manage
+const canEdit = (req, entry) => {
+  return entry.user.equals(req.user._id) || hasPermission(req, 'time:manage');
+};
+
+// Stop the running timer of a user, if any, and roll its time up
+const stopRunningTimer = async (userId) => {
+  const entry = await TimeEntry.findOne({ user: userId, isRunning: true });
+  if (!entry) return null;
+
+  entry.end = new Date();
+  await entry.save();
+  await syncActualHours([entry]);
+  return entry;
+};
+
+// @route   GET /api/time-entries
+// @desc    Get time entries of the active workspace
+// @access  Private
+router.get('/', auth, requirePermission('time:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('user').optional().isMongoId().withMessage('Invalid user ID'),
+  query('task').optional().isMongoId().withMessage('Invalid task ID'),
+  query('project').optional().isMongoId().withMessage('Invalid project ID'),
+  query('billable').optional().isBoolean().withMessage('Billable must be a boolean'),
+  query('billed').optional().isBoolean().withMessage('Billed must be a boolean'),
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required')
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { user, task, project, billable, billed, from, to } = req.query;
+
+    const query = { workspace: req.workspace._id };
+    if (user) query.user = user;
+    if (task) query.task = task;
+    if (project) query.project = project;
+    if (billable !== undefined) query.billable = billable === 'true';
+    if (billed !== undefined) query.invoice = billed === 'true' ? { $ne: null } : null;
+    if (from || to) {
+      query.start = {};
+      if (from) query.start.$gte = new Date(from);
+      if (to) query.start.$lte = new Date(to);
+    }
+
+    const timeEntries = await TimeEntry.find(query)
+      .populate(POPULATE)
+      .sort({ start: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await TimeEntry.countDocuments(query);
+
+    res.json({
+      timeEntries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get time entries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/time-entries/timer
+// @desc    Get the running timer of the current user, in any workspace
+// @access  Private
+router.get('/timer', auth, async (req, res) => {
+  try {
+    const timeEntry = await TimeEntry.findOne({ user: req.user._id, isRunning: true }).populate(POPULATE);
+
+    res.json({ timeEntry });
+  } catch (error) {
+    console.error('Get timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/time-entries/timer/start
+// @desc    Start a timer on a task or project, stopping the running one
+// @access  Private
+router.post('/timer/start', auth, requirePermission('time:track'), targetValidators, validate, async (req, res) => {
+  try {
+    const target = await resolveTarget(req, req.body);
+    if (target.error) {
+      return res.status(404).json({ message: target.error });
+    }
+
+    const stopped = await stopRunningTimer(req.user._id);
+
+    const timeEntry = new TimeEntry({
+      workspace: req.workspace._id,
+      user: req.user._id,
+      task: target.task,
+      project: target.project,
+      start: new Date(),
+      billable: req.body.billable,
+      note: req.body.note
+    });
+    await timeEntry.save();
+    await timeEntry.populate(POPULATE);
+
+    res.status(201).json({
+      message: 'Timer started',
+      timeEntry,
+      stopped
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      return res.status(409).json({ message: 'A timer was started at the same time, please try again' });
+    }
+    console.error('Start timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/time-entries/timer/stop
+// @desc    Stop the running timer of the current user
+// @access  Private
+router.post('/timer/stop', auth, async (req, res) => {
+  try {
+    const timeEntry = await stopRunningTimer(req.user._id);
+
+    if (!timeEntry) {
+      return res.status(404).json({ message: 'No timer is running' });
+    }
+
+    await timeEntry.populate(POPULATE);
+
+    res.json({
+      message: 'Timer stopped',
+      timeEntry
+    });
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/time-entries
+// @desc    Log time spent after the fact
+// @access  Private
+router.post('/', auth, requirePermission('time:track'), [
+  body('start')
+    .isISO8601()
+    .withMessage('Valid start is required'),
+  body('end')
+    .isISO8601()
+    .withMessage('Valid end is required'),
+  ...targetValidators
+], validate, async (req, res) => {
+  try {
+    if (new Date(req.body.end) < new Date(req.body.start)) {
+      return res.status(400).json({ message: 'End cannot be before start' });
+    }
+
+    const target = await resolveTarget(req, req.body);
+    if (target.error) {
+      return res.status(404).json({ message: target.error });
+    }
+
+    const timeEntry = new TimeEntry({
+      workspace: req.workspace._id,
+      user: req.user._id,
+      task: target.task,
+      project: target.project,
+      start: req.body.start,
+      end: req.body.end,
+      billable: req.body.billable,
+      note: req.body.note
+    });
+    await timeEntry.save();
+    await syncActualHours([timeEntry]);
+    await timeEntry.populate(POPULATE);
+
+    res.status(201).json({
+      message: 'Time entry created successfully',
+      timeEntry
+    });
+  } catch (error) {
+    console.error('Create time entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/time-entries/:id
+// @desc    Update a time entry
+// @access  Private
+router.put('/:id', auth, requirePermission('time:track'), [
+  param('id').isMongoId().withMessage('Invalid time entry ID'),
+  body('start')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid start is required'),
+  body('end')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid end is required'),
+  ...targetValidators
+], validate, async (req, res) => {
+  try {
+    const timeEntry = await TimeEntry.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!timeEntry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    if (!canEdit(req, timeEntry)) {
+      return res.status(403).json({
+        message: 'You do not have permission to edit the time of others',
+        permission: 'time:manage'
+      });
+    }
+
+    if (timeEntry.invoice) {
+      return res.status(400).json({ message: 'Cannot edit time that has been invoiced' });
+    }
+
+    // A running timer is ended by stopping it
+    if (timeEntry.isRunning && req.body.end) {
+      return res.status(400).json({ message: 'Stop the timer to end this entry' });
+    }
+
+    const before = { task: timeEntry.task, project: timeEntry.project };
+
+    if (req.body.task !== undefined || req.body.project !== undefined) {
+      const target = await resolveTarget(req, {
+        task: req.body.task,
+        project: req.body.project || timeEntry.project
+      });
+      if (target.error) {
+        return res.status(404).json({ message: target.error });
+      }
+      timeEntry.task = target.task;
+      timeEntry.project = target.project;
+    }
+
+    ['start', 'end', 'billable', 'note'].forEach(field => {
+      if (req.body[field] !== undefined) timeEntry[field] = req.body[field];
+    });
+
+    if (timeEntry.end && timeEntry.end < timeEntry.start) {
+      return res.status(400).json({ message: 'End cannot be before start' });
+    }
+
+    await timeEntry.save();
+    await syncActualHours([before, timeEntry]);
+    await timeEntry.populate(POPULATE);
+
+    res.json({
+      message: 'Time entry updated successfully',
+      timeEntry
+    });
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/time-entries/:id
+// @desc    Delete a time entry
+// @access  Private
+router.delete('/:id', auth, requirePermission('time:track'), [
+  param('id').isMongoId().withMessage('Invalid time entry ID')
+], validate, async (req, res) => {
+  try {
+    const timeEntry = await TimeEntry.findOne({ _id: req.params.id, workspace: req.workspace._id });
+
+    if (!timeEntry) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    if (!canEdit(req, timeEntry)) {
+      return res.status(403).json({
+        message: 'You do not have permission to delete the time of others',
+        permission: 'time:manage'
+      });
+    }
+
+    if (timeEntry.invoice) {
+      return res.status(400).json({ message: 'Cannot delete time that has been invoiced' });
+    }
+
+    await timeEntry.deleteOne();
+    await syncActualHours([timeEntry]);
+
+    res.json({ message: 'Time entry deleted successfully' });
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
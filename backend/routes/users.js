@@ -1,7 +1,10 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { getPermissions } = require('../utils/permissions');
+const { auth, rejectImpersonation } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 
 const router = express.Router();
@@ -19,6 +22,23 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/permissions
+// @desc    Get the actions the user may perform in the active workspace
+// @access  Private
+router.get('/permissions', auth, async (req, res) => {
+  try {
+    res.json({
+      workspace: req.workspace._id,
+      role: req.workspaceRole,
+      isAdmin: req.user.role === 'admin',
+      permissions: getPermissions(req)
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
@@ -48,7 +68,16 @@ router.put('/profile', auth, [
   body('phone')
     .optional()
     .isMobilePhone()
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  body('baseCurrency')
+    .optional()
+    .isISO4217()
+    .withMessage('Please provide a valid currency code'),
+  body('taxNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tax number cannot exceed 50 characters')
 ], validate, async (req, res) => {
   try {
     const {
@@ -59,9 +88,16 @@ router.put('/profile', auth, [
       website,
       phone,
       timezone,
+      baseCurrency,
+      taxNumber,
       preferences
     } = req.body;
 
+    // A new email address would let whoever controls it take the account over
+    if (email && email !== req.user.email && req.impersonator) {
+      return rejectImpersonation(req, res);
+    }
+
     // Check if email is already taken by another user
     if (email && email !== req.user.email) {
       const existingUser = await User.findOne({ email });
@@ -71,13 +107,21 @@ router.put('/profile', auth, [
     }
 
     const updateData = {};
+    const emailChanged = Boolean(email && email !== req.user.email);
     if (name) updateData.name = name;
     if (email) updateData.email = email;
+    // A new address has to be verified again
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
     if (bio !== undefined) updateData.bio = bio;
     if (company !== undefined) updateData.company = company;
     if (website !== undefined) updateData.website = website;
     if (phone !== undefined) updateData.phone = phone;
     if (timezone) updateData.timezone = timezone;
+    if (baseCurrency) updateData.baseCurrency = baseCurrency.toUpperCase();
+    if (taxNumber !== undefined) updateData.taxNumber = taxNumber;
     if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences };
 
     const user = await User.findByIdAndUpdate(
@@ -86,6 +130,15 @@ router.put('/profile', auth, [
       { new: true, runValidators: true }
     );
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+        await user.save();
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user
@@ -126,10 +179,11 @@ router.post('/upload-avatar', auth, async (req, res) => {
 // @route   DELETE /api/users/account
 // @desc    Deactivate user account
 // @access  Private
-router.delete('/account', auth, async (req, res) => {
+router.delete('/account', auth, rejectImpersonation, async (req, res) => {
   try {
     await User.findByIdAndUpdate(req.user.id, { isActive: false });
-    
+    await Session.revokeAllForUser(req.user.id);
+
     res.json({ message: 'Account deactivated successfully' });
   } catch (error) {
     console.error('Deactivate account error:', error);
@@ -137,5 +191,70 @@ router.delete('/account', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/sessions
+// @desc    List active sessions (signed in devices)
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: Boolean(req.sessionId && session._id.equals(req.sessionId))
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Revoke a session
+// @access  Private
+router.delete('/sessions/:id', auth, rejectImpersonation, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], validate, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke();
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, rejectImpersonation, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, req.sessionId);
+
+    res.json({
+      message: 'Other sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
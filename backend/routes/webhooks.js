@@ -0,0 +1,295 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const validate = require('../middleware/validate');
+const { EVENT_TYPES } = require('../utils/events');
+const { checkWebhookUrl, sendTestPing, replayDelivery } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const webhookValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })
+      .withMessage('A valid http(s) URL is required')
+      .bail()
+      .custom(async (url) => {
+        const refusal = await checkWebhookUrl(url);
+        if (refusal) throw new Error(refusal);
+      }),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('At least one event type is required'),
+    body('events.*')
+      .isIn(['*', ...EVENT_TYPES])
+      .withMessage('Invalid event type'),
+    body('description')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ];
+};
+
+// Load a webhook of the active workspace, or send a 404
+const loadWebhook = async (req, res, withSecret = false) => {
+  const webhookQuery = Webhook.findOne({
+    _id: req.params.id,
+    workspace: req.workspace._id
+  });
+  if (withSecret) webhookQuery.select('+secret');
+
+  const webhook = await webhookQuery;
+  if (!webhook) {
+    res.status(404).json({ message: 'Webhook not found' });
+    return null;
+  }
+
+  return webhook;
+};
+
+// @route   GET /api/webhooks/events
+// @desc    List the event types webhooks can subscribe to
+// @access  Private
+router.get('/events', auth, requirePermission('webhooks:manage'), (req, res) => {
+  res.json({ events: EVENT_TYPES });
+});
+
+// @route   GET /api/webhooks
+// @desc    Get all webhooks of the active workspace
+// @access  Private
+router.get('/', auth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ workspace: req.workspace._id })
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ webhooks });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Create a webhook; the signing secret is only returned here
+// @access  Private
+router.post('/', auth, requirePermission('webhooks:manage'), webhookValidators(false), validate, async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const webhook = new Webhook({
+      workspace: req.workspace._id,
+      user: req.user.id,
+      url,
+      events,
+      description,
+      isActive
+    });
+    const secret = webhook.generateSecret();
+    await webhook.save();
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook,
+      secret
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a single webhook
+// @access  Private
+router.get('/:id', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({ webhook });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook
+// @access  Private
+router.put('/:id', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  ...webhookValidators(true)
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    ['url', 'events', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    });
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private
+router.delete('/:id', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret
+// @access  Private
+router.post('/:id/rotate-secret', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const secret = webhook.generateSecret();
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook secret rotated successfully',
+      secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a test ping and return the delivery result
+// @access  Private
+router.post('/:id/test', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res, true);
+    if (!webhook) return;
+
+    const delivery = await sendTestPing(webhook);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test ping delivered' : 'Test ping failed',
+      delivery
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get the delivery log of a webhook
+// @access  Private
+router.get('/:id/deliveries', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'delivering', 'succeeded', 'failed']).withMessage('Invalid status')
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { webhook: webhook._id };
+    if (req.query.status) query.status = req.query.status;
+
+    // Deliveries logged before response bodies were dropped still have one
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-responseBody')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @desc    Send the payload of a past delivery again
+// @access  Private
+router.post('/:id/deliveries/:deliveryId/replay', auth, requirePermission('webhooks:manage'), [
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+], validate, async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhook: webhook._id
+    });
+
+    if (!original) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const delivery = await replayDelivery(original);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Delivery replayed' : 'Replay failed, it will be retried',
+      delivery
+    });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,631 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { sendMail, getClientUrl } = require('../utils/mailer');
+const { roleHasPermission } = require('../utils/permissions');
+const {
+  INVOICE_NUMBER_TOKENS,
+  previewInvoiceNumber,
+  setNextInvoiceNumber
+} = require('../utils/invoiceNumbers');
+
+const router = express.Router();
+
+// Load a workspace the current user belongs to, or send a 404
+const loadWorkspace = async (req, res) => {
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    'members.user': req.user._id
+  });
+
+  if (!workspace) {
+    res.status(404).json({ message: 'Workspace not found' });
+    return null;
+  }
+
+  return workspace;
+};
+
+// Management routes act on the workspace in the URL, which is not
+// necessarily the active one, so check the role held in that workspace
+const can = (req, workspace, permission) => {
+  return req.user.role === 'admin' || roleHasPermission(workspace.getRole(req.user._id), permission);
+};
+
+// @route   GET /api/workspaces
+// @desc    Get all workspaces the user is a member of
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user._id })
+      .populate('owner', 'name email')
+      .sort({ isPersonal: -1, name: 1 });
+
+    res.json({
+      workspaces: workspaces.map(workspace => ({
+        ...workspace.toJSON(),
+        role: workspace.getRole(req.user._id),
+        isActive: workspace._id.equals(req.workspace._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workspaces/current
+// @desc    Get the active workspace
+// @access  Private
+router.get('/current', auth, async (req, res) => {
+  try {
+    await req.workspace.populate('members.user', 'name email avatar');
+
+    res.json({
+      workspace: req.workspace,
+      role: req.workspaceRole
+    });
+  } catch (error) {
+    console.error('Get current workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a new workspace
+// @access  Private
+router.post('/', auth, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must not exceed 100 characters')
+], validate, async (req, res) => {
+  try {
+    const workspace = new Workspace({
+      name: req.body.name,
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    await workspace.save();
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      workspace
+    });
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workspaces/invites/:token
+// @desc    Get invite details
+// @access  Public
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const invite = await WorkspaceInvite.findByToken(req.params.token)
+      .populate('workspace', 'name')
+      .populate('invitedBy', 'name');
+
+    if (!invite || !invite.isPending || !invite.workspace) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      invite: {
+        email: invite.email,
+        role: invite.role,
+        workspace: invite.workspace.name,
+        invitedBy: invite.invitedBy?.name,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces/invites/:token/accept
+// @desc    Accept an invite and join the workspace
+// @access  Private
+router.post('/invites/:token/accept', auth, async (req, res) => {
+  try {
+    const invite = await WorkspaceInvite.findByToken(req.params.token);
+
+    if (!invite || !invite.isPending) {
+      return res.status(404).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    if (invite.email !== req.user.email) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+
+    const workspace = await Workspace.findById(invite.workspace);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    if (!workspace.getMember(req.user._id)) {
+      workspace.members.push({ user: req.user._id, role: invite.role });
+      await workspace.save();
+    }
+
+    invite.acceptedAt = new Date();
+    invite.acceptedBy = req.user._id;
+    await invite.save();
+
+    // Switch straight into the workspace that was just joined
+    await User.updateOne({ _id: req.user._id }, { defaultWorkspace: workspace._id });
+
+    res.json({
+      message: `You have joined ${workspace.name}`,
+      workspace
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (workspace:update)
+router.put('/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must not exceed 100 characters')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'workspace:update')) {
+      return res.status(403).json({ message: 'You do not have permission to update this workspace' });
+    }
+
+    workspace.name = req.body.name;
+    await workspace.save();
+
+    res.json({
+      message: 'Workspace updated successfully',
+      workspace
+    });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:id/switch
+// @desc    Make a workspace the user's active workspace
+// @access  Private
+router.post('/:id/switch', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    await User.updateOne({ _id: req.user._id }, { defaultWorkspace: workspace._id });
+
+    res.json({
+      message: `Switched to ${workspace.name}`,
+      workspace,
+      role: workspace.getRole(req.user._id)
+    });
+  } catch (error) {
+    console.error('Switch workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:id/reminders
+// @desc    Configure the payment reminders sent for unpaid invoices
+// @access  Private (workspace:update)
+router.put('/:id/reminders', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  body('steps')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Steps must be a list of up to 10 reminders')
+    .custom(steps => new Set(steps.map(step => Number(step.offsetDays))).size === steps.length)
+    .withMessage('Each reminder needs a different number of days'),
+  body('steps.*.offsetDays')
+    .isInt({ min: -60, max: 365 })
+    .withMessage('Reminders must be between 60 days before and 365 days after the due date'),
+  body('steps.*.subject')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Subject cannot exceed 200 characters'),
+  body('steps.*.message')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Message cannot exceed 5000 characters')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'workspace:update')) {
+      return res.status(403).json({ message: 'You do not have permission to update this workspace' });
+    }
+
+    if (req.body.enabled !== undefined) {
+      workspace.invoiceReminders.enabled = req.body.enabled;
+    }
+    if (req.body.steps) {
+      workspace.invoiceReminders.steps = req.body.steps
+        .map(({ offsetDays, subject, message }) => ({ offsetDays: Number(offsetDays), subject, message }))
+        .sort((a, b) => a.offsetDays - b.offsetDays);
+    }
+    await workspace.save();
+
+    res.json({
+      message: 'Reminder settings updated successfully',
+      invoiceReminders: workspace.invoiceReminders
+    });
+  } catch (error) {
+    console.error('Update reminder settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:id/invoice-numbering
+// @desc    Get the invoice number format and the next number
+// @access  Private
+router.get('/:id/invoice-numbering', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    res.json({
+      invoiceNumbering: workspace.invoiceNumbering,
+      next: await previewInvoiceNumber(workspace),
+      tokens: INVOICE_NUMBER_TOKENS
+    });
+  } catch (error) {
+    console.error('Get invoice numbering error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:id/invoice-numbering
+// @desc    Change the invoice number format, reset policy or next number
+// @access  Private (workspace:update)
+router.put('/:id/invoice-numbering', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  body('format')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Format must be between 1 and 60 characters')
+    .contains('{SEQ}')
+    .withMessage('Format must contain {SEQ}')
+    .custom(format => (format.match(/\{(\w+)\}/g) || [])
+      .every(token => token.slice(1, -1) in INVOICE_NUMBER_TOKENS))
+    .withMessage(`Format can only use the tokens ${Object.keys(INVOICE_NUMBER_TOKENS).map(token => `{${token}}`).join(', ')}`)
+    .custom(format => Workspace.isInvoiceNumberText(format.replace(/\{\w+\}/g, '')))
+    .withMessage('Format can only contain letters, digits, ".", "_" and "-" besides its tokens'),
+  body('prefix')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Prefix cannot exceed 20 characters')
+    .custom(Workspace.isInvoiceNumberText)
+    .withMessage('Prefix can only contain letters, digits, ".", "_" and "-"'),
+  body('creditNotePrefix')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Credit note prefix cannot exceed 20 characters')
+    .custom(Workspace.isInvoiceNumberText)
+    .withMessage('Credit note prefix can only contain letters, digits, ".", "_" and "-"'),
+  body('padding')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Padding must be between 1 and 10 digits'),
+  body('reset')
+    .optional()
+    .isIn(Workspace.INVOICE_NUMBER_RESETS)
+    .withMessage(`Reset must be one of: ${Workspace.INVOICE_NUMBER_RESETS.join(', ')}`),
+  body('nextNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Next number must be a positive whole number')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'workspace:update')) {
+      return res.status(403).json({ message: 'You do not have permission to update this workspace' });
+    }
+
+    ['format', 'prefix', 'creditNotePrefix', 'padding', 'reset'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        workspace.invoiceNumbering[field] = req.body[field];
+      }
+    });
+    await workspace.save();
+
+    // Applied after the reset policy, which decides the sequence it moves
+    if (req.body.nextNumber !== undefined) {
+      await setNextInvoiceNumber(workspace, Number(req.body.nextNumber));
+    }
+
+    res.json({
+      message: 'Invoice numbering updated successfully',
+      invoiceNumbering: workspace.invoiceNumbering,
+      next: await previewInvoiceNumber(workspace)
+    });
+  } catch (error) {
+    console.error('Update invoice numbering error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:id/members
+// @desc    Get workspace members
+// @access  Private (members:read)
+router.get('/:id/members', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'members:read')) {
+      return res.status(403).json({ message: 'You do not have permission to view members' });
+    }
+
+    await workspace.populate('members.user', 'name email avatar');
+
+    res.json({ members: workspace.members });
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (members:manage)
+router.put('/:id/members/:userId', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role')
+    .isIn(['manager', 'editor', 'viewer'])
+    .withMessage('Role must be manager, editor or viewer')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'members:manage')) {
+      return res.status(403).json({ message: 'You do not have permission to change roles' });
+    }
+
+    const member = workspace.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: "The owner's role cannot be changed" });
+    }
+
+    member.role = req.body.role;
+    await workspace.save();
+
+    res.json({
+      message: 'Member role updated successfully',
+      member
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member, or leave the workspace
+// @access  Private (members:manage, or the member themselves)
+router.delete('/:id/members/:userId', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    const isSelf = req.params.userId === req.user.id;
+    if (!isSelf && !can(req, workspace, 'members:manage')) {
+      return res.status(403).json({ message: 'You do not have permission to remove members' });
+    }
+
+    const member = workspace.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'The workspace owner cannot be removed' });
+    }
+
+    workspace.members.pull(member._id);
+    await workspace.save();
+
+    res.json({ message: isSelf ? 'You left the workspace' : 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workspaces/:id/invites
+// @desc    Get pending invites
+// @access  Private (members:invite)
+router.get('/:id/invites', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'members:invite')) {
+      return res.status(403).json({ message: 'You do not have permission to view invites' });
+    }
+
+    const invites = await WorkspaceInvite.find({
+      workspace: workspace._id,
+      acceptedAt: { $exists: false },
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ invites });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/workspaces/:id/invites
+// @desc    Invite someone by email
+// @access  Private (members:invite)
+router.post('/:id/invites', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(['manager', 'editor', 'viewer'])
+    .withMessage('Role must be manager, editor or viewer')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'members:invite')) {
+      return res.status(403).json({ message: 'You do not have permission to invite members' });
+    }
+
+    const { email, role = 'editor' } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && workspace.getMember(existingUser._id)) {
+      return res.status(400).json({ message: 'This person is already a member of the workspace' });
+    }
+
+    // Re-inviting replaces any pending invite for the same address
+    await WorkspaceInvite.updateMany(
+      {
+        workspace: workspace._id,
+        email,
+        acceptedAt: { $exists: false },
+        revokedAt: { $exists: false }
+      },
+      { revokedAt: new Date() }
+    );
+
+    const invite = new WorkspaceInvite({
+      workspace: workspace._id,
+      email,
+      role,
+      invitedBy: req.user._id
+    });
+    const token = invite.createToken();
+    await invite.save();
+
+    const inviteUrl = `${getClientUrl()}/invites/${token}`;
+
+    // The invite stays pending when the email fails; inviting again resends it
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: email,
+        subject: `${req.user.name} invited you to ${workspace.name}`,
+        text: [
+          'Hi,',
+          '',
+          `${req.user.name} has invited you to join the "${workspace.name}" workspace as ${role === 'editor' ? 'an' : 'a'} ${role}.`,
+          '',
+          'Accept the invitation here:',
+          '',
+          inviteUrl,
+          '',
+          'If you do not have an account yet, sign up with this email address first.'
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error('Invite email error:', mailError);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      message: emailSent
+        ? 'Invitation sent successfully'
+        : 'Invitation created, but the invitation email could not be sent',
+      invite,
+      emailSent
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/invites/:inviteId
+// @desc    Revoke a pending invite
+// @access  Private (members:invite)
+router.delete('/:id/invites/:inviteId', auth, [
+  param('id').isMongoId().withMessage('Invalid workspace ID'),
+  param('inviteId').isMongoId().withMessage('Invalid invite ID')
+], validate, async (req, res) => {
+  try {
+    const workspace = await loadWorkspace(req, res);
+    if (!workspace) return;
+
+    if (!can(req, workspace, 'members:invite')) {
+      return res.status(403).json({ message: 'You do not have permission to revoke invites' });
+    }
+
+    const invite = await WorkspaceInvite.findOneAndUpdate(
+      {
+        _id: req.params.inviteId,
+        workspace: workspace._id,
+        acceptedAt: { $exists: false }
+      },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
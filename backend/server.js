@@ -3,7 +3,16 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
+const { requestContext } = require('./middleware/requestContext');
 require('dotenv').config();
+const { registerActivityListener } = require('./utils/activity');
+const { registerWebhookListener, startWebhookWorker } = require('./utils/webhooks');
+const { startRecurringInvoiceWorker } = require('./utils/recurringInvoices');
+const { startInvoiceReminderWorker } = require('./utils/invoiceReminders');
+const { startRecurringTaskWorker } = require('./utils/recurringTasks');
+const { startOverdueProjectWorker } = require('./utils/overdueProjects');
+const { dropGlobalInvoiceNumberIndex } = require('./utils/invoiceNumbers');
 
 const app = express();
 
@@ -16,15 +25,31 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+app.use(requestContext);
+
+// Domain event listeners
+registerActivityListener();
+registerWebhookListener();
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/workspaces', require('./routes/workspaces'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/audit', require('./routes/audit'));
+app.use('/api/activity', require('./routes/activity'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 app.use('/api/clients', require('./routes/clients'));
 app.use('/api/projects', require('./routes/projects'));
 app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/time-entries', require('./routes/timeEntries'));
 app.use('/api/invoices', require('./routes/invoices'));
+app.use('/api/exchange-rates', require('./routes/exchangeRates'));
+app.use('/api/tax-profiles', require('./routes/taxProfiles'));
 app.use('/api/dashboard', require('./routes/dashboard'));
+app.use('/api/public', require('./routes/public'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -66,6 +91,12 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   await connectDB();
+  await dropGlobalInvoiceNumberIndex();
+  startWebhookWorker();
+  startRecurringInvoiceWorker();
+  startInvoiceReminderWorker();
+  startRecurringTaskWorker();
+  startOverdueProjectWorker();
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
@@ -0,0 +1,37 @@
+const Activity = require('../models/Activity');
+const Project = require('../models/Project');
+const { EVENT_TYPES, onEvent } = require('./events');
+
+// Persist a domain event to the activity stream
+const recordActivity = async (event) => {
+  if (!event.workspace) return;
+
+  // "task.completed" already tells the story of its status change
+  if (event.type.endsWith('.status_changed') && EVENT_TYPES.includes(`${event.entityType}.${event.data.to}`)) {
+    return;
+  }
+
+  const references = { ...event.references };
+
+  // Task events emitted without a populated project still belong to its client
+  if (references.project && !references.client) {
+    const project = await Project.findById(references.project).select('client');
+    references.client = project?.client;
+  }
+
+  await Activity.create({
+    workspace: event.workspace,
+    actor: event.actor,
+    type: event.type,
+    entityType: event.entityType,
+    entityId: event.entityId,
+    ...references,
+    data: event.data
+  });
+};
+
+const registerActivityListener = () => {
+  onEvent(recordActivity);
+};
+
+module.exports = { recordActivity, registerActivityListener };
@@ -0,0 +1,169 @@
+const AuditLog = require('../models/AuditLog');
+const { getCurrentRequest } = require('../middleware/requestContext');
+
+// Bookkeeping fields that never appear in a diff
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Record an audit entry for the current request. Failures are logged but
+// never break the request that triggered them.
+const recordAudit = async (req, { action, entityType, entityId, workspace, changes = [], metadata }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user?._id,
+      impersonatedBy: req.impersonator,
+      workspace,
+      action,
+      entityType,
+      entityId,
+      changes,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || ''
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+};
+
+// Flatten nested objects into dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.keys(value || {}).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value[key])) {
+      flatten(value[key], path, result);
+    } else {
+      result[path] = value[key];
+    }
+  });
+  return result;
+};
+
+const isExcluded = (path, exclude) => {
+  return [...IGNORED_FIELDS, ...exclude].some(field => path === field || path.startsWith(`${field}.`));
+};
+
+// Field-level differences between two plain snapshots of a document
+const diffSnapshots = (before, after, exclude = []) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...paths]
+    .filter(path => !isExcluded(path, exclude))
+    .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .map(path => ({ field: path, before: flatBefore[path], after: flatAfter[path] }));
+};
+
+// Mongoose plugin writing an audit entry for every create, update and delete
+// made while handling a request, through documents, findOneAndUpdate,
+// findOneAndDelete or the audited* statics. Changes outside a request
+// (scripts, migrations, jobs) are not attributed to anyone and are skipped.
+//
+// Options:
+//   entityType  name stored on each entry (defaults to the model name)
+//   exclude     fields never recorded, e.g. password hashes
+const auditPlugin = (schema, options = {}) => {
+  const exclude = options.exclude || [];
+
+  const write = async (action, entityType, before, after) => {
+    const req = getCurrentRequest();
+    if (!req) return;
+
+    const changes = diffSnapshots(before, after, exclude);
+    if (action === 'update' && changes.length === 0) return;
+
+    const snapshot = after || before;
+    await recordAudit(req, {
+      action,
+      entityType: options.entityType || entityType,
+      entityId: snapshot._id,
+      workspace: snapshot.workspace,
+      changes
+    });
+  };
+
+  schema.pre('save', async function() {
+    if (!getCurrentRequest()) return;
+
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id).lean();
+  });
+
+  schema.post('save', async function(doc) {
+    const action = doc.$locals.auditAction;
+    if (!action) return;
+
+    const before = doc.$locals.auditBefore;
+    delete doc.$locals.auditAction;
+    delete doc.$locals.auditBefore;
+
+    await write(action, doc.constructor.modelName, before, doc.toObject({ depopulate: true }));
+  });
+
+  schema.pre('findOneAndUpdate', async function() {
+    if (!getCurrentRequest()) return;
+    this._auditBefore = await this.model.findOne(this.getQuery()).lean();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    if (!this._auditBefore) return;
+
+    const after = await this.model.findById(this._auditBefore._id).lean();
+    await write('update', this.model.modelName, this._auditBefore, after);
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (!doc) return;
+    await write('delete', this.model.modelName, doc.toObject({ depopulate: true }), null);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await write('delete', doc.constructor.modelName, doc.toObject({ depopulate: true }), null);
+  });
+
+  // updateMany, deleteMany and bulkWrite skip the hooks above. The audited
+  // variants below snapshot the documents matching `filter` around the
+  // write and record an entry for each one changed or deleted.
+  const auditMany = async (Model, filter, operation) => {
+    if (!getCurrentRequest()) return operation(filter);
+
+    const before = await Model.find(filter).lean();
+    const ids = before.map(doc => doc._id);
+    // Documents matching only after the snapshot are left alone
+    const result = await operation({ $and: [filter, { _id: { $in: ids } }] });
+
+    const after = await Model.find({ _id: { $in: ids } }).lean();
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+    await Promise.all(before.map(doc => {
+      const current = afterById.get(String(doc._id));
+      return write(current ? 'update' : 'delete', Model.modelName, doc, current || null);
+    }));
+
+    return result;
+  };
+
+  schema.statics.auditedUpdateMany = function(filter, update, queryOptions) {
+    return auditMany(this, filter, scoped => this.updateMany(scoped, update, queryOptions));
+  };
+
+  schema.statics.auditedDeleteMany = function(filter) {
+    return auditMany(this, filter, scoped => this.deleteMany(scoped));
+  };
+
+  // Only update and delete operations, which all have a filter
+  schema.statics.auditedBulkWrite = function(operations, bulkOptions) {
+    if (operations.length === 0) return this.bulkWrite(operations, bulkOptions);
+
+    const filter = { $or: operations.map(operation => Object.values(operation)[0].filter) };
+    return auditMany(this, filter, () => this.bulkWrite(operations, bulkOptions));
+  };
+};
+
+module.exports = { recordAudit, diffSnapshots, auditPlugin };
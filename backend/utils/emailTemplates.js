@@ -0,0 +1,111 @@
+const { formatMoney } = require('./invoicePdf');
+const { getClientUrl } = require('./mailer');
+
+// Replace {{placeholder}} tokens with values; unknown placeholders are kept
+// so a typo shows up in the sent email instead of silently disappearing
+const renderTemplate = (template, values) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  ));
+};
+
+const INVOICE_EMAIL_TEMPLATE = {
+  subject: 'Invoice {{invoiceNumber}} from {{senderName}}',
+  body: [
+    'Hi {{clientName}},',
+    '',
+    'Please find attached invoice {{invoiceNumber}} for {{total}}, due on {{dueDate}}.',
+    'You can also view it online: {{invoiceUrl}}',
+    '',
+    'If you have any questions, just reply to this email.',
+    '',
+    'Thank you,',
+    '{{senderName}}'
+  ].join('\n')
+};
+
+const INVOICE_REMINDER_TEMPLATE = {
+  subject: 'Reminder: invoice {{invoiceNumber}} {{dueStatus}}',
+  body: [
+    'Hi {{clientName}},',
+    '',
+    'This is a friendly reminder that invoice {{invoiceNumber}} {{dueStatus}}.',
+    'The balance due is {{balanceDue}}.',
+    '',
+    'You can view and download the invoice here: {{invoiceUrl}}',
+    '',
+    'If you have already paid, please disregard this email.',
+    '',
+    'Thank you,',
+    '{{senderName}}'
+  ].join('\n')
+};
+
+const INVOICE_PLACEHOLDERS = [
+  'invoiceNumber',
+  'clientName',
+  'clientCompany',
+  'senderName',
+  'senderCompany',
+  'total',
+  'currency',
+  'issueDate',
+  'dueDate',
+  'projectTitle',
+  'invoiceUrl',
+  'balanceDue',
+  'dueStatus'
+];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+}) : '');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "is due in 3 days", "is due today" or "is 7 days overdue"
+const describeDueStatus = (dueDate, now = new Date()) => {
+  const days = Math.floor((now - new Date(dueDate)) / DAY);
+  const plural = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+  if (days > 0) return `is ${plural(days)} overdue`;
+  if (days === 0) return 'is due today';
+  return `is due in ${plural(-days)}`;
+};
+
+// Client-facing page of a shared invoice
+const getInvoiceShareUrl = (token) => `${getClientUrl()}/i/${token}`;
+
+// Placeholder values for an invoice with client, project and user populated
+// (and its share token selected, for the online link)
+const getInvoiceTemplateValues = (invoice) => {
+  const sender = invoice.user || {};
+  const client = invoice.client || {};
+
+  return {
+    invoiceNumber: invoice.invoiceNumber,
+    clientName: client.name,
+    clientCompany: client.company || client.name,
+    senderName: sender.company || sender.name,
+    senderCompany: sender.company,
+    total: formatMoney(invoice.total, invoice.currency),
+    currency: invoice.currency,
+    issueDate: formatDate(invoice.issueDate),
+    dueDate: formatDate(invoice.dueDate),
+    projectTitle: invoice.project?.title,
+    invoiceUrl: invoice.shareToken ? getInvoiceShareUrl(invoice.shareToken) : undefined,
+    balanceDue: formatMoney(invoice.getOutstandingBalance(), invoice.currency),
+    dueStatus: describeDueStatus(invoice.dueDate)
+  };
+};
+
+module.exports = {
+  renderTemplate,
+  INVOICE_EMAIL_TEMPLATE,
+  INVOICE_REMINDER_TEMPLATE,
+  INVOICE_PLACEHOLDERS,
+  getInvoiceShareUrl,
+  getInvoiceTemplateValues
+};
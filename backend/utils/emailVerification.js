@@ -0,0 +1,48 @@
+const { sendMail, getClientUrl } = require('./mailer');
+const { generateEmailVerificationToken } = require('./jwt');
+
+// Minimum time between two verification emails for the same user
+const getResendInterval = () => {
+  const seconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+  return seconds * 1000;
+};
+
+const isVerificationRequired = () => {
+  return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+};
+
+// Seconds the user still has to wait before another email can be sent
+const getResendWaitSeconds = (user) => {
+  if (!user.emailVerificationSentAt) return 0;
+
+  const elapsed = Date.now() - user.emailVerificationSentAt.getTime();
+  return Math.max(0, Math.ceil((getResendInterval() - elapsed) / 1000));
+};
+
+// Email a verification link and record when it was sent. The caller saves the user.
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user._id, user.email);
+  const verifyUrl = `${getClientUrl()}/verify-email/${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      '',
+      verifyUrl,
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+
+  user.emailVerificationSentAt = new Date();
+};
+
+module.exports = {
+  isVerificationRequired,
+  getResendWaitSeconds,
+  sendVerificationEmail
+};
@@ -0,0 +1,148 @@
+const EventEmitter = require('events');
+
+// In-process domain event bus. Routes publish what happened ("task.completed",
+// "invoice.sent"); listeners such as the activity stream react to it.
+
+const EVENT_TYPES = [
+  'client.created',
+  'client.updated',
+  'client.deleted',
+  'project.created',
+  'project.updated',
+  'project.status_changed',
+  'project.completed',
+  'project.archived',
+  'project.unarchived',
+  'project.overdue',
+  'project.deleted',
+  'task.created',
+  'task.updated',
+  'task.status_changed',
+  'task.completed',
+  'task.assigned',
+  'task.commented',
+  'task.deleted',
+  'invoice.created',
+  'invoice.updated',
+  'invoice.sent',
+  'invoice.viewed',
+  'invoice.overdue',
+  'invoice.reminder_sent',
+  'invoice.payment_recorded',
+  'invoice.payment_refunded',
+  'invoice.payment_deleted',
+  'invoice.paid',
+  'invoice.credited',
+  'invoice.voided',
+  'invoice.deleted'
+];
+
+const bus = new EventEmitter();
+
+// Accept populated references as well as plain ids
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Human readable name of an entity, kept on the event so it survives deletion
+const labelOf = (entityType, entity) => {
+  switch (entityType) {
+    case 'client':
+      return entity.name;
+    case 'invoice':
+      return entity.invoiceNumber;
+    default:
+      return entity.title;
+  }
+};
+
+// Related records the event should show up under
+const referencesFor = (entityType, entity) => {
+  const references = {
+    client: entityType === 'client' ? entity._id : idOf(entity.client),
+    project: entityType === 'project' ? entity._id : idOf(entity.project),
+    task: entityType === 'task' ? entity._id : undefined,
+    invoice: entityType === 'invoice' ? entity._id : undefined
+  };
+
+  // Tasks reach their client through a populated project
+  if (!references.client && entity.project?.client) {
+    references.client = idOf(entity.project.client);
+  }
+
+  return references;
+};
+
+// Publish a domain event about `entity`. `data` carries event specific
+// details such as the previous and new status.
+const emitEvent = (req, type, entity, data = {}) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const entityType = type.split('.')[0];
+
+  bus.emit('event', {
+    type,
+    workspace: idOf(entity.workspace) || req?.workspace?._id,
+    actor: req?.user?._id,
+    entityType,
+    entityId: entity._id,
+    references: referencesFor(entityType, entity),
+    data: { label: labelOf(entityType, entity), ...data },
+    occurredAt: new Date()
+  });
+};
+
+// Publish the events describing an update of `fields` from `before` to
+// `after`: a status change (plus "<entity>.<status>" when such an event
+// exists, e.g. task.completed or invoice.paid), a reassignment, and a
+// generic "<entity>.updated" for everything else
+const emitUpdateEvents = (req, entityType, before, after, fields) => {
+  const changed = fields.filter(field => (
+    JSON.stringify(idOf(before[field])) !== JSON.stringify(idOf(after[field]))
+  ));
+  let remaining = changed;
+
+  if (changed.includes('status')) {
+    const statusEvents = [`${entityType}.status_changed`, `${entityType}.${after.status}`]
+      .filter(type => EVENT_TYPES.includes(type));
+
+    statusEvents.forEach(type => {
+      emitEvent(req, type, after, { from: before.status, to: after.status });
+    });
+
+    if (statusEvents.length > 0) {
+      remaining = remaining.filter(field => field !== 'status');
+    }
+  }
+
+  if (changed.includes('assignedTo') && EVENT_TYPES.includes(`${entityType}.assigned`)) {
+    emitEvent(req, `${entityType}.assigned`, after, {
+      assignee: idOf(after.assignedTo),
+      assigneeName: after.assignedTo?.name
+    });
+    remaining = remaining.filter(field => field !== 'assignedTo');
+  }
+
+  if (remaining.length > 0) {
+    emitEvent(req, `${entityType}.updated`, after, { fields: remaining });
+  }
+};
+
+// Subscribe to every domain event. Handler errors are logged and never
+// reach the request that emitted the event.
+const onEvent = (handler) => {
+  bus.on('event', async (event) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`Event handler error (${event.type}):`, error);
+    }
+  });
+};
+
+module.exports = {
+  EVENT_TYPES,
+  emitEvent,
+  emitUpdateEvents,
+  onEvent
+};
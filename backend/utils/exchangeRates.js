@@ -0,0 +1,121 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const { roundMoney } = require('./money');
+
+const DEFAULT_BASE_CURRENCY = 'USD';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rates are entered per day
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY) * DAY);
+
+// Units of `to` one unit of `from` is worth on `date`, from the latest rate
+// entered for the pair (either way round) on or before that day. Resolves
+// with null when no rate is known.
+const getRate = async (workspaceId, from, to, date = new Date()) => {
+  if (from === to) return 1;
+
+  const onOrBefore = { workspace: workspaceId, date: { $lte: date } };
+  const [direct, inverse] = await Promise.all([
+    ExchangeRate.findOne({ ...onOrBefore, from, to }).sort({ date: -1 }),
+    ExchangeRate.findOne({ ...onOrBefore, from: to, to: from }).sort({ date: -1 })
+  ]);
+
+  if (direct && (!inverse || direct.date >= inverse.date)) return direct.rate;
+  if (inverse) return 1 / inverse.rate;
+  return null;
+};
+
+const getBaseCurrency = async (userId) => {
+  const user = await User.findById(userId).select('baseCurrency');
+  return user?.baseCurrency || DEFAULT_BASE_CURRENCY;
+};
+
+// Rate snapshot stored on invoices, payments and credit notes so reports
+// keep using the rate of the day the money was invoiced or received.
+// Undefined when no rate was known on that day; reports then fall back
+// to the latest rate.
+const snapshotRate = async (workspaceId, currency, base, date) => {
+  const rate = await getRate(workspaceId, currency, base, date);
+  if (rate === null) return undefined;
+  return { base, rate, date: startOfDay(date) };
+};
+
+// $group stage summing `amount` per currency: in the original currency,
+// converted with the snapshots taken in `base`, and what has no such
+// snapshot yet
+const sumByCurrency = (amount, snapshot, base) => {
+  const snapshotted = { $eq: [`${snapshot}.base`, base] };
+  return {
+    $group: {
+      _id: '$currency',
+      amount: { $sum: amount },
+      converted: { $sum: { $cond: [snapshotted, { $multiply: [amount, `${snapshot}.rate`] }, 0] } },
+      unconverted: { $sum: { $cond: [snapshotted, 0, amount] } }
+    }
+  };
+};
+
+// Subtract the per-currency sums of `subtract` from those of `buckets`
+const subtractBuckets = (buckets, subtract) => {
+  const result = new Map(buckets.map(bucket => [bucket._id, { ...bucket }]));
+
+  subtract.forEach(bucket => {
+    const target = result.get(bucket._id) || { _id: bucket._id, amount: 0, converted: 0, unconverted: 0 };
+    target.amount -= bucket.amount;
+    target.converted -= bucket.converted;
+    target.unconverted -= bucket.unconverted;
+    result.set(bucket._id, target);
+  });
+
+  return [...result.values()];
+};
+
+// Total of per-currency sums in `base`. Amounts without a snapshot are
+// converted at the latest rate; currencies without any rate are listed in
+// `missingRates` and left out of the total.
+const convertBuckets = async (workspaceId, buckets, base) => {
+  let total = 0;
+  const byCurrency = [];
+  const missingRates = [];
+
+  for (const bucket of buckets) {
+    const currency = bucket._id || DEFAULT_BASE_CURRENCY;
+    let converted = bucket.amount;
+
+    if (currency !== base) {
+      const rate = bucket.unconverted ? await getRate(workspaceId, currency, base) : 0;
+      if (rate === null) {
+        missingRates.push(currency);
+        converted = null;
+      } else {
+        converted = bucket.converted + bucket.unconverted * rate;
+      }
+    }
+
+    if (converted !== null) total += converted;
+    byCurrency.push({
+      currency,
+      amount: roundMoney(bucket.amount),
+      converted: converted === null ? null : roundMoney(converted)
+    });
+  }
+
+  return {
+    currency: base,
+    total: roundMoney(total),
+    byCurrency: byCurrency.sort((a, b) => b.amount - a.amount),
+    missingRates
+  };
+};
+
+module.exports = {
+  DEFAULT_BASE_CURRENCY,
+  startOfDay,
+  getRate,
+  getBaseCurrency,
+  snapshotRate,
+  sumByCurrency,
+  subtractBuckets,
+  convertBuckets
+};
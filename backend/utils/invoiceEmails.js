@@ -0,0 +1,85 @@
+const { sendMail } = require('./mailer');
+const { renderInvoicePdf, getInvoicePdfFilename } = require('./invoicePdf');
+const {
+  renderTemplate,
+  INVOICE_EMAIL_TEMPLATE,
+  INVOICE_REMINDER_TEMPLATE,
+  getInvoiceTemplateValues
+} = require('./emailTemplates');
+
+const DEFAULT_TEMPLATES = {
+  invoice: INVOICE_EMAIL_TEMPLATE,
+  reminder: INVOICE_REMINDER_TEMPLATE
+};
+
+// Email an invoice, or a payment reminder (`type: 'reminder'`), to `to`
+// (the client by default) and record the attempt in its email history. The
+// invoice needs client, project and user populated and its share token
+// selected; it is saved whether or not the email went out. Resolves with
+// { delivered, recipient, error }.
+const sendInvoiceEmail = async (invoice, options = {}) => {
+  const { type = 'invoice', cc = [], bcc = [], attachPdf = true } = options;
+  const recipient = options.to || invoice.client?.email;
+  const template = DEFAULT_TEMPLATES[type];
+
+  // The email links to the online view, so make sure there is one
+  if (!invoice.shareToken) {
+    invoice.generateShareToken();
+  }
+
+  const values = getInvoiceTemplateValues(invoice);
+  const subject = renderTemplate(options.subject || template.subject, values);
+  const text = renderTemplate(options.message || template.body, values);
+
+  const attachments = attachPdf
+    ? [{
+      filename: getInvoicePdfFilename(invoice),
+      content: await renderInvoicePdf(invoice),
+      contentType: 'application/pdf'
+    }]
+    : [];
+
+  let result = null;
+  let error = null;
+  try {
+    result = await sendMail({
+      to: recipient,
+      cc,
+      bcc,
+      replyTo: invoice.user?.email,
+      subject,
+      text,
+      attachments
+    });
+  } catch (mailError) {
+    console.error('Invoice email error:', mailError);
+    error = mailError.message;
+  }
+
+  const delivered = Boolean(result) && result.accepted.includes(recipient);
+  if (result && !delivered) {
+    error = `Recipient rejected: ${recipient}`;
+  }
+
+  // Record the attempt either way so the history shows failed sends too
+  invoice.emailHistory.push({
+    type,
+    sentTo: recipient,
+    cc,
+    bcc,
+    subject,
+    status: delivered ? 'delivered' : 'failed',
+    messageId: result?.messageId,
+    error: error || undefined
+  });
+
+  if (delivered && invoice.status === 'draft') {
+    invoice.status = 'sent';
+  }
+
+  await invoice.save();
+
+  return { delivered, recipient, error };
+};
+
+module.exports = { sendInvoiceEmail };
@@ -0,0 +1,146 @@
+const Invoice = require('../models/Invoice');
+const Workspace = require('../models/Workspace');
+const Client = require('../models/Client');
+const Counter = require('../models/Counter');
+const CreditNote = require('../models/CreditNote');
+
+const DEFAULT_NUMBERING = {
+  format: '{PREFIX}-{YYYY}-{SEQ}',
+  prefix: 'INV',
+  creditNotePrefix: 'CN',
+  padding: 4,
+  reset: 'yearly'
+};
+
+// Numbered documents. Credit notes use the invoice format with their own
+// prefix and sequence.
+const SEQUENCES = {
+  invoice: {
+    prefix: numbering => numbering.prefix,
+    isTaken: (workspace, number) => Invoice.exists({ workspace, invoiceNumber: number })
+  },
+  'credit-note': {
+    prefix: numbering => numbering.creditNotePrefix,
+    isTaken: (workspace, number) => CreditNote.exists({ workspace, creditNoteNumber: number })
+  }
+};
+
+// Tokens available in the number format
+const INVOICE_NUMBER_TOKENS = {
+  PREFIX: 'Prefix, e.g. INV for invoices and CN for credit notes',
+  YYYY: 'Four digit year of the issue date',
+  YY: 'Two digit year of the issue date',
+  CLIENT: 'Client code, or the first letters of the client name',
+  SEQ: 'Sequence number, zero-padded'
+};
+
+// Code of a client for the {CLIENT} token: its own code or the first three
+// letters and digits of its company or name
+const getClientCode = (client) => {
+  if (!client) return '';
+  if (client.code) return client.code;
+
+  const name = (client.company || client.name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return name.slice(0, 3);
+};
+
+const getNumbering = (workspace) => ({ ...DEFAULT_NUMBERING, ...workspace?.toObject().invoiceNumbering });
+
+// One sequence per document kind and workspace, and per year when numbers
+// reset yearly
+const getCounterKey = (workspaceId, numbering, date, kind = 'invoice') => {
+  const period = numbering.reset === 'yearly' ? date.getUTCFullYear() : 'all';
+  return `${kind}:${workspaceId}:${period}`;
+};
+
+const formatInvoiceNumber = (numbering, { seq, date, clientCode = '', prefix = numbering.prefix }) => {
+  const year = String(date.getUTCFullYear());
+  const values = {
+    PREFIX: prefix,
+    YYYY: year,
+    YY: year.slice(-2),
+    CLIENT: clientCode,
+    SEQ: String(seq).padStart(numbering.padding, '0')
+  };
+
+  return numbering.format.replace(/\{(\w+)\}/g, (match, token) => (token in values ? values[token] : match));
+};
+
+const loadClientCode = async (client) => {
+  if (!client || client.name !== undefined) return getClientCode(client);
+  return getClientCode(await Client.findById(client).select('code name company'));
+};
+
+// Take the next number of a workspace. The counter is incremented
+// atomically so parallel creates never get the same number; numbers that
+// are already taken (invoices from before the counter, or after the
+// format was changed back) are skipped.
+const takeNumber = async (kind, workspaceId, { client, date = new Date() } = {}) => {
+  const workspace = await Workspace.findById(workspaceId).select('invoiceNumbering');
+  const numbering = getNumbering(workspace);
+  const sequence = SEQUENCES[kind];
+  const key = getCounterKey(workspaceId, numbering, date, kind);
+  const clientCode = numbering.format.includes('{CLIENT}') ? await loadClientCode(client) : '';
+
+  for (;;) {
+    const seq = await Counter.next(key);
+    const number = formatInvoiceNumber(numbering, { seq, date, clientCode, prefix: sequence.prefix(numbering) });
+
+    if (!(await sequence.isTaken(workspaceId, number))) {
+      return number;
+    }
+  }
+};
+
+const generateInvoiceNumber = (workspaceId, options) => takeNumber('invoice', workspaceId, options);
+
+const generateCreditNoteNumber = (workspaceId, options) => takeNumber('credit-note', workspaceId, options);
+
+// The number the next invoice would get, without taking it
+const previewInvoiceNumber = async (workspace, date = new Date()) => {
+  const numbering = getNumbering(workspace);
+  const seq = await Counter.peek(getCounterKey(workspace._id, numbering, date)) + 1;
+
+  return {
+    nextNumber: seq,
+    example: formatInvoiceNumber(numbering, { seq, date, clientCode: 'ACME' })
+  };
+};
+
+// Make the current period's sequence continue from `nextNumber`, e.g. when
+// moving over from another invoicing tool
+const setNextInvoiceNumber = (workspace, nextNumber, date = new Date()) => {
+  const key = getCounterKey(workspace._id, getNumbering(workspace), date);
+  return Counter.setValue(key, nextNumber - 1);
+};
+
+// Invoice numbers used to be unique across all workspaces, so two users
+// could not both have INV-2026-0001. They are now unique per workspace;
+// drop the old index from existing databases.
+const dropGlobalInvoiceNumberIndex = async () => {
+  try {
+    const indexes = await Invoice.collection.indexes();
+    const legacy = indexes.find(index => index.name === 'invoiceNumber_1' && index.unique);
+
+    if (legacy) {
+      await Invoice.collection.dropIndex(legacy.name);
+      console.log('Dropped the global invoice number index');
+    }
+  } catch (error) {
+    // The collection does not exist yet on a fresh database
+    if (error.codeName !== 'NamespaceNotFound') {
+      console.error('Drop invoice number index error:', error);
+    }
+  }
+};
+
+module.exports = {
+  INVOICE_NUMBER_TOKENS,
+  getClientCode,
+  formatInvoiceNumber,
+  generateInvoiceNumber,
+  generateCreditNoteNumber,
+  previewInvoiceNumber,
+  setNextInvoiceNumber,
+  dropGlobalInvoiceNumberIndex
+};
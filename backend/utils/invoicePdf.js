@@ -0,0 +1,310 @@
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#4f46e5';
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#6b7280';
+const BORDER_COLOR = '#e5e7eb';
+
+const PAYMENT_METHOD_LABELS = {
+  'bank-transfer': 'Bank transfer',
+  paypal: 'PayPal',
+  stripe: 'Card (Stripe)',
+  check: 'Check',
+  cash: 'Cash',
+  other: 'Other'
+};
+
+const formatMoney = (amount, currency = 'USD') => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    // Unknown currency codes still render, just without a symbol
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+};
+
+const formatDate = (date) => {
+  return date
+    ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '';
+};
+
+// Populate everything the document shows. Works on a query or a document.
+const INVOICE_DOCUMENT_POPULATE = [
+  { path: 'client' },
+  { path: 'project', select: 'title' },
+  { path: 'user', select: 'name email company phone website taxNumber' }
+];
+
+const drawHeader = (doc, invoice) => {
+  const sender = invoice.user || {};
+
+  doc.rect(0, 0, doc.page.width, 8).fill(BRAND_COLOR);
+
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(24)
+    .text('INVOICE', 50, 45);
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11)
+    .text(sender.company || sender.name || '', 50, 80);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  [
+    sender.company ? sender.name : null,
+    sender.email,
+    sender.phone,
+    sender.website,
+    sender.taxNumber ? `Tax no. ${sender.taxNumber}` : null
+  ]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  const meta = [
+    ['Invoice number', invoice.invoiceNumber],
+    ['Issue date', formatDate(invoice.issueDate)],
+    ['Due date', formatDate(invoice.dueDate)],
+    ['Status', invoice.status.charAt(0).toUpperCase() + invoice.status.slice(1)]
+  ];
+
+  let y = 50;
+  meta.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+      .text(label, 330, y, { width: 100 });
+    doc.font('Helvetica-Bold').fillColor(TEXT_COLOR)
+      .text(value, 430, y, { width: 115, align: 'right' });
+    y += 16;
+  });
+};
+
+const drawBillTo = (doc, invoice) => {
+  const client = invoice.client || {};
+  const top = 170;
+
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR)
+    .text('BILL TO', 50, top);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_COLOR)
+    .text(client.company || client.name || '', 50, top + 14);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+  [
+    client.company ? client.name : null,
+    client.email,
+    client.fullAddress,
+    client.taxNumber ? `Tax no. ${client.taxNumber}` : null
+  ]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: 250 }));
+
+  if (invoice.project?.title) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR)
+      .text('PROJECT', 330, top);
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR)
+      .text(invoice.project.title, 330, top + 14, { width: 215 });
+  }
+};
+
+const COLUMNS = [
+  { key: 'description', label: 'Description', x: 50, width: 255, align: 'left' },
+  { key: 'quantity', label: 'Qty', x: 305, width: 60, align: 'right' },
+  { key: 'rate', label: 'Rate', x: 365, width: 85, align: 'right' },
+  { key: 'amount', label: 'Amount', x: 450, width: 95, align: 'right' }
+];
+
+const drawItems = (doc, invoice) => {
+  let y = Math.max(doc.y, 250) + 20;
+
+  const drawTableHeader = () => {
+    doc.rect(50, y - 6, 495, 22).fill('#f3f4f6');
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(TEXT_COLOR);
+    COLUMNS.forEach(column => {
+      doc.text(column.label, column.x + 4, y, { width: column.width - 8, align: column.align });
+    });
+    y += 24;
+  };
+
+  drawTableHeader();
+
+  invoice.items.forEach(item => {
+    const values = {
+      description: item.description,
+      quantity: String(item.quantity),
+      rate: formatMoney(item.rate, invoice.currency),
+      amount: formatMoney(item.amount, invoice.currency)
+    };
+
+    doc.font('Helvetica').fontSize(9);
+    const rowHeight = Math.max(
+      doc.heightOfString(values.description, { width: COLUMNS[0].width - 8 }),
+      12
+    ) + 10;
+
+    // Start a new page (and repeat the header) when the row does not fit
+    if (y + rowHeight > doc.page.height - 120) {
+      doc.addPage();
+      y = 50;
+      drawTableHeader();
+      doc.font('Helvetica').fontSize(9);
+    }
+
+    doc.fillColor(TEXT_COLOR);
+    COLUMNS.forEach(column => {
+      doc.text(values[column.key], column.x + 4, y, { width: column.width - 8, align: column.align });
+    });
+
+    y += rowHeight;
+    doc.moveTo(50, y - 5).lineTo(545, y - 5).strokeColor(BORDER_COLOR).lineWidth(0.5).stroke();
+  });
+
+  doc.y = y;
+};
+
+// One totals row per tax, withholding last as it comes off what is paid
+const getTaxRows = (invoice) => {
+  const charged = invoice.taxSummary.filter(tax => tax.type !== 'withholding');
+  const withheld = invoice.taxSummary.filter(tax => tax.type === 'withholding');
+
+  return [
+    ...charged.map(tax => {
+      const label = `${tax.name} (${tax.rate}%)`;
+      if (tax.reverseCharge) return [label, 'Reverse charge'];
+      if (tax.inclusive) return [`${label} included`, formatMoney(tax.amount, invoice.currency)];
+      return [label, formatMoney(tax.amount, invoice.currency)];
+    }),
+    ...withheld.map(tax => [`${tax.name} (${tax.rate}%)`, `-${formatMoney(tax.amount, invoice.currency)}`])
+  ];
+};
+
+const drawTotals = (doc, invoice) => {
+  const rows = [['Subtotal', formatMoney(invoice.subtotal, invoice.currency)]];
+  if (invoice.discountAmount > 0) {
+    rows.push([`Discount (${invoice.discountRate}%)`, `-${formatMoney(invoice.discountAmount, invoice.currency)}`]);
+  }
+  if (invoice.taxSummary?.length > 0) {
+    rows.push(...getTaxRows(invoice));
+  } else if (invoice.taxAmount > 0) {
+    rows.push([`Tax (${invoice.taxRate}%)`, formatMoney(invoice.taxAmount, invoice.currency)]);
+  }
+
+  // With payments received or credits issued the highlighted amount is
+  // what is left to pay
+  const partiallyPaid = invoice.amountPaid > 0 || invoice.creditedAmount > 0;
+  if (partiallyPaid) {
+    rows.push(['Total', formatMoney(invoice.total, invoice.currency)]);
+  }
+  if (invoice.creditedAmount > 0) {
+    rows.push(['Credited', `-${formatMoney(invoice.creditedAmount, invoice.currency)}`]);
+  }
+  if (invoice.amountPaid > 0) {
+    rows.push(['Amount paid', `-${formatMoney(invoice.amountPaid, invoice.currency)}`]);
+  }
+
+  if (doc.y + rows.length * 16 + 40 > doc.page.height - 80) {
+    doc.addPage();
+    doc.y = 50;
+  }
+
+  let y = doc.y + 10;
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+      .text(label, 330, y, { width: 110 });
+    doc.fillColor(TEXT_COLOR).text(value, 440, y, { width: 105, align: 'right' });
+    y += 16;
+  });
+
+  doc.rect(330, y, 215, 26).fill(BRAND_COLOR);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#ffffff')
+    .text(`${partiallyPaid ? 'Balance due' : 'Total due'} (${invoice.currency})`, 338, y + 8, { width: 120 });
+  doc.text(
+    formatMoney(partiallyPaid ? invoice.getOutstandingBalance() : invoice.total, invoice.currency),
+    440,
+    y + 8,
+    { width: 97, align: 'right' }
+  );
+
+  doc.y = y + 46;
+};
+
+const drawSection = (doc, title, body) => {
+  if (!body) return;
+
+  if (doc.y > doc.page.height - 120) {
+    doc.addPage();
+    doc.y = 50;
+  }
+
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR)
+    .text(title.toUpperCase(), 50, doc.y);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor(TEXT_COLOR)
+    .text(body, 50, doc.y, { width: 495 });
+  doc.moveDown(1);
+};
+
+const drawFooter = (doc, invoice) => {
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - 40;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text(`${invoice.invoiceNumber}  ·  Page ${i + 1} of ${range.count}`, 50, y, {
+        width: 495,
+        align: 'center',
+        lineBreak: false
+      });
+  }
+};
+
+// Render an invoice (with client, project and user populated) to a PDF buffer
+const renderInvoicePdf = (invoice) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      bufferPages: true,
+      info: {
+        Title: `Invoice ${invoice.invoiceNumber}`,
+        Author: invoice.user?.company || invoice.user?.name || ''
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, invoice);
+    drawBillTo(doc, invoice);
+    drawItems(doc, invoice);
+    drawTotals(doc, invoice);
+
+    const paymentInstructions = [
+      `Payment method: ${PAYMENT_METHOD_LABELS[invoice.paymentMethod] || invoice.paymentMethod}`,
+      invoice.paymentDetails
+    ].filter(Boolean).join('\n');
+
+    // Reverse-charge and other tax notes
+    const taxNotes = [...new Set((invoice.taxSummary || []).map(tax => tax.note).filter(Boolean))];
+
+    drawSection(doc, 'Tax', taxNotes.join('\n'));
+    drawSection(doc, 'Payment instructions', paymentInstructions);
+    drawSection(doc, 'Notes', invoice.notes);
+    drawSection(doc, 'Terms', invoice.terms);
+    drawFooter(doc, invoice);
+
+    doc.end();
+  });
+};
+
+// Numbers from before formats were restricted may hold anything, and the
+// name goes into a quoted Content-Disposition header and mail attachments
+const getInvoicePdfFilename = (invoice) => {
+  const name = String(invoice.invoiceNumber || 'invoice').replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${name}.pdf`;
+};
+
+module.exports = {
+  INVOICE_DOCUMENT_POPULATE,
+  formatMoney,
+  renderInvoicePdf,
+  getInvoicePdfFilename
+};
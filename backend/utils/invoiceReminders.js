@@ -0,0 +1,159 @@
+const Invoice = require('../models/Invoice');
+const Workspace = require('../models/Workspace');
+const { emitEvent } = require('./events');
+const { INVOICE_DOCUMENT_POPULATE } = require('./invoicePdf');
+const { sendInvoiceEmail } = require('./invoiceEmails');
+
+const POLL_INTERVAL = 15 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Invoices that are out with the client and not fully paid
+const AWAITING_PAYMENT = ['sent', 'viewed', 'partially-paid'];
+
+// Move invoices past their due date to "overdue". Each one is claimed with
+// a conditional update, so with several servers only one reports it.
+const markOverdueInvoices = async (batchSize = 500) => {
+  for (let processed = 0; processed < batchSize; processed++) {
+    const invoice = await Invoice.findOneAndUpdate(
+      { status: { $in: AWAITING_PAYMENT }, dueDate: { $lt: new Date() } },
+      { status: 'overdue' },
+      { new: true }
+    );
+
+    if (!invoice) return processed;
+
+    emitEvent(null, 'invoice.overdue', invoice, {
+      dueDate: invoice.dueDate,
+      balanceDue: invoice.getOutstandingBalance(),
+      currency: invoice.currency
+    });
+  }
+  return batchSize;
+};
+
+// When the invoice was first emailed to the client; reminders scheduled
+// before that moment are never sent
+const getFirstSentAt = (invoice) => {
+  const sent = invoice.emailHistory.find(entry => entry.type !== 'reminder' && entry.status !== 'failed');
+  return sent ? sent.sentAt : invoice.issueDate;
+};
+
+// The step of the sequence whose time came most recently, if it has not
+// been sent yet. Older steps that were missed are skipped rather than
+// sending several reminders at once.
+const getDueStep = (invoice, steps, now = new Date()) => {
+  const firstSentAt = getFirstSentAt(invoice);
+
+  const reached = steps
+    .filter(step => {
+      const sendAt = new Date(invoice.dueDate.getTime() + step.offsetDays * DAY);
+      return sendAt <= now && sendAt >= firstSentAt;
+    })
+    .sort((a, b) => b.offsetDays - a.offsetDays);
+
+  const step = reached[0];
+  return step && !invoice.remindersSent.includes(step.offsetDays) ? step : null;
+};
+
+// Claim a reminder step, then email it and record it in the email history.
+// A send that fails releases the step, so the next run tries it again.
+const sendReminder = async (invoice, step) => {
+  const claimed = await Invoice.updateOne(
+    { _id: invoice._id, dueDate: invoice.dueDate, remindersSent: { $ne: step.offsetDays } },
+    { $addToSet: { remindersSent: step.offsetDays } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  let document;
+  let result;
+  try {
+    document = await Invoice.findById(invoice._id)
+      .select('+shareToken')
+      .populate(INVOICE_DOCUMENT_POPULATE);
+
+    result = await sendInvoiceEmail(document, {
+      type: 'reminder',
+      subject: step.subject,
+      message: step.message
+    });
+  } finally {
+    if (!result?.delivered) {
+      await Invoice.updateOne({ _id: invoice._id }, { $pull: { remindersSent: step.offsetDays } });
+    }
+  }
+
+  const { delivered, recipient, error } = result;
+  if (!delivered) {
+    console.error(`Reminder for invoice ${document.invoiceNumber} not sent:`, error);
+    return false;
+  }
+
+  emitEvent(null, 'invoice.reminder_sent', document, {
+    sentTo: recipient,
+    offsetDays: step.offsetDays
+  });
+  return true;
+};
+
+// Send the reminders that are due in one workspace
+const sendWorkspaceReminders = async (workspace) => {
+  const { steps } = workspace.invoiceReminders;
+  if (steps.length === 0) return 0;
+
+  // Nothing can be due before the earliest step
+  const leadDays = Math.max(0, ...steps.map(step => -step.offsetDays));
+  const invoices = await Invoice.find({
+    workspace: workspace._id,
+    status: { $in: [...AWAITING_PAYMENT, 'overdue'] },
+    dueDate: { $lte: new Date(Date.now() + leadDays * DAY) }
+  }).populate('client', 'email paymentReminders');
+
+  let sent = 0;
+  for (const invoice of invoices) {
+    if (!invoice.client?.email || invoice.client.paymentReminders === false) continue;
+
+    const step = getDueStep(invoice, steps);
+    if (!step) continue;
+
+    try {
+      if (await sendReminder(invoice, step)) sent++;
+    } catch (error) {
+      console.error(`Reminder for invoice ${invoice.invoiceNumber} error:`, error);
+    }
+  }
+  return sent;
+};
+
+const sendDueReminders = async () => {
+  const workspaces = await Workspace.find({ 'invoiceReminders.enabled': true })
+    .select('invoiceReminders');
+
+  let sent = 0;
+  for (const workspace of workspaces) {
+    sent += await sendWorkspaceReminders(workspace);
+  }
+  return sent;
+};
+
+const startInvoiceReminderWorker = () => {
+  const run = async () => {
+    try {
+      await markOverdueInvoices();
+      await sendDueReminders();
+    } catch (error) {
+      console.error('Invoice reminder worker error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  markOverdueInvoices,
+  sendDueReminders,
+  getDueStep,
+  startInvoiceReminderWorker
+};
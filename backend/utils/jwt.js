@@ -1,10 +1,14 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (userId) => {
+// Access tokens are short-lived; clients renew them with a refresh token
+const generateToken = (userId, sessionId, expiresIn) => {
+  const payload = { id: userId };
+  if (sessionId) payload.sid = sessionId;
+
   return jwt.sign(
-    { id: userId },
+    payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: expiresIn || process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -12,8 +16,45 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
 
+// Short-lived token proving the password step of a two-factor login
+const generateChallengeToken = (userId, challengeId) => {
+  return jwt.sign(
+    { id: userId, challenge: challengeId, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa-challenge') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Signed email verification token, bound to the address it was sent to
+const generateEmailVerificationToken = (userId, email) => {
+  return jwt.sign(
+    { id: userId, email, purpose: 'email-verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== 'email-verification') {
+    throw new Error('Invalid email verification token');
+  }
+  return decoded;
+};
+
 module.exports = {
   generateToken,
-  verifyToken
+  verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken
 };
-
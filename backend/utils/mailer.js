@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const toList = (recipients) => {
+  if (!recipients) return [];
+  return Array.isArray(recipients) ? recipients : [recipients];
+};
+
+let smtpTransporter = null;
+
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return smtpTransporter;
+};
+
+// Transports receive a normalized message and return delivery info
+// ({ transport, accepted, rejected, messageId }).
+// Register additional transports (SES, ...) with registerTransport().
+const transports = {
+  console: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to.join(', ')}`);
+    if (message.cc.length) console.log(`Cc: ${message.cc.join(', ')}`);
+    if (message.bcc.length) console.log(`Bcc: ${message.bcc.join(', ')}`);
+    console.log(`Subject: ${message.subject}`);
+    message.attachments.forEach(attachment => {
+      console.log(`Attachment: ${attachment.filename} (${attachment.content.length} bytes)`);
+    });
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+    return {
+      transport: 'console',
+      accepted: [...message.to, ...message.cc, ...message.bcc],
+      rejected: []
+    };
+  },
+
+  // Local stand-in for SMTP: captures each message (and its attachments)
+  // in MAIL_OUTBOX_DIR instead of sending it
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'content-workflow-mail');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const baseName = `${Date.now()}-${message.to[0].replace(/[^a-z0-9@.-]/gi, '_')}`;
+    const attachments = await Promise.all(message.attachments.map(async (attachment, index) => {
+      const attachmentPath = path.join(outboxDir, `${baseName}-${index}-${attachment.filename}`);
+      await fs.writeFile(attachmentPath, attachment.content);
+      return { filename: attachment.filename, contentType: attachment.contentType, path: attachmentPath };
+    }));
+
+    const filePath = path.join(outboxDir, `${baseName}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, attachments }, null, 2));
+
+    console.log(`Email to ${message.to.join(', ')} written to ${filePath}`);
+    return {
+      transport: 'file',
+      accepted: [...message.to, ...message.cc, ...message.bcc],
+      rejected: [],
+      path: filePath
+    };
+  },
+
+  smtp: async (message) => {
+    const info = await getSmtpTransporter().sendMail({
+      ...message,
+      html: message.html || undefined
+    });
+
+    return {
+      transport: 'smtp',
+      accepted: info.accepted || [],
+      rejected: info.rejected || [],
+      messageId: info.messageId
+    };
+  }
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+// Send an email through the configured transport.
+// `to`, `cc` and `bcc` take an address or a list of addresses; attachments
+// are { filename, content: Buffer, contentType }.
+const sendMail = async ({ to, cc, bcc, replyTo, subject, text, html, attachments = [] }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Content Workflow Platform <no-reply@localhost>',
+    to: toList(to),
+    cc: toList(cc),
+    bcc: toList(bcc),
+    replyTo,
+    subject,
+    text,
+    html: html || '',
+    attachments
+  };
+
+  return getTransport()(message);
+};
+
+// Base URL of the frontend, used to build links in emails
+const getClientUrl = () => {
+  return (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  getClientUrl
+};
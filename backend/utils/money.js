@@ -0,0 +1,4 @@
+// Round to cents so float noise never leaves a balance of 0.0000001
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = { roundMoney };
@@ -0,0 +1,61 @@
+const Project = require('../models/Project');
+const { emitEvent } = require('./events');
+
+const POLL_INTERVAL = 15 * 60 * 1000;
+
+// Projects that can still run late, as counted by the project stats
+const OPEN_FILTER = { status: { $nin: ['completed', 'cancelled'] } };
+
+// Emit project.overdue for projects past their due date. Each one is
+// claimed with a conditional update, so with several servers only one
+// reports it, and only once until it stops being overdue.
+const markOverdueProjects = async (batchSize = 500) => {
+  for (let processed = 0; processed < batchSize; processed++) {
+    const project = await Project.findOneAndUpdate(
+      { ...OPEN_FILTER, dueDate: { $lt: new Date() }, overdueNotified: { $ne: true } },
+      { overdueNotified: true },
+      { new: true }
+    );
+
+    if (!project) return processed;
+
+    emitEvent(null, 'project.overdue', project, { dueDate: project.dueDate });
+  }
+  return batchSize;
+};
+
+// Follow an edit of `project`: report it right away when it is overdue now,
+// or re-arm the report when an edit (a new due date, completing it) means
+// it no longer is
+const syncOverdueState = async (req, project) => {
+  if (project.isOverdue) {
+    const claimed = await Project.updateOne(
+      { _id: project._id, overdueNotified: { $ne: true } },
+      { overdueNotified: true }
+    );
+    if (claimed.modifiedCount === 1) {
+      project.overdueNotified = true;
+      emitEvent(req, 'project.overdue', project, { dueDate: project.dueDate });
+    }
+  } else if (project.overdueNotified) {
+    await Project.updateOne({ _id: project._id }, { overdueNotified: false });
+    project.overdueNotified = false;
+  }
+};
+
+const startOverdueProjectWorker = () => {
+  const run = () => {
+    markOverdueProjects().catch(error => console.error('Overdue project worker error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  markOverdueProjects,
+  syncOverdueState,
+  startOverdueProjectWorker
+};
@@ -0,0 +1,96 @@
+// Declarative permission policies. Workspace roles map to the actions they may
+// perform; routes guard themselves with requirePermission('<resource>:<action>').
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'activity:read',
+  'clients:read',
+  'clients:create',
+  'clients:update',
+  'clients:delete',
+  'projects:read',
+  'projects:create',
+  'projects:update',
+  'projects:delete',
+  'projects:archive',
+  'tasks:read',
+  'tasks:create',
+  'tasks:update',
+  'tasks:delete',
+  'tasks:assign',
+  'tasks:comment',
+  'time:read',
+  'time:track',
+  'time:manage',
+  'invoices:read',
+  'invoices:create',
+  'invoices:update',
+  'invoices:delete',
+  'invoices:send',
+  'invoices:mark-paid',
+  'invoices:credit',
+  'invoices:void',
+  'workspace:update',
+  'members:read',
+  'members:invite',
+  'members:manage',
+  'webhooks:manage',
+  'audit:read'
+];
+
+// The audit trail is reserved for owners and managers
+const READ_PERMISSIONS = PERMISSIONS.filter(permission => (
+  permission.endsWith(':read') && permission !== 'audit:read'
+));
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS,
+  editor: [
+    ...READ_PERMISSIONS,
+    'clients:create',
+    'clients:update',
+    'projects:create',
+    'projects:update',
+    'projects:archive',
+    'tasks:create',
+    'tasks:update',
+    'tasks:assign',
+    'tasks:comment',
+    'time:track',
+    'invoices:create',
+    'invoices:update'
+  ],
+  viewer: [
+    ...READ_PERMISSIONS,
+    'tasks:comment'
+  ]
+};
+
+// Permissions granted by a workspace role
+const getRolePermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+// Permissions of the current request: platform admins may do everything,
+// everyone else is limited by their role in the active workspace
+const getPermissions = (req) => {
+  if (req.user?.role === 'admin') return PERMISSIONS;
+  return getRolePermissions(req.workspaceRole);
+};
+
+const hasPermission = (req, permission) => {
+  return getPermissions(req).includes(permission);
+};
+
+const roleHasPermission = (role, permission) => {
+  return getRolePermissions(role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  roleHasPermission
+};
@@ -0,0 +1,212 @@
+const Invoice = require('../models/Invoice');
+const { emitEvent } = require('./events');
+const { INVOICE_DOCUMENT_POPULATE } = require('./invoicePdf');
+const { sendInvoiceEmail } = require('./invoiceEmails');
+const { generateInvoiceNumber } = require('./invoiceNumbers');
+
+const POLL_INTERVAL = 10 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+// Upper bound of periods listed per invoice by the preview
+const MAX_PREVIEW_PERIODS = 52;
+
+// Fields copied from the recurring invoice onto each generated one
+const COPIED_FIELDS = [
+  'client',
+  'workspace',
+  'user',
+  'project',
+  'currency',
+  'taxRate',
+  'discountRate',
+  'notes',
+  'terms',
+  'paymentMethod',
+  'paymentDetails'
+];
+
+// Generated invoices keep the template's payment term, e.g. net 30
+const getPaymentTermDays = (template) => {
+  return Math.max(Math.round((template.dueDate - template.issueDate) / DAY), 0);
+};
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Create the invoice for one period of a recurring invoice. Resolves with
+// null when the invoice for that period already exists.
+const createRecurringInvoice = async (template, period) => {
+  const source = { recurringSource: template._id, recurringPeriod: period };
+  if (await Invoice.exists(source)) return null;
+
+  const invoice = new Invoice({
+    ...Object.fromEntries(COPIED_FIELDS.map(field => [field, template[field]])),
+    ...source,
+    invoiceNumber: await generateInvoiceNumber(template.workspace, { client: template.client, date: period }),
+    issueDate: period,
+    dueDate: new Date(period.getTime() + getPaymentTermDays(template) * DAY),
+    items: template.items.map(({ description, quantity, rate, type, taxes }) => ({
+      description,
+      quantity,
+      rate,
+      type,
+      amount: quantity * rate,
+      taxes: taxes.map(tax => tax.toObject())
+    }))
+  });
+
+  try {
+    await invoice.save();
+  } catch (error) {
+    // Another server generated this period first
+    if (isDuplicateKeyError(error) && await Invoice.exists(source)) return null;
+    throw error;
+  }
+
+  return invoice;
+};
+
+// Move a recurring invoice from `period` to the `next` one, or stop it when
+// there is none before its end date. Conditional on the current period so
+// only one server ever moves it.
+const moveRecurringInvoice = async (template, period, next) => {
+  const { endDate } = template.recurringSettings;
+
+  const update = next && !(endDate && next > endDate)
+    ? { $set: { 'recurringSettings.nextInvoiceDate': next } }
+    : { $set: { isRecurring: false }, $unset: { 'recurringSettings.nextInvoiceDate': 1 } };
+
+  await Invoice.updateOne(
+    { _id: template._id, 'recurringSettings.nextInvoiceDate': period },
+    update
+  );
+};
+
+const autoSendInvoice = async (invoice) => {
+  const document = await Invoice.findById(invoice._id)
+    .select('+shareToken')
+    .populate(INVOICE_DOCUMENT_POPULATE);
+
+  if (!document.client?.email) {
+    console.error(`Recurring invoice ${invoice.invoiceNumber} not sent: client has no email address`);
+    return;
+  }
+
+  const { delivered, recipient, error } = await sendInvoiceEmail(document);
+  if (delivered) {
+    emitEvent(null, 'invoice.sent', document, { sentTo: recipient });
+  } else {
+    console.error(`Recurring invoice ${invoice.invoiceNumber} not sent:`, error);
+  }
+};
+
+// Generate the invoice for the due period of a recurring invoice
+const processRecurringInvoice = async (template) => {
+  const period = template.recurringSettings.nextInvoiceDate;
+  const { endDate, autoSend } = template.recurringSettings;
+
+  // Periods past the end date are never generated
+  if (endDate && period > endDate) {
+    await moveRecurringInvoice(template, period, null);
+    return null;
+  }
+
+  const invoice = await createRecurringInvoice(template, period);
+  await moveRecurringInvoice(template, period, template.getNextRecurringDate(period));
+
+  if (!invoice) return null;
+
+  await Invoice.updateOne({ _id: template._id }, { 'recurringSettings.lastGeneratedAt': new Date() });
+
+  emitEvent(null, 'invoice.created', invoice, {
+    total: invoice.total,
+    currency: invoice.currency,
+    recurringSource: template.invoiceNumber
+  });
+
+  if (autoSend) {
+    await autoSendInvoice(invoice);
+  }
+
+  return invoice;
+};
+
+// Generate every due period of every recurring invoice. Missed periods
+// (e.g. after downtime) are caught up one at a time.
+const generateDueInvoices = async (batchSize = 100) => {
+  const failed = [];
+  let generated = 0;
+
+  for (let processed = 0; processed < batchSize; processed++) {
+    const template = await Invoice.findOne({
+      _id: { $nin: failed },
+      isRecurring: true,
+      'recurringSettings.nextInvoiceDate': { $lte: new Date() }
+    }).sort({ 'recurringSettings.nextInvoiceDate': 1 });
+
+    if (!template) break;
+
+    try {
+      if (await processRecurringInvoice(template)) generated++;
+    } catch (error) {
+      // Leave it due for the next run and carry on with the others
+      console.error(`Recurring invoice ${template.invoiceNumber} error:`, error);
+      failed.push(template._id);
+    }
+  }
+
+  return generated;
+};
+
+// Invoices the recurring invoices of a workspace will generate up to `until`
+const previewRecurringInvoices = async (query, until) => {
+  const templates = await Invoice.find({
+    ...query,
+    isRecurring: true,
+    'recurringSettings.nextInvoiceDate': { $lte: until }
+  }).populate('client', 'name company email');
+
+  const upcoming = [];
+
+  templates.forEach(template => {
+    const { endDate, autoSend } = template.recurringSettings;
+    const termDays = getPaymentTermDays(template);
+    let period = template.recurringSettings.nextInvoiceDate;
+
+    for (let count = 0; count < MAX_PREVIEW_PERIODS && period <= until; count++) {
+      if (endDate && period > endDate) break;
+
+      upcoming.push({
+        recurringSource: {
+          _id: template._id,
+          invoiceNumber: template.invoiceNumber
+        },
+        client: template.client,
+        issueDate: period,
+        dueDate: new Date(period.getTime() + termDays * DAY),
+        total: template.total,
+        currency: template.currency,
+        autoSend
+      });
+
+      period = template.getNextRecurringDate(period);
+    }
+  });
+
+  return upcoming.sort((a, b) => a.issueDate - b.issueDate);
+};
+
+const startRecurringInvoiceWorker = () => {
+  const run = () => {
+    generateDueInvoices().catch(error => console.error('Recurring invoice worker error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  generateDueInvoices,
+  previewRecurringInvoices,
+  startRecurringInvoiceWorker
+};
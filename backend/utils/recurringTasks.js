@@ -0,0 +1,260 @@
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const Workspace = require('../models/Workspace');
+const { emitEvent } = require('./events');
+
+const POLL_INTERVAL = 10 * 60 * 1000;
+
+// Fields an occurrence takes from the template of its series, and which
+// edits of all future occurrences change on it
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'type', 'assignedTo', 'estimatedHours', 'tags'];
+
+const SCOPES = ['this', 'future'];
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+const pickTemplateFields = (data) => Object.fromEntries(
+  TEMPLATE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+);
+
+// Show the series' settings on all of its occurrences
+const syncRecurring = (series) => {
+  return Task.auditedUpdateMany({ series: series._id }, { recurring: series.toRecurring() });
+};
+
+// Make `task` the first occurrence of a series following task.recurring
+const startSeries = async (task) => {
+  const { frequency, interval, endDate } = task.recurring;
+
+  const series = await TaskSeries.create({
+    workspace: task.workspace,
+    project: task.project,
+    user: task.user,
+    template: {
+      ...pickTemplateFields(task.toObject()),
+      checklist: task.checklist.map(entry => entry.item)
+    },
+    frequency,
+    interval,
+    endDate,
+    anchorDate: task.dueDate,
+    leadTime: task.startDate ? Math.max(task.dueDate - task.startDate, 0) : 0,
+    currentPeriod: task.dueDate
+  });
+
+  await Task.findByIdAndUpdate(task._id, { series: series._id, seriesPeriod: task.dueDate });
+  task.series = series._id;
+  task.seriesPeriod = task.dueDate;
+  return series;
+};
+
+// Apply recurrence settings to the series of `task`, or start one when
+// `task` was just made recurring. Recurrence always belongs to the whole
+// series, whichever occurrence it was edited on.
+const updateRecurrence = async (task, recurring) => {
+  if (!task.series) {
+    return task.recurring.isRecurring ? startSeries(task) : null;
+  }
+
+  const series = await TaskSeries.findById(task.series);
+  if (!series) return null;
+
+  ['frequency', 'interval', 'endDate'].forEach(field => {
+    if (recurring[field] !== undefined) series[field] = recurring[field];
+  });
+  if (recurring.isRecurring !== undefined) series.isActive = recurring.isRecurring;
+
+  await series.save();
+  await syncRecurring(series);
+  task.recurring = series.toRecurring();
+  return series;
+};
+
+// Apply an edit of `task` to the occurrences after it: the series template
+// takes the edited fields, as do later occurrences not done yet. A new due
+// date moves the schedule, which only the latest occurrence can do.
+// Resolves with an error message when the edit can't apply to the series.
+const updateFutureOccurrences = async (task, updates) => {
+  const series = await TaskSeries.findById(task.series);
+  if (!series) return null;
+
+  if (updates.dueDate) {
+    if (task.seriesPeriod.getTime() !== series.currentPeriod.getTime()) {
+      return 'Only the latest occurrence can move the dates of the series';
+    }
+
+    const dueDate = new Date(updates.dueDate);
+    await Task.findByIdAndUpdate(task._id, { seriesPeriod: dueDate });
+    series.anchorDate = dueDate;
+    series.currentPeriod = dueDate;
+    if (updates.startDate) {
+      series.leadTime = Math.max(dueDate - new Date(updates.startDate), 0);
+    }
+  }
+
+  const templateUpdates = pickTemplateFields(updates);
+  Object.entries(templateUpdates).forEach(([field, value]) => series.set(`template.${field}`, value));
+  await series.save();
+
+  if (Object.keys(templateUpdates).length > 0) {
+    await Task.auditedUpdateMany({
+      series: series._id,
+      seriesPeriod: { $gt: task.seriesPeriod },
+      status: { $nin: ['completed', 'cancelled'] }
+    }, templateUpdates);
+  }
+
+  return null;
+};
+
+// Delete the occurrences after `task` not done yet and stop its series
+const stopSeries = async (task) => {
+  const series = await TaskSeries.findByIdAndUpdate(task.series, { isActive: false }, { new: true });
+  if (!series) return [];
+
+  const later = await Task.find({
+    series: series._id,
+    seriesPeriod: { $gt: task.seriesPeriod },
+    status: { $nin: ['completed', 'cancelled'] }
+  });
+  await Task.auditedDeleteMany({ _id: { $in: later.map(occurrence => occurrence._id) } });
+  await syncRecurring(series);
+  return later;
+};
+
+// Create the occurrence after the current one of a series and move the
+// series on to it. Periods already past are skipped rather than created
+// overdue. Stops the series at its end date. Resolves with the new task,
+// or null when there is none (or another server created it).
+const createNextOccurrence = async (series) => {
+  const current = series.currentPeriod;
+  const today = startOfToday();
+  let period = series.getNextPeriod(current);
+  while (period < today) {
+    period = series.getNextPeriod(period);
+  }
+
+  if (series.endDate && period > series.endDate) {
+    const ended = await TaskSeries.findOneAndUpdate(
+      { _id: series._id, currentPeriod: current },
+      { isActive: false },
+      { new: true }
+    );
+    if (ended) await syncRecurring(ended);
+    return null;
+  }
+
+  const source = { series: series._id, seriesPeriod: period };
+  let task = null;
+
+  if (!await Task.exists(source)) {
+    const { checklist, ...template } = series.toObject().template;
+
+    // Members who left the workspace hand recurring work back to its owner
+    const workspace = await Workspace.findById(series.workspace);
+    if (template.assignedTo && !workspace?.getMember(template.assignedTo)) {
+      template.assignedTo = series.user;
+    }
+
+    task = new Task({
+      ...template,
+      ...source,
+      checklist: checklist.map(item => ({ item })),
+      project: series.project,
+      workspace: series.workspace,
+      user: series.user,
+      dueDate: period,
+      startDate: new Date(period.getTime() - series.leadTime),
+      recurring: series.toRecurring()
+    });
+
+    try {
+      await task.save();
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      // Another server created this period first
+      task = null;
+    }
+  }
+
+  // Conditional on the current period so only one server ever moves it
+  await TaskSeries.updateOne({ _id: series._id, currentPeriod: current }, { currentPeriod: period });
+
+  if (task) {
+    emitEvent(null, 'task.created', task, { series: series._id });
+  }
+
+  return task;
+};
+
+// Create the next occurrence right away when the latest one is completed.
+// Recurring tasks from before series existed start one on completion.
+const handleTaskCompleted = async (task) => {
+  if (!task.series) {
+    if (!task.recurring?.isRecurring) return null;
+    return createNextOccurrence(await startSeries(task));
+  }
+
+  const series = await TaskSeries.findOne({
+    _id: task.series,
+    isActive: true,
+    currentPeriod: task.seriesPeriod
+  });
+
+  return series ? createNextOccurrence(series) : null;
+};
+
+// Create the next occurrence of every series whose latest occurrence was
+// due before today, done or not
+const generateDueOccurrences = async (batchSize = 100) => {
+  const failed = [];
+  let generated = 0;
+
+  for (let processed = 0; processed < batchSize; processed++) {
+    const series = await TaskSeries.findOne({
+      _id: { $nin: failed },
+      isActive: true,
+      currentPeriod: { $lt: startOfToday() }
+    }).sort({ currentPeriod: 1 });
+
+    if (!series) break;
+
+    try {
+      if (await createNextOccurrence(series)) generated++;
+    } catch (error) {
+      // Leave it due for the next run and carry on with the others
+      console.error(`Recurring task series ${series._id} error:`, error);
+      failed.push(series._id);
+    }
+  }
+
+  return generated;
+};
+
+const startRecurringTaskWorker = () => {
+  const run = () => {
+    generateDueOccurrences().catch(error => console.error('Recurring task worker error:', error));
+  };
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  SCOPES,
+  startSeries,
+  updateRecurrence,
+  updateFutureOccurrences,
+  stopSeries,
+  handleTaskCompleted,
+  generateDueOccurrences,
+  startRecurringTaskWorker
+};
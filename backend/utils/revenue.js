@@ -0,0 +1,34 @@
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const { subtractBuckets, convertBuckets } = require('./exchangeRates');
+
+// Invoices still waiting on (the rest of) their payment
+const OUTSTANDING_STATUSES = ['sent', 'viewed', 'partially-paid', 'overdue'];
+
+// Revenue of a workspace in `base`: what was actually received, deposits
+// included, less what credit notes owe back to clients. Optionally limited
+// to `from`..`to`.
+const getRevenue = async (workspaceId, base, { from, to } = {}) => {
+  const match = { workspace: workspaceId };
+  const [received, refunds] = await Promise.all([
+    Invoice.sumPayments(match, { from, to, base }),
+    CreditNote.sumRefunds(match, { from, to, base })
+  ]);
+
+  return convertBuckets(workspaceId, subtractBuckets(received, refunds), base);
+};
+
+// What clients still owe a workspace, in `base`
+const getOutstanding = async (workspaceId, base) => {
+  const balances = await Invoice.sumBalanceDue(
+    { workspace: workspaceId, status: { $in: OUTSTANDING_STATUSES } },
+    base
+  );
+
+  return convertBuckets(workspaceId, balances, base);
+};
+
+module.exports = {
+  getRevenue,
+  getOutstanding
+};
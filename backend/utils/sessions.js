@@ -0,0 +1,160 @@
+const Session = require('../models/Session');
+const { generateRandomToken, hashToken } = require('./tokens');
+const { generateToken } = require('./jwt');
+
+const REFRESH_COOKIE_NAME = 'refreshToken';
+
+// How long a just rotated-out refresh token is still accepted. Tabs of one
+// browser share the refresh cookie, so two of them refreshing at once
+// present the same token and only the first gets to rotate it.
+const getRefreshGracePeriod = () => {
+  const seconds = parseInt(process.env.REFRESH_TOKEN_GRACE_SECONDS) || 30;
+  return seconds * 1000;
+};
+
+const getRefreshTokenTtl = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Build a short human readable label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser?.[0], system?.[0]].filter(Boolean).join(' on ');
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth',
+    maxAge: getRefreshTokenTtl()
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, { path: '/api/auth' });
+};
+
+// Browsers send the refresh token as an httpOnly cookie, other clients in the body
+const getRefreshToken = (req) => {
+  return req.cookies?.[REFRESH_COOKIE_NAME] || req.body?.refreshToken;
+};
+
+// Create a session for a freshly authenticated user and return its access token
+const startSession = async (user, req, res) => {
+  const refreshToken = generateRandomToken(48);
+  const userAgent = req.get('User-Agent') || '';
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+  });
+  await session.save();
+
+  setRefreshCookie(res, refreshToken);
+
+  return generateToken(user._id, session._id);
+};
+
+// Create a short-lived session letting an administrator act as another user.
+// It has no usable refresh token and ends when its access token expires.
+const startImpersonationSession = async (user, admin, req) => {
+  const minutes = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 60;
+  const userAgent = req.get('User-Agent') || '';
+
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(generateRandomToken(48)),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+    impersonatedBy: admin._id
+  });
+  await session.save();
+
+  return {
+    session,
+    token: generateToken(user._id, session._id, `${minutes}m`)
+  };
+};
+
+// A refresh token that was already rotated out. Shortly after the rotation
+// it is another tab (or request) that lost the race: the cookie already
+// holds the token it rotated to, so only a new access token is needed.
+// Replayed any later, the token leaked and the session is revoked.
+const refreshRotatedOut = async (tokenHash) => {
+  const reused = await Session.findOne({ previousTokenHash: tokenHash });
+  if (!reused) return null;
+
+  if (reused.isActive && Date.now() - reused.rotatedAt < getRefreshGracePeriod()) {
+    return {
+      session: reused,
+      token: generateToken(reused.user, reused._id)
+    };
+  }
+
+  await reused.revoke();
+  return null;
+};
+
+// Exchange a refresh token for a new access token, rotating the refresh token.
+// Returns null when the token is unknown, expired or revoked.
+const refreshSession = async (refreshToken, req, res) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash })
+    .select('+refreshTokenHash +previousTokenHash');
+
+  if (!session) return refreshRotatedOut(tokenHash);
+  if (!session.isActive) return null;
+
+  const rotation = await session.rotateRefreshToken({
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+  });
+
+  // Another request rotated the same token first
+  if (!rotation) return refreshRotatedOut(tokenHash);
+
+  setRefreshCookie(res, rotation.refreshToken);
+
+  return {
+    session: rotation.session,
+    token: generateToken(rotation.session.user, rotation.session._id)
+  };
+};
+
+module.exports = {
+  describeDevice,
+  setRefreshCookie,
+  clearRefreshCookie,
+  getRefreshToken,
+  startSession,
+  startImpersonationSession,
+  refreshSession
+};
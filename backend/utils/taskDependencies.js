@@ -0,0 +1,116 @@
+const Task = require('../models/Task');
+
+// Statuses that need a task's blockers to be done first
+const BLOCKED_STATUSES = ['in-progress', 'completed'];
+
+const DONE_STATUSES = ['completed', 'cancelled'];
+
+const INVERSE_TYPES = { blocks: 'blocked-by', 'blocked-by': 'blocks' };
+
+// Whether `blockerId` is already blocked by `blockedId`, directly or through
+// other tasks, so that making it block `blockedId` would close a cycle
+const wouldCreateCycle = async (blockerId, blockedId) => {
+  const target = String(blockerId);
+  const visited = new Set([String(blockedId)]);
+  let frontier = [blockedId];
+
+  if (visited.has(target)) return true;
+
+  while (frontier.length > 0) {
+    const tasks = await Task.find({ _id: { $in: frontier } }).select('dependencies');
+    frontier = [];
+
+    for (const task of tasks) {
+      for (const dependency of task.dependencies) {
+        const id = String(dependency.task);
+        if (dependency.type !== 'blocks' || visited.has(id)) continue;
+        if (id === target) return true;
+        visited.add(id);
+        frontier.push(dependency.task);
+      }
+    }
+  }
+
+  return false;
+};
+
+// Link `task` to `other` on both sides; `type` is how `task` relates to
+// `other`. Resolves with an error message when the link isn't allowed.
+const linkTasks = async (task, other, type) => {
+  if (String(task._id) === String(other._id)) {
+    return 'A task cannot depend on itself';
+  }
+
+  if (task.dependencies.some(dependency => String(dependency.task) === String(other._id))) {
+    return 'These tasks are already linked';
+  }
+
+  const [blocker, blocked] = type === 'blocks' ? [task, other] : [other, task];
+  if (await wouldCreateCycle(blocker._id, blocked._id)) {
+    return `"${blocked.title}" already blocks "${blocker.title}", directly or through other tasks`;
+  }
+
+  // Guarded so a concurrent request can't link the same pair twice
+  await Task.findOneAndUpdate(
+    { _id: task._id, 'dependencies.task': { $ne: other._id } },
+    { $push: { dependencies: { task: other._id, type } } }
+  );
+  await Task.findOneAndUpdate(
+    { _id: other._id, 'dependencies.task': { $ne: task._id } },
+    { $push: { dependencies: { task: task._id, type: INVERSE_TYPES[type] } } }
+  );
+
+  return null;
+};
+
+// Remove the link between two tasks from both of them
+const unlinkTasks = (taskId, otherId) => {
+  return Promise.all([
+    Task.findByIdAndUpdate(taskId, { $pull: { dependencies: { task: otherId } } }),
+    Task.findByIdAndUpdate(otherId, { $pull: { dependencies: { task: taskId } } })
+  ]);
+};
+
+// Remove every link to deleted tasks from the tasks they were linked to
+const removeDependencyLinks = (taskIds) => {
+  return Task.auditedUpdateMany(
+    { 'dependencies.task': { $in: taskIds } },
+    { $pull: { dependencies: { task: { $in: taskIds } } } }
+  );
+};
+
+const blockerIdsOf = (task) => task.dependencies
+  .filter(dependency => dependency.type === 'blocked-by')
+  .map(dependency => dependency.task);
+
+const findOpenTasks = (ids) => {
+  if (ids.length === 0) return [];
+  return Task.find({ _id: { $in: ids }, status: { $nin: DONE_STATUSES } }).select('title status dueDate');
+};
+
+// Blockers of `task` not done yet
+const getOpenBlockers = (task) => findOpenTasks(blockerIdsOf(task));
+
+// Plain copies of `tasks` with `blockers` (their blockers not done yet) and
+// `isBlocked`, looked up in one query for the whole list
+const withBlockers = async (tasks) => {
+  const openBlockers = await findOpenTasks(tasks.flatMap(blockerIdsOf));
+  const blockersById = new Map(openBlockers.map(blocker => [String(blocker._id), blocker]));
+
+  return tasks.map(task => {
+    const blockers = blockerIdsOf(task)
+      .filter(id => blockersById.has(String(id)))
+      .map(id => blockersById.get(String(id)));
+
+    return { ...task.toJSON(), blockers, isBlocked: blockers.length > 0 };
+  });
+};
+
+module.exports = {
+  BLOCKED_STATUSES,
+  linkTasks,
+  unlinkTasks,
+  removeDependencyLinks,
+  getOpenBlockers,
+  withBlockers
+};
@@ -0,0 +1,116 @@
+const { roundMoney } = require('./money');
+
+// Taxes of one line worth `amount` (after discount). Simple taxes apply to
+// the net amount, compound taxes in turn to the net amount plus the taxes
+// before them. Inclusive taxes are already part of `amount`; reverse-charge
+// taxes are reported but not charged, and withholding is deducted from what
+// the client pays.
+const calculateLineTaxes = (amount, taxes) => {
+  const charged = taxes.filter(tax => tax.type !== 'withholding' && !tax.reverseCharge);
+  const factor = charged.filter(tax => !tax.compound).reduce((sum, tax) => sum + tax.rate / 100, 1) *
+    charged.filter(tax => tax.compound).reduce((product, tax) => product * (1 + tax.rate / 100), 1);
+  const inclusive = charged.some(tax => tax.inclusive);
+  const net = inclusive ? amount / factor : amount;
+
+  const simple = taxes.filter(tax => !tax.compound || tax.type === 'withholding').map(tax => ({
+    tax,
+    base: net,
+    amount: charged.includes(tax) || tax.type === 'withholding' ? net * tax.rate / 100 : 0
+  }));
+
+  const simpleTax = simple.filter(line => charged.includes(line.tax)).reduce((sum, line) => sum + line.amount, 0);
+  let running = net + simpleTax;
+  const compound = taxes.filter(tax => tax.compound && tax.type !== 'withholding').map(tax => {
+    const line = { tax, base: running, amount: charged.includes(tax) ? running * tax.rate / 100 : 0 };
+    running += line.amount;
+    return line;
+  });
+
+  const lines = [...simple, ...compound].map(line => ({
+    ...line,
+    base: roundMoney(line.base),
+    amount: roundMoney(line.amount)
+  }));
+  const tax = lines.filter(line => charged.includes(line.tax)).reduce((sum, line) => sum + line.amount, 0);
+  const withholding = lines.filter(line => line.tax.type === 'withholding').reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    lines,
+    // Inclusive amounts keep their total to the cent, the rounding goes to the net
+    net: inclusive ? roundMoney(amount - tax) : roundMoney(amount),
+    tax: roundMoney(tax),
+    withholding: roundMoney(withholding)
+  };
+};
+
+// Amounts of an invoice or credit note with `items` (quantity, rate and the
+// tax snapshots of each line). The discount comes off the lines before tax;
+// lines without taxes of their own are taxed at the flat `taxRate`. Sets the
+// amount, and base and amount of each tax, on the items.
+const calculateTotals = (items, { discountRate = 0, taxRate = 0 } = {}) => {
+  const summary = new Map();
+  const addToSummary = (tax, base, amount) => {
+    const key = tax.taxProfile ? tax.taxProfile.toString() : `${tax.name}:${tax.rate}`;
+    const entry = summary.get(key) || {
+      taxProfile: tax.taxProfile,
+      name: tax.name,
+      type: tax.type,
+      rate: tax.rate,
+      compound: Boolean(tax.compound),
+      inclusive: Boolean(tax.inclusive),
+      reverseCharge: Boolean(tax.reverseCharge),
+      note: tax.note,
+      base: 0,
+      amount: 0
+    };
+    entry.base = roundMoney(entry.base + base);
+    entry.amount = roundMoney(entry.amount + amount);
+    summary.set(key, entry);
+  };
+
+  let total = 0;
+  let taxAmount = 0;
+  let withholdingAmount = 0;
+  let untaxed = 0;
+
+  items.forEach(item => {
+    item.amount = roundMoney(item.quantity * item.rate);
+    const discounted = item.amount * (1 - discountRate / 100);
+    const taxes = item.taxes || [];
+
+    if (taxes.length === 0) {
+      untaxed += discounted;
+      return;
+    }
+
+    const line = calculateLineTaxes(discounted, taxes);
+    line.lines.forEach(({ tax, base, amount }) => {
+      tax.base = base;
+      tax.amount = amount;
+      addToSummary(tax, base, amount);
+    });
+    total += line.net + line.tax;
+    taxAmount += line.tax;
+    withholdingAmount += line.withholding;
+  });
+
+  const flatTax = roundMoney(untaxed * taxRate / 100);
+  if (taxRate > 0 && untaxed > 0) {
+    addToSummary({ name: 'Tax', type: 'other', rate: taxRate }, roundMoney(untaxed), flatTax);
+  }
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  taxAmount = roundMoney(taxAmount + flatTax);
+  withholdingAmount = roundMoney(withholdingAmount);
+
+  return {
+    subtotal,
+    discountAmount: roundMoney(subtotal * discountRate / 100),
+    taxAmount,
+    withholdingAmount,
+    taxSummary: [...summary.values()],
+    total: roundMoney(total + untaxed + flatTax - withholdingAmount)
+  };
+};
+
+module.exports = { calculateTotals };
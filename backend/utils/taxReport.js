@@ -0,0 +1,102 @@
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const { roundMoney } = require('./money');
+
+// Base and amount per currency and tax of the documents matching `match`.
+// Documents saved before taxes were summed per tax count as one flat tax
+// on their subtotal, which is how they were computed.
+const sumTaxes = (Model, match, stages = []) => {
+  return Model.aggregate([
+    { $match: match },
+    ...stages,
+    {
+      $project: {
+        currency: 1,
+        taxes: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$taxSummary', []] } }, 0] },
+            '$taxSummary',
+            {
+              $cond: [
+                { $gt: ['$taxAmount', 0] },
+                [{ name: 'Tax', type: 'other', rate: '$taxRate', base: '$subtotal', amount: '$taxAmount' }],
+                []
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$taxes' },
+    {
+      $group: {
+        _id: {
+          currency: '$currency',
+          name: '$taxes.name',
+          type: '$taxes.type',
+          rate: '$taxes.rate',
+          reverseCharge: { $ifNull: ['$taxes.reverseCharge', false] }
+        },
+        base: { $sum: '$taxes.base' },
+        amount: { $sum: '$taxes.amount' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+// Tax invoiced in a workspace less what credit notes gave back, per
+// currency and tax, for invoices and credit notes issued within
+// `from`..`to`. Amounts stay in their currency, as they are declared.
+const getTaxSummary = async (workspaceId, { from, to } = {}) => {
+  const dateMatch = {};
+  if (from || to) {
+    dateMatch.issueDate = {};
+    if (from) dateMatch.issueDate.$gte = from;
+    if (to) dateMatch.issueDate.$lte = to;
+  }
+
+  // Cancelled invoices count when credit notes cancelled them, so the two
+  // balance out; otherwise they were never owed
+  const invoiced = await sumTaxes(Invoice, {
+    workspace: workspaceId,
+    ...dateMatch,
+    $or: [
+      { status: { $nin: ['draft', 'void', 'cancelled'] } },
+      { status: 'cancelled', creditedAmount: { $gt: 0 } }
+    ]
+  });
+  const credited = await sumTaxes(CreditNote, { workspace: workspaceId, ...dateMatch }, [
+    { $lookup: { from: 'invoices', localField: 'invoice', foreignField: '_id', as: 'source' } },
+    { $match: { 'source.status': { $ne: 'void' } } }
+  ]);
+
+  const rows = new Map();
+  const addRows = (results, key) => {
+    results.forEach(result => {
+      const id = JSON.stringify(result._id);
+      const row = rows.get(id) || {
+        ...result._id,
+        invoiced: { base: 0, amount: 0, count: 0 },
+        credited: { base: 0, amount: 0, count: 0 }
+      };
+      row[key] = { base: roundMoney(result.base), amount: roundMoney(result.amount), count: result.count };
+      rows.set(id, row);
+    });
+  };
+  addRows(invoiced, 'invoiced');
+  addRows(credited, 'credited');
+
+  return [...rows.values()]
+    .map(row => ({
+      ...row,
+      base: roundMoney(row.invoiced.base - row.credited.base),
+      amount: roundMoney(row.invoiced.amount - row.credited.amount)
+    }))
+    .sort((a, b) => a.currency.localeCompare(b.currency) ||
+      a.type.localeCompare(b.type) ||
+      a.name.localeCompare(b.name) ||
+      a.rate - b.rate);
+};
+
+module.exports = { getTaxSummary };
@@ -0,0 +1,164 @@
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const { toHours } = require('./timeTracking');
+
+const SOURCES = ['time', 'tasks'];
+const GROUP_BY = ['entry', 'task', 'project'];
+
+const SECONDS_PER_HOUR = 3600;
+
+// Days until an invoice is due under a client's payment terms; custom
+// terms are written out by hand, so they get the usual 30 days
+const PAYMENT_TERM_DAYS = { immediate: 0, net15: 15, net30: 30, net45: 45, net60: 60 };
+
+const getPaymentTermDays = (client) => PAYMENT_TERM_DAYS[client.paymentTerms] ?? 30;
+
+const dateRange = (field, { from, to }) => {
+  if (!from && !to) return {};
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return { [field]: range };
+};
+
+// Billable time not invoiced yet on `projects`, as units of work. Time on
+// tasks that were billed as a whole is left out.
+const getUnbilledTime = async (workspaceId, projects, range) => {
+  const entries = await TimeEntry.find({
+    workspace: workspaceId,
+    project: { $in: projects },
+    billable: true,
+    isRunning: false,
+    invoice: null,
+    ...dateRange('start', range)
+  })
+    .populate('task', 'title invoice')
+    .sort({ start: 1 });
+
+  return entries
+    .filter(entry => !entry.task?.invoice)
+    .map(entry => ({
+      source: entry,
+      project: entry.project,
+      task: entry.task,
+      date: entry.start,
+      note: entry.note,
+      hours: entry.duration / SECONDS_PER_HOUR
+    }));
+};
+
+// Completed tasks not invoiced yet on `projects`, at the hours tracked on
+// them (or estimated, when none were). Tasks with time already billed
+// are left out, as are tasks without any hours.
+const getUnbilledTasks = async (workspaceId, projects, range) => {
+  const tasks = await Task.find({
+    workspace: workspaceId,
+    project: { $in: projects },
+    status: 'completed',
+    invoice: null,
+    ...dateRange('completedDate', range)
+  }).sort({ completedDate: 1 });
+
+  const partlyBilled = await TimeEntry.distinct('task', {
+    task: { $in: tasks.map(task => task._id) },
+    invoice: { $ne: null }
+  });
+  const partlyBilledIds = new Set(partlyBilled.map(String));
+
+  return tasks
+    .filter(task => !partlyBilledIds.has(String(task._id)))
+    .map(task => ({
+      source: task,
+      project: task.project,
+      task,
+      date: task.completedDate,
+      note: '',
+      hours: task.actualHours || task.estimatedHours
+    }))
+    .filter(unit => unit.hours > 0);
+};
+
+// Invoice lines for units of work, one per unit, task or project, billed
+// by the hour at `rate`. Lines name their project when there are several.
+const buildLineItems = (units, { groupBy, rate, projectTitles }) => {
+  const showProject = new Set(units.map(unit => String(unit.project))).size > 1;
+  const lines = new Map();
+
+  units.forEach((unit, index) => {
+    const projectTitle = projectTitles.get(String(unit.project));
+    // Only time entries split into lines of their own; a task billed as a
+    // whole is one line either way
+    const isEntry = groupBy === 'entry' && unit.source !== unit.task;
+    let key;
+    let description;
+
+    if (groupBy === 'project') {
+      key = `project:${unit.project}`;
+      description = projectTitle;
+    } else if (isEntry) {
+      key = `entry:${index}`;
+      const date = unit.date.toISOString().slice(0, 10);
+      let name = unit.task ? unit.task.title : projectTitle;
+      if (showProject && unit.task) name = `${projectTitle}: ${name}`;
+      description = `${date} ${name}${unit.note ? ` (${unit.note})` : ''}`;
+    } else {
+      key = unit.task ? `task:${unit.task._id}` : `project:${unit.project}`;
+      description = unit.task ? unit.task.title : `${projectTitle}: other work`;
+      if (showProject && unit.task) description = `${projectTitle}: ${description}`;
+    }
+
+    const line = lines.get(key) || { description: description.slice(0, 500), hours: 0 };
+    line.hours += unit.hours;
+    lines.set(key, line);
+  });
+
+  return [...lines.values()]
+    .map(line => ({
+      description: line.description,
+      quantity: toHours(line.hours * SECONDS_PER_HOUR),
+      rate,
+      type: 'hourly'
+    }))
+    .filter(line => line.quantity > 0);
+};
+
+// Mark time entries and tasks as billed on `invoiceId`. Only what nobody
+// billed in the meantime is claimed; resolves with false, releasing the
+// claim, when some of it was. A billed task takes its time entries along.
+const claimWork = async (invoiceId, { timeEntries, tasks }) => {
+  const [entryResult, taskResult] = await Promise.all([
+    TimeEntry.auditedUpdateMany({ _id: { $in: timeEntries }, invoice: null }, { invoice: invoiceId }),
+    Task.auditedUpdateMany({ _id: { $in: tasks }, invoice: null }, { invoice: invoiceId })
+  ]);
+
+  if (entryResult.modifiedCount < timeEntries.length || taskResult.modifiedCount < tasks.length) {
+    await releaseWork(invoiceId);
+    return false;
+  }
+
+  if (tasks.length > 0) {
+    await TimeEntry.auditedUpdateMany({ task: { $in: tasks }, invoice: null }, { invoice: invoiceId });
+  }
+
+  return true;
+};
+
+// Make the time and tasks billed on an invoice billable again, e.g. when
+// the invoice is deleted or voided
+const releaseWork = (invoiceId) => {
+  return Promise.all([
+    TimeEntry.auditedUpdateMany({ invoice: invoiceId }, { $unset: { invoice: 1 } }),
+    Task.auditedUpdateMany({ invoice: invoiceId }, { $unset: { invoice: 1 } })
+  ]);
+};
+
+module.exports = {
+  SOURCES,
+  GROUP_BY,
+  getPaymentTermDays,
+  getUnbilledTime,
+  getUnbilledTasks,
+  buildLineItems,
+  claimWork,
+  releaseWork
+};
@@ -0,0 +1,56 @@
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+
+const SECONDS_PER_HOUR = 3600;
+
+// Hours as stored in actualHours, to the hundredth
+const toHours = (seconds) => Math.round(seconds / SECONDS_PER_HOUR * 100) / 100;
+
+// Seconds tracked per value of `field` among the finished entries matching it
+const sumDurations = async (field, ids) => {
+  const results = await TimeEntry.aggregate([
+    { $match: { [field]: { $in: ids }, isRunning: false } },
+    { $group: { _id: `$${field}`, seconds: { $sum: '$duration' } } }
+  ]);
+  return new Map(results.map(result => [String(result._id), result.seconds]));
+};
+
+const syncModel = async (Model, field, ids) => {
+  if (ids.length === 0) return;
+
+  const seconds = await sumDurations(field, ids);
+  await Model.auditedBulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { actualHours: toHours(seconds.get(String(id)) || 0) }
+    }
+  })));
+};
+
+const uniqueIds = (values) => {
+  const ids = new Map();
+  values.filter(Boolean).forEach(value => ids.set(String(value._id || value), value._id || value));
+  return [...ids.values()];
+};
+
+// Recompute actualHours of the tasks and projects of `entries` from all of
+// their time entries. Pass entries as they were before an edit as well, so
+// a task an entry moved away from is recomputed too.
+const syncActualHours = (entries) => {
+  return Promise.all([
+    syncModel(Task, 'task', uniqueIds(entries.map(entry => entry.task))),
+    syncModel(Project, 'project', uniqueIds(entries.map(entry => entry.project)))
+  ]);
+};
+
+// Seconds tracked in a workspace on entries started within `from`..`to`
+const getTrackedSeconds = async (workspaceId, { from, to }) => {
+  const [result] = await TimeEntry.aggregate([
+    { $match: { workspace: workspaceId, isRunning: false, start: { $gte: from, $lte: to } } },
+    { $group: { _id: null, seconds: { $sum: '$duration' } } }
+  ]);
+  return result ? result.seconds : 0;
+};
+
+module.exports = { toHours, syncActualHours, getTrackedSeconds };
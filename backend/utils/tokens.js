@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate an opaque random token suitable for links sent by email
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Tokens are only ever stored hashed so a database leak cannot be replayed
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken
+};
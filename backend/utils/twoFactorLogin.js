@@ -0,0 +1,92 @@
+const User = require('../models/User');
+const { generateChallengeToken } = require('./jwt');
+const { generateRandomToken, hashToken } = require('./tokens');
+
+// Wrong codes one login challenge takes before the password is asked again
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Wrong codes across challenges before two-factor logins are locked
+const getMaxFailedAttempts = () => {
+  return parseInt(process.env.TWO_FACTOR_MAX_FAILED_ATTEMPTS) || 10;
+};
+
+const getLockoutDuration = () => {
+  const minutes = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES) || 15;
+  return minutes * 60 * 1000;
+};
+
+// Seconds the user still has to wait after too many wrong codes
+const getLockoutWaitSeconds = (user) => {
+  if (!user.twoFactor?.lockedUntil) return 0;
+
+  const remaining = user.twoFactor.lockedUntil.getTime() - Date.now();
+  return Math.max(0, Math.ceil(remaining / 1000));
+};
+
+// Challenge token for the second login step. Only the latest challenge of
+// a user is accepted, so logging in again voids the ones before it.
+const issueChallenge = async (user) => {
+  const challengeId = generateRandomToken(16);
+
+  await User.updateOne({ _id: user._id }, {
+    'twoFactor.challengeId': hashToken(challengeId),
+    'twoFactor.challengeAttempts': 0
+  });
+
+  return generateChallengeToken(user._id, challengeId);
+};
+
+// Take one attempt at a challenge before checking the code, so parallel
+// guesses count too. Resolves with false when the challenge was replaced,
+// used up or the user is locked out.
+const claimAttempt = async (userId, challengeId) => {
+  if (!challengeId) return false;
+
+  const result = await User.updateOne({
+    _id: userId,
+    'twoFactor.challengeId': hashToken(challengeId),
+    'twoFactor.challengeAttempts': { $lt: MAX_CHALLENGE_ATTEMPTS },
+    'twoFactor.lockedUntil': { $not: { $gt: new Date() } }
+  }, { $inc: { 'twoFactor.challengeAttempts': 1 } });
+
+  return result.modifiedCount === 1;
+};
+
+// Count a wrong code against the user. Too many lock two-factor logins and
+// void the challenge; resolves with the seconds of the lockout, 0 if none.
+const recordFailedAttempt = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+
+  if (!user || user.twoFactor.failedAttempts < getMaxFailedAttempts()) return 0;
+
+  const lockout = getLockoutDuration();
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.lockedUntil': new Date(Date.now() + lockout),
+      'twoFactor.failedAttempts': 0
+    },
+    $unset: { 'twoFactor.challengeId': 1 }
+  });
+
+  return Math.ceil(lockout / 1000);
+};
+
+// Forget the challenge and the wrong codes once the login succeeded. The
+// caller saves the user, loaded with the challenge fields selected.
+const completeChallenge = (user) => {
+  user.twoFactor.challengeId = undefined;
+  user.twoFactor.challengeAttempts = 0;
+  user.twoFactor.failedAttempts = 0;
+};
+
+module.exports = {
+  getLockoutWaitSeconds,
+  issueChallenge,
+  claimAttempt,
+  recordFailedAttempt,
+  completeChallenge
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Invoice = require('../models/Invoice');
+const { onEvent } = require('./events');
+
+const ENTITY_MODELS = {
+  client: Client,
+  project: Project,
+  task: Task,
+  invoice: Invoice
+};
+
+// Failed deliveries are retried after 1, 2, 4, 8... minutes
+const RETRY_BASE_DELAY = 60 * 1000;
+const DELIVERY_TIMEOUT = 10 * 1000;
+const POLL_INTERVAL = 30 * 1000;
+// A delivery stuck in "delivering" this long was interrupted (e.g. a restart)
+const STALE_DELIVERY_AGE = 5 * 60 * 1000;
+
+// Addresses webhooks may not reach: loopback, private and link-local
+// networks (cloud metadata endpoints among them) and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['64:ff9b::', 96],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const BLOCKED_ADDRESS_MESSAGE = 'Webhook URLs cannot point to private or local network addresses';
+
+// Local development sends webhooks to receivers on the same machine
+const allowsPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const isBlockedAddress = (address, family) => {
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup for delivery connections. The addresses are checked again
+// here, on what is actually dialled, so a host that resolves elsewhere
+// between the URL check and the request (DNS rebinding) is still refused.
+const pinnedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error || allowsPrivateUrls()) return callback(error, address, family);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isBlockedAddress(entry.address, entry.family))) {
+      return callback(new Error(BLOCKED_ADDRESS_MESSAGE));
+    }
+    callback(null, address, family);
+  });
+};
+
+const deliveryAgent = new Agent({ connect: { lookup: pinnedLookup } });
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY * 2 ** (attempts - 1);
+
+// HMAC-SHA256 over "<timestamp>.<body>"; receivers recompute it with the
+// shared secret and reject stale timestamps to prevent replays
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Why a webhook may not be sent to `url`, or null when it may. The host is
+// resolved, so names pointing into a private network are refused as well.
+const checkWebhookUrl = async (url) => {
+  if (allowsPrivateUrls()) return null;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}`;
+  }
+
+  const isBlocked = addresses.some(({ address, family }) => isBlockedAddress(address, family));
+  return isBlocked ? BLOCKED_ADDRESS_MESSAGE : null;
+};
+
+// Make one delivery attempt and record its outcome on the delivery
+const attemptDelivery = async (delivery, webhook) => {
+  const target = webhook || await Webhook.findById(delivery.webhook).select('+secret');
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  if (!target) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook no longer exists';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  try {
+    // Checked on every attempt, the host may resolve elsewhere by now
+    const refusal = await checkWebhookUrl(target.url);
+    if (refusal) {
+      throw new Error(refusal);
+    }
+
+    const response = await fetch(target.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ContentWorkflow-Webhooks/1.0',
+        'X-Webhook-Id': target._id.toString(),
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(target.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      dispatcher: deliveryAgent,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+    });
+
+    // Only the status is kept: response bodies would let anyone managing
+    // webhooks read what the server can reach
+    delivery.responseStatus = response.status;
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      throw new Error(`Receiver responded with status ${response.status}`);
+    }
+
+    delivery.status = 'succeeded';
+    delivery.error = '';
+  } catch (error) {
+    delivery.error = error.message;
+
+    if (delivery.attempts >= getMaxAttempts()) {
+      delivery.status = 'failed';
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    }
+  }
+
+  delivery.duration = Date.now() - startedAt;
+  await delivery.save();
+
+  await Webhook.updateOne({ _id: target._id }, {
+    lastDeliveryAt: delivery.lastAttemptAt,
+    lastDeliveryStatus: delivery.status === 'succeeded' ? 'succeeded' : 'failed'
+  });
+
+  return delivery;
+};
+
+// Queue a payload for a webhook and try to deliver it right away
+const deliver = async (webhook, event, buildPayload, replayOf) => {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    workspace: webhook.workspace,
+    event,
+    status: 'delivering',
+    replayOf
+  });
+  delivery.payload = buildPayload(delivery);
+  await delivery.save();
+
+  return attemptDelivery(delivery, webhook);
+};
+
+// Deliver a domain event to every active webhook subscribed to it
+const dispatchEvent = async (event) => {
+  if (!event.workspace) return;
+
+  const webhooks = await Webhook.find({
+    workspace: event.workspace,
+    isActive: true,
+    events: { $in: ['*', event.type] }
+  }).select('+secret');
+
+  if (webhooks.length === 0) return;
+
+  const Model = ENTITY_MODELS[event.entityType];
+  const object = Model ? await Model.findById(event.entityId).lean() : null;
+
+  await Promise.all(webhooks.map(webhook => deliver(webhook, event.type, delivery => ({
+    id: delivery._id,
+    type: event.type,
+    createdAt: event.occurredAt,
+    workspace: event.workspace,
+    data: {
+      entityType: event.entityType,
+      entityId: event.entityId,
+      actor: event.actor,
+      references: event.references,
+      details: event.data,
+      object
+    }
+  }))));
+};
+
+// Send a ping so users can check their endpoint and signature handling
+const sendTestPing = (webhook) => {
+  return deliver(webhook, 'webhook.ping', delivery => ({
+    id: delivery._id,
+    type: 'webhook.ping',
+    createdAt: new Date(),
+    workspace: webhook.workspace,
+    data: { message: 'This is a test delivery' }
+  }));
+};
+
+// Re-send the payload of an earlier delivery as a new delivery
+const replayDelivery = async (original) => {
+  const webhook = await Webhook.findById(original.webhook).select('+secret');
+  return deliver(webhook, original.event, () => original.payload, original._id);
+};
+
+// Retry deliveries whose backoff has elapsed, claiming each one atomically
+// so concurrent workers never send the same attempt twice
+const processDueDeliveries = async (batchSize = 50) => {
+  for (let processed = 0; processed < batchSize; processed++) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', updatedAt: { $lt: new Date(now - STALE_DELIVERY_AGE) } }
+        ]
+      },
+      { status: 'delivering' },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) return processed;
+    await attemptDelivery(delivery);
+  }
+  return batchSize;
+};
+
+const registerWebhookListener = () => {
+  onEvent(dispatchEvent);
+};
+
+const startWebhookWorker = () => {
+  const timer = setInterval(() => {
+    processDueDeliveries().catch(error => console.error('Webhook worker error:', error));
+  }, POLL_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  signPayload,
+  checkWebhookUrl,
+  getRetryDelay,
+  attemptDelivery,
+  sendTestPing,
+  replayDelivery,
+  processDueDeliveries,
+  registerWebhookListener,
+  startWebhookWorker
+};
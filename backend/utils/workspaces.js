@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Invoice = require('../models/Invoice');
+
+// Models whose records belong to a workspace
+const WORKSPACE_SCOPED_MODELS = [Client, Project, Task, Invoice];
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Return the user's personal workspace, creating it on first use. Records
+// created before workspaces existed are moved into it.
+const ensurePersonalWorkspace = async (user) => {
+  let workspace = await Workspace.findOne({ owner: user._id, isPersonal: true });
+
+  if (!workspace) {
+    workspace = new Workspace({
+      name: `${user.name}'s Workspace`,
+      owner: user._id,
+      isPersonal: true,
+      members: [{ user: user._id, role: 'owner' }]
+    });
+    try {
+      await workspace.save();
+    } catch (error) {
+      // A parallel request created it first
+      if (!isDuplicateKeyError(error)) throw error;
+      return ensurePersonalWorkspace(user);
+    }
+
+    await Promise.all(WORKSPACE_SCOPED_MODELS.map(Model =>
+      Model.updateMany(
+        { user: user._id, workspace: { $exists: false } },
+        { workspace: workspace._id }
+      )
+    ));
+  }
+
+  if (!user.defaultWorkspace) {
+    await User.updateOne({ _id: user._id }, { defaultWorkspace: workspace._id });
+    user.defaultWorkspace = workspace._id;
+  }
+
+  return workspace;
+};
+
+// Resolve the workspace a request acts on: the requested one if the user is a
+// member of it, otherwise the user's default workspace.
+// Returns null when an explicitly requested workspace is not accessible.
+const resolveWorkspace = async (user, requestedId) => {
+  if (requestedId) {
+    if (!mongoose.Types.ObjectId.isValid(requestedId)) return null;
+    return Workspace.findOne({ _id: requestedId, 'members.user': user._id });
+  }
+
+  if (user.defaultWorkspace) {
+    const workspace = await Workspace.findOne({
+      _id: user.defaultWorkspace,
+      'members.user': user._id
+    });
+    if (workspace) return workspace;
+
+    // The default workspace is gone or the user was removed from it
+    await User.updateOne({ _id: user._id }, { $unset: { defaultWorkspace: 1 } });
+    user.defaultWorkspace = undefined;
+  }
+
+  return ensurePersonalWorkspace(user);
+};
+
+// Drop ownership fields so an update body cannot move a record to another
+// workspace or creator
+const withoutOwnership = (body = {}) => {
+  const { workspace, user, ...rest } = body;
+  return rest;
+};
+
+module.exports = {
+  ensurePersonalWorkspace,
+  resolveWorkspace,
+  withoutOwnership
+};
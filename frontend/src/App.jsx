@@ -6,6 +6,8 @@ import './App.css';
 // Layout Components
 import Sidebar from './components/layout/Sidebar';
 import Header from './components/layout/Header';
+import EmailVerificationBanner from './components/layout/EmailVerificationBanner';
+import ImpersonationBanner from './components/layout/ImpersonationBanner';
 
 // Page Components
 import Dashboard from './pages/Dashboard';
@@ -16,6 +18,12 @@ import Invoices from './pages/Invoices';
 import Calendar from './pages/Calendar';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import AcceptInvite from './pages/AcceptInvite';
+import Admin from './pages/Admin';
+import PublicInvoice from './pages/PublicInvoice';
 
 // Auth Context
 import { AuthProvider, useAuth } from './contexts/AuthContext';
@@ -57,7 +65,9 @@ function Layout({ children }) {
     <div className="min-h-screen bg-background">
       <Sidebar open={sidebarOpen} setOpen={setSidebarOpen} />
       <div className="lg:pl-72">
+        <ImpersonationBanner />
         <Header setSidebarOpen={setSidebarOpen} />
+        <EmailVerificationBanner />
         <main className="py-6">
           <div className="mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
             {children}
@@ -77,6 +87,10 @@ function AppRoutes() {
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
+        <Route path="/verify-email/:token" element={<VerifyEmail />} />
+        <Route path="/invites/:token" element={<AcceptInvite />} />
         <Route path="*" element={<Navigate to="/login" replace />} />
       </Routes>
     );
@@ -92,6 +106,9 @@ function AppRoutes() {
         <Route path="/clients" element={<Clients />} />
         <Route path="/invoices" element={<Invoices />} />
         <Route path="/calendar" element={<Calendar />} />
+        {user.role === 'admin' && <Route path="/admin" element={<Admin />} />}
+        <Route path="/verify-email/:token" element={<VerifyEmail />} />
+        <Route path="/invites/:token" element={<AcceptInvite />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </Layout>
@@ -104,7 +121,11 @@ function App() {
       <AuthProvider>
         <Router>
           <div className="App">
-            <AppRoutes />
+            <Routes>
+              {/* Client-facing pages, the same whether or not someone is signed in */}
+              <Route path="/i/:token" element={<PublicInvoice />} />
+              <Route path="*" element={<AppRoutes />} />
+            </Routes>
           </div>
         </Router>
       </AuthProvider>
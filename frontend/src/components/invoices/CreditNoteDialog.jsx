@@ -0,0 +1,169 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { invoiceService } from '../../services/apiService';
+import { formatMoney } from '../../lib/money';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+// Quantity of each invoice line not credited yet
+const remainingQuantities = (invoice, creditNotes) => {
+  const credited = {};
+  creditNotes.forEach((creditNote) => {
+    creditNote.items.forEach((item) => {
+      credited[item.invoiceItem] = (credited[item.invoiceItem] || 0) + item.quantity;
+    });
+  });
+
+  return Object.fromEntries(
+    invoice.items.map((item) => [item._id, Math.max(item.quantity - (credited[item._id] || 0), 0)])
+  );
+};
+
+// Credit notes of an invoice, and a form crediting some quantity of its
+// lines. The quantities start at what remains, which credits it in full.
+export default function CreditNoteDialog({ invoice, canCredit, onClose, onIssued }) {
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data, refetch } = useQuery({
+    queryKey: ['invoices', invoice?._id, 'credit-notes'],
+    queryFn: () => invoiceService.getCreditNotes(invoice._id),
+    enabled: Boolean(invoice),
+  });
+
+  const creditNotes = data?.creditNotes || [];
+  const remaining = invoice ? remainingQuantities(invoice, creditNotes) : {};
+
+  useEffect(() => {
+    if (!invoice || !data) return;
+    setQuantities(remainingQuantities(invoice, data.creditNotes));
+    setReason('');
+    setError('');
+  }, [invoice, data]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    const items = Object.entries(quantities)
+      .map(([item, quantity]) => ({ item, quantity: parseFloat(quantity) }))
+      .filter((item) => item.quantity > 0);
+
+    try {
+      const response = await invoiceService.createCreditNote(invoice._id, {
+        items,
+        reason: reason || undefined,
+      });
+      await refetch();
+      onIssued(response.invoice, response.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Could not issue credit note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canIssue = canCredit && invoice && !['draft', 'cancelled', 'void'].includes(invoice.status)
+    && Object.values(remaining).some((quantity) => quantity > 0);
+
+  return (
+    <Dialog open={Boolean(invoice)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Credit notes for {invoice?.invoiceNumber}</DialogTitle>
+          <DialogDescription>
+            {invoice && (
+              <>
+                {formatMoney(invoice.creditedAmount, invoice.currency)} credited of{' '}
+                {formatMoney(invoice.total, invoice.currency)}
+              </>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {creditNotes.length === 0 ? (
+          <p className="text-sm text-gray-500">No credit notes issued yet</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {creditNotes.map((creditNote) => (
+              <li key={creditNote._id} className="flex items-center justify-between gap-4 p-3 text-sm">
+                <div>
+                  <div className="font-medium text-gray-900">{creditNote.creditNoteNumber}</div>
+                  <div className="text-gray-500">
+                    {new Date(creditNote.issueDate).toLocaleDateString()}
+                    {creditNote.reason && ` · ${creditNote.reason}`}
+                  </div>
+                  {creditNote.refundDue > 0 && (
+                    <div className="text-gray-500">
+                      {formatMoney(creditNote.refundDue, creditNote.currency)} due back to the client
+                    </div>
+                  )}
+                </div>
+                <span className="font-medium">-{formatMoney(creditNote.total, creditNote.currency)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canIssue && (
+          <form onSubmit={handleSubmit} className="space-y-4 border-t pt-4">
+            <div className="space-y-2">
+              {invoice.items.map((item) => (
+                <div key={item._id} className="flex items-center gap-3 text-sm">
+                  <span className="flex-1">
+                    {item.description}
+                    <span className="text-gray-500">
+                      {' '}({remaining[item._id]} of {item.quantity} × {formatMoney(item.rate, invoice.currency)})
+                    </span>
+                  </span>
+                  <Input
+                    type="number"
+                    step="any"
+                    min="0"
+                    max={remaining[item._id]}
+                    className="w-24"
+                    aria-label={`Quantity of ${item.description} to credit`}
+                    value={quantities[item._id] ?? 0}
+                    disabled={remaining[item._id] === 0}
+                    onChange={(e) => setQuantities({ ...quantities, [item._id]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="credit-reason">Reason</Label>
+              <Input id="credit-reason" value={reason} onChange={(e) => setReason(e.target.value)} />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={onClose}>
+                Close
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Issuing...' : 'Issue credit note'}
+              </Button>
+            </DialogFooter>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { exchangeRateService, userService } from '../../services/apiService';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyRate = () => ({ from: '', to: '', rate: '', date: today() });
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback;
+
+// Exchange rates of the active workspace, used to report revenue in each
+// member's base currency. Anyone may pick their base currency; entering
+// and importing rates needs workspace settings access.
+export default function ExchangeRatesDialog({ open, canManage, onClose, onChange }) {
+  const queryClient = useQueryClient();
+  const [baseCurrency, setBaseCurrency] = useState('');
+  const [form, setForm] = useState(emptyRate);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data, refetch } = useQuery({
+    queryKey: ['exchange-rates'],
+    queryFn: () => exchangeRateService.getRates(),
+    enabled: open,
+  });
+
+  useEffect(() => {
+    if (!data) return;
+    setBaseCurrency(data.baseCurrency);
+    setForm({ ...emptyRate(), to: data.baseCurrency });
+    setError('');
+  }, [data, open]);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const updateCurrency = (field) => (e) => setForm({ ...form, [field]: e.target.value.toUpperCase() });
+
+  // Reports change with any rate or the base currency, so the dashboard
+  // is refreshed too
+  const run = async (action, fallback) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await action();
+      await refetch();
+      queryClient.invalidateQueries({ queryKey: ['dashboard-overview'] });
+      onChange(response.message);
+    } catch (err) {
+      setError(errorMessage(err, fallback));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBaseCurrency = (e) => {
+    e.preventDefault();
+    run(() => userService.updateProfile({ baseCurrency }), 'Could not change base currency');
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    run(
+      () => exchangeRateService.createRate({ ...form, rate: parseFloat(form.rate) }),
+      'Could not save exchange rate'
+    );
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const csv = await file.text();
+    run(() => exchangeRateService.importRates(csv), `Could not import ${file.name}`);
+  };
+
+  const rates = data?.rates || [];
+  // Invoiced currencies with no rate to the base currency either way round
+  const missing = (data?.currencies || []).filter((currency) =>
+    currency !== data.baseCurrency && !rates.some((rate) =>
+      (rate.from === currency && rate.to === data.baseCurrency) ||
+      (rate.to === currency && rate.from === data.baseCurrency)
+    )
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Exchange rates</DialogTitle>
+          <DialogDescription>
+            Revenue is reported in your base currency, converted at the rate of the day it was invoiced or paid
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <form onSubmit={handleBaseCurrency} className="flex items-end gap-2">
+          <div className="space-y-2">
+            <Label htmlFor="base-currency">Your base currency</Label>
+            <Input
+              id="base-currency"
+              className="w-28"
+              maxLength={3}
+              value={baseCurrency}
+              onChange={(e) => setBaseCurrency(e.target.value.toUpperCase())}
+              required
+            />
+          </div>
+          <Button type="submit" variant="outline" disabled={saving || !data || baseCurrency === data.baseCurrency}>
+            Change
+          </Button>
+        </form>
+
+        {missing.length > 0 && (
+          <p className="text-sm text-amber-700">
+            No rate to {data.baseCurrency} for {missing.join(', ')} yet
+          </p>
+        )}
+
+        {canManage && (
+          <form onSubmit={handleAdd} className="space-y-2 border-t pt-4">
+            <div className="grid grid-cols-4 gap-2">
+              <div className="space-y-2">
+                <Label htmlFor="rate-from">From</Label>
+                <Input id="rate-from" maxLength={3} value={form.from} onChange={updateCurrency('from')} required />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rate-to">To</Label>
+                <Input id="rate-to" maxLength={3} value={form.to} onChange={updateCurrency('to')} required />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rate-value">Rate</Label>
+                <Input
+                  id="rate-value"
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={form.rate}
+                  onChange={update('rate')}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rate-date">From date</Label>
+                <Input id="rate-date" type="date" value={form.date} onChange={update('date')} required />
+              </div>
+            </div>
+            <div className="flex items-center justify-between gap-2">
+              <Label className="cursor-pointer text-sm font-normal text-gray-600">
+                <input type="file" accept=".csv,text/csv" className="sr-only" onChange={handleImport} disabled={saving} />
+                Import CSV (date, from, to, rate columns)
+              </Label>
+              <Button type="submit" disabled={saving}>
+                Add rate
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {rates.length === 0 ? (
+          <p className="text-sm text-gray-500">No exchange rates entered yet</p>
+        ) : (
+          <ul className="max-h-64 divide-y overflow-y-auto rounded-md border">
+            {rates.map((rate) => (
+              <li key={rate._id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                <span>
+                  1 {rate.from} = {rate.rate} {rate.to}
+                </span>
+                <span className="flex items-center gap-2 text-gray-500">
+                  {new Date(rate.date).toLocaleDateString()}
+                  {rate.source === 'import' && ' · imported'}
+                  {canManage && (
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      aria-label={`Delete ${rate.from} to ${rate.to} rate`}
+                      disabled={saving}
+                      onClick={() => run(() => exchangeRateService.deleteRate(rate._id), 'Could not delete exchange rate')}
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </Button>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={onClose}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
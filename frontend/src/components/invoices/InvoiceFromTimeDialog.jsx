@@ -0,0 +1,221 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { clientService, invoiceService, projectService } from '../../services/apiService';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const ALL_PROJECTS = 'all';
+
+const SOURCES = [
+  { value: 'time', label: 'Billable time' },
+  { value: 'tasks', label: 'Completed tasks' },
+];
+
+const GROUPS = [
+  { value: 'task', label: 'One line per task' },
+  { value: 'project', label: 'One line per project' },
+  { value: 'entry', label: 'One line per time entry' },
+];
+
+const emptyForm = {
+  client: '',
+  project: ALL_PROJECTS,
+  source: 'time',
+  groupBy: 'task',
+  from: '',
+  to: '',
+  rate: '',
+};
+
+// Draft an invoice from a client's unbilled time or completed tasks
+export default function InvoiceFromTimeDialog({ open, onClose, onCreated }) {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data: clientsData } = useQuery({
+    queryKey: ['clients', 'invoice-options'],
+    queryFn: () => clientService.getClients({ limit: 100 }),
+    enabled: open,
+  });
+
+  const { data: projectsData } = useQuery({
+    queryKey: ['projects', 'invoice-options', form.client],
+    queryFn: () => projectService.getProjects({ client: form.client, limit: 100 }),
+    enabled: open && Boolean(form.client),
+  });
+
+  useEffect(() => {
+    setForm(emptyForm);
+    setError('');
+  }, [open]);
+
+  const clients = clientsData?.clients || [];
+  const projects = projectsData?.projects || [];
+  const client = clients.find((entry) => entry._id === form.client);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    const { client: clientId, project, source, groupBy, from, to, rate } = form;
+
+    try {
+      const response = await invoiceService.createFromTime({
+        client: clientId,
+        source,
+        groupBy,
+        ...(project !== ALL_PROJECTS && { project }),
+        ...(from && { from }),
+        // The whole last day counts
+        ...(to && { to: `${to}T23:59:59.999Z` }),
+        ...(rate && { rate: parseFloat(rate) }),
+      });
+      onCreated(response);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Could not create invoice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Invoice time</DialogTitle>
+            <DialogDescription>
+              Creates a draft invoice billed by the hour. The work on it is marked billed and
+              can&apos;t be invoiced again unless the invoice is deleted or voided.
+            </DialogDescription>
+          </DialogHeader>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label>Client</Label>
+              <Select
+                value={form.client}
+                onValueChange={(value) => setForm({ ...form, client: value, project: ALL_PROJECTS })}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue placeholder="Select a client" />
+                </SelectTrigger>
+                <SelectContent>
+                  {clients.map((entry) => (
+                    <SelectItem key={entry._id} value={entry._id}>
+                      {entry.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Project</Label>
+              <Select
+                value={form.project}
+                onValueChange={(project) => setForm({ ...form, project })}
+                disabled={!form.client}
+              >
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL_PROJECTS}>All projects</SelectItem>
+                  {projects.map((project) => (
+                    <SelectItem key={project._id} value={project._id}>
+                      {project.title}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Bill</Label>
+              <Select value={form.source} onValueChange={(source) => setForm({ ...form, source })}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {SOURCES.map(({ value, label }) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label>Lines</Label>
+              <Select value={form.groupBy} onValueChange={(groupBy) => setForm({ ...form, groupBy })}>
+                <SelectTrigger className="w-full">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {GROUPS.map(({ value, label }) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="time-from">From</Label>
+              <Input id="time-from" type="date" value={form.from} onChange={update('from')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="time-to">To</Label>
+              <Input id="time-to" type="date" value={form.to} onChange={update('to')} />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="time-rate">Hourly rate</Label>
+            <Input
+              id="time-rate"
+              type="number"
+              step="any"
+              min="0"
+              value={form.rate}
+              onChange={update('rate')}
+              placeholder={client?.hourlyRate ? `${client.hourlyRate} ${client.currency} (client rate)` : ''}
+              required={Boolean(client) && !client.hourlyRate}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving || !form.client}>
+              Create draft
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { workspaceService } from '../../services/apiService';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const emptyForm = { format: '', prefix: '', creditNotePrefix: '', padding: '4', reset: 'yearly', nextNumber: '' };
+
+// Invoice number format of the active workspace, e.g. INV-{YYYY}-{SEQ}
+export default function InvoiceNumberingDialog({ open, onClose, onSaved }) {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data: current } = useQuery({
+    queryKey: ['workspace-current'],
+    queryFn: workspaceService.getCurrentWorkspace,
+    enabled: open,
+  });
+
+  const workspaceId = current?.workspace?._id;
+
+  const { data } = useQuery({
+    queryKey: ['invoice-numbering', workspaceId],
+    queryFn: () => workspaceService.getInvoiceNumbering(workspaceId),
+    enabled: open && Boolean(workspaceId),
+  });
+
+  useEffect(() => {
+    if (!data) return;
+    const { format, prefix, creditNotePrefix, padding, reset } = data.invoiceNumbering;
+    setForm({
+      format,
+      prefix,
+      creditNotePrefix,
+      padding: String(padding),
+      reset,
+      nextNumber: String(data.next.nextNumber),
+    });
+    setError('');
+  }, [data, open]);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const { nextNumber, padding, ...fields } = form;
+      const response = await workspaceService.updateInvoiceNumbering(workspaceId, {
+        ...fields,
+        padding: parseInt(padding, 10),
+        // Only move the sequence when it was changed here
+        ...(nextNumber !== String(data.next.nextNumber) && { nextNumber: parseInt(nextNumber, 10) }),
+      });
+      queryClient.invalidateQueries({ queryKey: ['invoice-numbering'] });
+      onSaved(response.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Could not save numbering');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Invoice numbering</DialogTitle>
+          <DialogDescription>
+            {data ? `The next invoice will be ${data.next.example}` : 'Format of new invoice numbers'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="numbering-format">Format</Label>
+            <Input id="numbering-format" value={form.format} onChange={update('format')} required />
+            {data && (
+              <p className="text-xs text-gray-500">
+                {Object.keys(data.tokens).map((token) => `{${token}}`).join(' ')}
+              </p>
+            )}
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="numbering-prefix">Prefix</Label>
+              <Input id="numbering-prefix" value={form.prefix} onChange={update('prefix')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="numbering-credit-prefix">Credit note prefix</Label>
+              <Input id="numbering-credit-prefix" value={form.creditNotePrefix} onChange={update('creditNotePrefix')} />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="numbering-padding">Digits</Label>
+              <Input
+                id="numbering-padding"
+                type="number"
+                min="1"
+                max="10"
+                value={form.padding}
+                onChange={update('padding')}
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Restart numbering</Label>
+              <Select value={form.reset} onValueChange={(reset) => setForm({ ...form, reset })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="yearly">Every year</SelectItem>
+                  <SelectItem value="never">Never</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="numbering-next">Next number</Label>
+              <Input
+                id="numbering-next"
+                type="number"
+                min="1"
+                value={form.nextNumber}
+                onChange={update('nextNumber')}
+                required
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={saving || !data}>
+              {saving ? 'Saving...' : 'Save'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,220 @@
+import { useEffect, useState } from 'react';
+import { invoiceService } from '../../services/apiService';
+import { formatMoney } from '../../lib/money';
+import { PAYMENT_METHOD_LABELS } from '../../lib/invoices';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Also right for invoices saved before payments were tracked
+const balanceOf = (invoice) => Math.max(Math.round((invoice.total - (invoice.amountPaid || 0)) * 100) / 100, 0);
+
+const emptyForm = (invoice) => ({
+  amount: invoice ? String(balanceOf(invoice)) : '',
+  date: today(),
+  method: invoice?.paymentMethod || 'bank-transfer',
+  reference: '',
+  notes: '',
+});
+
+// Payment ledger of an invoice: record deposits and instalments, refund or
+// delete earlier payments
+export default function PaymentsDialog({ invoice, canManage, onClose, onChange }) {
+  const [form, setForm] = useState(emptyForm(invoice));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setForm(emptyForm(invoice));
+    setError('');
+  }, [invoice]);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  // Every change returns the updated invoice, which replaces the one shown
+  const run = async (action) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await action();
+      onChange(response.invoice, response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not update payments');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(() => invoiceService.recordPayment(invoice._id, {
+      ...form,
+      amount: parseFloat(form.amount),
+    }));
+  };
+
+  const handleRefund = (payment) => {
+    const reason = window.prompt('Reason for the refund (optional)');
+    if (reason === null) return;
+    run(() => invoiceService.refundPayment(invoice._id, payment._id, reason || undefined));
+  };
+
+  const handleDelete = (payment) => {
+    if (window.confirm('Delete this payment? Use refund instead if the money was returned.')) {
+      run(() => invoiceService.deletePayment(invoice._id, payment._id));
+    }
+  };
+
+  const payments = invoice?.payments || [];
+  const canRecord = canManage && invoice && !['paid', 'cancelled'].includes(invoice.status);
+
+  return (
+    <Dialog open={Boolean(invoice)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Payments for {invoice?.invoiceNumber}</DialogTitle>
+          <DialogDescription>
+            {invoice && (
+              <>
+                {formatMoney(invoice.amountPaid, invoice.currency)} paid of{' '}
+                {formatMoney(invoice.total, invoice.currency)},{' '}
+                {formatMoney(balanceOf(invoice), invoice.currency)} due
+              </>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {payments.length === 0 ? (
+          <p className="text-sm text-gray-500">No payments recorded yet</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {payments.map((payment) => (
+              <li key={payment._id} className="flex items-center justify-between gap-4 p-3 text-sm">
+                <div>
+                  <div className="font-medium text-gray-900">
+                    <span className={payment.refundedAt ? 'line-through text-gray-400' : ''}>
+                      {formatMoney(payment.amount, invoice.currency)}
+                    </span>
+                    {payment.refundedAt && <Badge variant="outline" className="ml-2">Refunded</Badge>}
+                  </div>
+                  <div className="text-gray-500">
+                    {new Date(payment.date).toLocaleDateString()} · {PAYMENT_METHOD_LABELS[payment.method]}
+                    {payment.reference && ` · ${payment.reference}`}
+                  </div>
+                  {payment.notes && <div className="text-gray-500">{payment.notes}</div>}
+                  {payment.refundReason && <div className="text-gray-500">Refund: {payment.refundReason}</div>}
+                </div>
+                {canManage && (
+                  <div className="flex gap-2">
+                    {!payment.refundedAt && (
+                      <Button variant="outline" size="sm" disabled={saving} onClick={() => handleRefund(payment)}>
+                        Refund
+                      </Button>
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-red-600"
+                      disabled={saving}
+                      onClick={() => handleDelete(payment)}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canRecord && (
+          <form onSubmit={handleSubmit} className="space-y-4 border-t pt-4">
+            <div className="grid grid-cols-3 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="payment-amount">Amount ({invoice.currency})</Label>
+                <Input
+                  id="payment-amount"
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  max={balanceOf(invoice)}
+                  value={form.amount}
+                  onChange={update('amount')}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="payment-date">Date</Label>
+                <Input id="payment-date" type="date" value={form.date} onChange={update('date')} required />
+              </div>
+              <div className="space-y-2">
+                <Label>Method</Label>
+                <Select value={form.method} onValueChange={(method) => setForm({ ...form, method })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="payment-reference">Reference</Label>
+                <Input
+                  id="payment-reference"
+                  value={form.reference}
+                  onChange={update('reference')}
+                  placeholder="Transaction or check number"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="payment-notes">Notes</Label>
+                <Input id="payment-notes" value={form.notes} onChange={update('notes')} />
+              </div>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={onClose}>
+                Close
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving ? 'Saving...' : 'Record payment'}
+              </Button>
+            </DialogFooter>
+          </form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { TrashIcon } from '@heroicons/react/24/outline';
+import { workspaceService } from '../../services/apiService';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+const describeOffset = (offsetDays) => {
+  const days = Math.abs(offsetDays);
+  if (offsetDays === 0) return 'On the due date';
+  return `${days} day${days === 1 ? '' : 's'} ${offsetDays < 0 ? 'before' : 'after'} the due date`;
+};
+
+// Payment reminder sequence of the active workspace. Steps use the default
+// reminder email; clients can be opted out individually.
+export default function ReminderSettingsDialog({ open, onClose, onSaved }) {
+  const queryClient = useQueryClient();
+  const [enabled, setEnabled] = useState(false);
+  const [steps, setSteps] = useState([]);
+  const [newOffset, setNewOffset] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data } = useQuery({
+    queryKey: ['workspace-current'],
+    queryFn: workspaceService.getCurrentWorkspace,
+    enabled: open,
+  });
+
+  const workspace = data?.workspace;
+
+  useEffect(() => {
+    if (!workspace) return;
+    setEnabled(workspace.invoiceReminders?.enabled || false);
+    setSteps(workspace.invoiceReminders?.steps || []);
+    setError('');
+  }, [workspace, open]);
+
+  const addStep = () => {
+    const offsetDays = parseInt(newOffset, 10);
+    if (Number.isNaN(offsetDays) || steps.some((step) => step.offsetDays === offsetDays)) return;
+
+    setSteps([...steps, { offsetDays }].sort((a, b) => a.offsetDays - b.offsetDays));
+    setNewOffset('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await workspaceService.updateReminders(workspace._id, { enabled, steps });
+      queryClient.invalidateQueries({ queryKey: ['workspace-current'] });
+      onSaved(response.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Could not save reminders');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Payment reminders</DialogTitle>
+          <DialogDescription>
+            Email clients about unpaid invoices. Each reminder is sent once per invoice.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex items-center justify-between">
+          <Label htmlFor="reminders-enabled">Send reminders automatically</Label>
+          <Switch id="reminders-enabled" checked={enabled} onCheckedChange={setEnabled} />
+        </div>
+
+        <ul className="divide-y rounded-md border">
+          {steps.length === 0 && <li className="p-3 text-sm text-gray-500">No reminders configured</li>}
+          {steps.map((step) => (
+            <li key={step.offsetDays} className="flex items-center justify-between p-3 text-sm">
+              {describeOffset(step.offsetDays)}
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setSteps(steps.filter((other) => other.offsetDays !== step.offsetDays))}
+              >
+                <TrashIcon className="h-4 w-4" />
+                <span className="sr-only">Remove reminder</span>
+              </Button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex items-end gap-2">
+          <div className="flex-1 space-y-2">
+            <Label htmlFor="reminder-offset">Days after the due date (negative for before)</Label>
+            <Input
+              id="reminder-offset"
+              type="number"
+              min="-60"
+              max="365"
+              value={newOffset}
+              onChange={(e) => setNewOffset(e.target.value)}
+            />
+          </div>
+          <Button type="button" variant="outline" onClick={addStep}>
+            Add
+          </Button>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={saving || !workspace}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { invoiceService } from '../../services/apiService';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+const splitEmails = (value) => value.split(',').map((email) => email.trim()).filter(Boolean);
+
+export default function SendInvoiceDialog({ invoice, onClose, onSent }) {
+  const [to, setTo] = useState('');
+  const [cc, setCc] = useState('');
+  const [bcc, setBcc] = useState('');
+  const [subject, setSubject] = useState('');
+  const [message, setMessage] = useState('');
+  const [attachPdf, setAttachPdf] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data: templateData } = useQuery({
+    queryKey: ['invoice-email-template'],
+    queryFn: invoiceService.getEmailTemplate,
+    staleTime: Infinity,
+  });
+
+  // Start from the default template each time the dialog opens
+  useEffect(() => {
+    if (!invoice) return;
+    setTo(invoice.client?.email || '');
+    setCc('');
+    setBcc('');
+    setSubject(templateData?.template.subject || '');
+    setMessage(templateData?.template.body || '');
+    setAttachPdf(true);
+    setError('');
+  }, [invoice, templateData]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+
+    try {
+      const response = await invoiceService.sendInvoice(invoice._id, {
+        to,
+        cc: splitEmails(cc),
+        bcc: splitEmails(bcc),
+        subject,
+        message,
+        attachPdf,
+      });
+      onSent(response);
+    } catch (err) {
+      setError(err.response?.data?.error || err.response?.data?.message || 'Could not send invoice');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(invoice)} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Send {invoice?.invoiceNumber}</DialogTitle>
+            <DialogDescription>
+              Placeholders such as {'{{clientName}}'} and {'{{total}}'} are filled in when the email is sent.
+            </DialogDescription>
+          </DialogHeader>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="send-to">To</Label>
+            <Input id="send-to" type="email" value={to} onChange={(e) => setTo(e.target.value)} required />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="send-cc">CC</Label>
+              <Input id="send-cc" value={cc} onChange={(e) => setCc(e.target.value)} placeholder="Comma separated" />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="send-bcc">BCC</Label>
+              <Input id="send-bcc" value={bcc} onChange={(e) => setBcc(e.target.value)} placeholder="Comma separated" />
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="send-subject">Subject</Label>
+            <Input id="send-subject" value={subject} onChange={(e) => setSubject(e.target.value)} required />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="send-message">Message</Label>
+            <Textarea
+              id="send-message"
+              rows={8}
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              required
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Checkbox id="send-attach" checked={attachPdf} onCheckedChange={(checked) => setAttachPdf(Boolean(checked))} />
+            <Label htmlFor="send-attach">Attach PDF</Label>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={sending}>
+              {sending ? 'Sending...' : 'Send invoice'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,282 @@
+import { useEffect, useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { PencilIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { invoiceService, taxProfileService } from '../../services/apiService';
+import { formatMoney } from '../../lib/money';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const TYPE_LABELS = {
+  vat: 'VAT',
+  gst: 'GST',
+  sales: 'Sales tax',
+  withholding: 'Withholding',
+  other: 'Other',
+};
+
+const FLAGS = [
+  { field: 'compound', label: 'Compound', hint: 'Charged on the amount plus the taxes before it' },
+  { field: 'inclusive', label: 'Included in rates', hint: 'Line rates already include the tax' },
+  { field: 'reverseCharge', label: 'Reverse charge', hint: 'Shown on the invoice, paid by the client' },
+];
+
+const emptyForm = {
+  name: '',
+  type: 'vat',
+  rate: '',
+  compound: false,
+  inclusive: false,
+  reverseCharge: false,
+  note: '',
+};
+
+const describeProfile = (profile) => [
+  TYPE_LABELS[profile.type],
+  `${profile.rate}%`,
+  ...FLAGS.filter(({ field }) => profile[field]).map(({ label }) => label.toLowerCase()),
+].join(' · ');
+
+// Tax profiles of the active workspace, which invoice lines are taxed
+// with, and the tax invoiced this year
+export default function TaxProfilesDialog({ open, canManage, onClose, onChange }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data, refetch } = useQuery({
+    queryKey: ['tax-profiles'],
+    queryFn: taxProfileService.getTaxProfiles,
+    enabled: open,
+  });
+
+  const from = `${new Date().getFullYear()}-01-01`;
+  const { data: summary } = useQuery({
+    queryKey: ['invoices', 'tax-summary', from],
+    queryFn: () => invoiceService.getTaxSummary({ from }),
+    enabled: open,
+  });
+
+  useEffect(() => {
+    setForm(emptyForm);
+    setEditingId(null);
+    setError('');
+  }, [open]);
+
+  const update = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const startEditing = (profile) => {
+    setEditingId(profile._id);
+    setForm({ ...emptyForm, ...profile, rate: String(profile.rate) });
+    setError('');
+  };
+
+  const run = async (action, fallback) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await action();
+      await refetch();
+      setForm(emptyForm);
+      setEditingId(null);
+      onChange(response.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { name, type, rate, compound, inclusive, reverseCharge, note } = form;
+    const profile = { name, type, rate: parseFloat(rate), compound, inclusive, reverseCharge, note };
+
+    run(
+      () => (editingId
+        ? taxProfileService.updateTaxProfile(editingId, profile)
+        : taxProfileService.createTaxProfile(profile)),
+      'Could not save tax profile'
+    );
+  };
+
+  const taxProfiles = data?.taxProfiles || [];
+  const taxes = summary?.taxes || [];
+  const isWithholding = form.type === 'withholding';
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Taxes</DialogTitle>
+          <DialogDescription>
+            Invoices keep a copy of their taxes, so changes only apply to lines taxed from now on
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {taxProfiles.length === 0 ? (
+          <p className="text-sm text-gray-500">No tax profiles yet</p>
+        ) : (
+          <ul className="divide-y rounded-md border">
+            {taxProfiles.map((profile) => (
+              <li key={profile._id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                <div>
+                  <div className="font-medium text-gray-900">{profile.name}</div>
+                  <div className="text-gray-500">{describeProfile(profile)}</div>
+                </div>
+                {canManage && (
+                  <div className="flex gap-1">
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      aria-label={`Edit ${profile.name}`}
+                      onClick={() => startEditing(profile)}
+                    >
+                      <PencilIcon className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      aria-label={`Delete ${profile.name}`}
+                      disabled={saving}
+                      onClick={() => run(() => taxProfileService.deleteTaxProfile(profile._id), 'Could not delete tax profile')}
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {canManage && (
+          <form onSubmit={handleSubmit} className="space-y-3 border-t pt-4">
+            <div className="grid grid-cols-3 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="tax-name">Name</Label>
+                <Input id="tax-name" value={form.name} onChange={update('name')} required />
+              </div>
+              <div className="space-y-2">
+                <Label>Type</Label>
+                <Select value={form.type} onValueChange={(type) => setForm({ ...form, type })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                      <SelectItem key={type} value={type}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="tax-rate">Rate (%)</Label>
+                <Input
+                  id="tax-rate"
+                  type="number"
+                  step="any"
+                  min="0"
+                  max="100"
+                  value={form.rate}
+                  onChange={update('rate')}
+                  required
+                />
+              </div>
+            </div>
+            {/* Withholding only ever comes off what the client pays */}
+            {!isWithholding && FLAGS.map(({ field, label, hint }) => (
+              <div key={field} className="flex items-center justify-between gap-4">
+                <div>
+                  <Label htmlFor={`tax-${field}`}>{label}</Label>
+                  <p className="text-xs text-gray-500">{hint}</p>
+                </div>
+                <Switch
+                  id={`tax-${field}`}
+                  checked={form[field]}
+                  onCheckedChange={(checked) => setForm({ ...form, [field]: checked })}
+                />
+              </div>
+            ))}
+            <div className="space-y-2">
+              <Label htmlFor="tax-note">Note on invoices</Label>
+              <Input
+                id="tax-note"
+                value={form.note}
+                onChange={update('note')}
+                placeholder={form.reverseCharge ? 'Reverse charge: the customer is liable to account for the tax' : ''}
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              {editingId && (
+                <Button type="button" variant="outline" onClick={() => { setEditingId(null); setForm(emptyForm); }}>
+                  Cancel
+                </Button>
+              )}
+              <Button type="submit" disabled={saving}>
+                {editingId ? 'Save tax' : 'Add tax'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        <div className="space-y-2 border-t pt-4">
+          <p className="text-sm font-medium text-gray-900">Tax invoiced this year</p>
+          {taxes.length === 0 ? (
+            <p className="text-sm text-gray-500">No tax invoiced yet</p>
+          ) : (
+            <ul className="divide-y text-sm">
+              {taxes.map((tax) => (
+                <li key={`${tax.currency}-${tax.name}-${tax.rate}`} className="flex justify-between gap-4 py-2">
+                  <span>
+                    {tax.name} ({tax.rate}%)
+                    <span className="text-gray-500">
+                      {' '}on {formatMoney(tax.base, tax.currency)}
+                      {tax.credited.count > 0 && `, net of ${tax.credited.count} credit note${tax.credited.count === 1 ? '' : 's'}`}
+                    </span>
+                  </span>
+                  <span className="font-medium">
+                    {tax.reverseCharge ? 'Reverse charge' : formatMoney(tax.amount, tax.currency)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={onClose}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authService } from '../../services/authService';
+import { Button } from '@/components/ui/button';
+
+export default function EmailVerificationBanner() {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState('');
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    setMessage('');
+
+    try {
+      const response = await authService.resendVerification();
+      setMessage(response.message);
+    } catch (err) {
+      setMessage(err.response?.data?.message || 'Could not send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="border-b border-yellow-200 bg-yellow-50 px-4 py-3 sm:px-6 lg:px-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-yellow-800">
+          Please verify your email address. We sent a link to <span className="font-medium">{user.email}</span>.
+          {message && <span className="ml-2">{message}</span>}
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleResend}
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import { Bars3Icon } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
+import TimerWidget from './TimerWidget';
 
 export default function Header({ setSidebarOpen }) {
   const { user } = useAuth();
@@ -19,8 +21,12 @@ export default function Header({ setSidebarOpen }) {
       <div className="h-6 w-px bg-gray-200 lg:hidden" aria-hidden="true" />
 
       <div className="flex flex-1 gap-x-4 self-stretch lg:gap-x-6">
-        <div className="flex flex-1"></div>
+        <div className="flex flex-1 items-center">
+          <WorkspaceSwitcher />
+        </div>
         <div className="flex items-center gap-x-4 lg:gap-x-6">
+          <TimerWidget />
+
           {/* Profile dropdown */}
           <div className="flex items-center gap-x-4 px-2 py-3 text-sm font-semibold leading-6 text-gray-900">
             <div className="h-8 w-8 rounded-full bg-gray-50 flex items-center justify-center">
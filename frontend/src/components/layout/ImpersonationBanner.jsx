@@ -0,0 +1,36 @@
+import { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+
+export default function ImpersonationBanner() {
+  const { user, stopImpersonation } = useAuth();
+  const [stopping, setStopping] = useState(false);
+
+  if (!user?.impersonator) {
+    return null;
+  }
+
+  const handleStop = async () => {
+    setStopping(true);
+    await stopImpersonation();
+  };
+
+  return (
+    <div className="border-b border-red-200 bg-red-50 px-4 py-3 sm:px-6 lg:px-8">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-red-800">
+          You are signed in as <span className="font-medium">{user.name}</span> ({user.email}) on behalf
+          of {user.impersonator.name}. Actions you take are recorded.
+        </p>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={handleStop}
+          disabled={stopping}
+        >
+          {stopping ? 'Stopping...' : 'Stop impersonating'}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ import {
   DocumentTextIcon,
   CalendarIcon,
   Cog6ToothIcon,
+  ShieldCheckIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../contexts/AuthContext';
 import { Button } from '@/components/ui/button';
@@ -23,6 +24,8 @@ const navigation = [
   { name: 'Calendar', href: '/calendar', icon: CalendarIcon },
 ];
 
+const adminNavigation = { name: 'Admin', href: '/admin', icon: ShieldCheckIcon };
+
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ');
 }
@@ -30,6 +33,7 @@ function classNames(...classes) {
 export default function Sidebar({ open, setOpen }) {
   const location = useLocation();
   const { user, logout } = useAuth();
+  const items = user?.role === 'admin' ? [...navigation, adminNavigation] : navigation;
 
   return (
     <>
@@ -89,7 +93,7 @@ export default function Sidebar({ open, setOpen }) {
                     <ul role="list" className="flex flex-1 flex-col gap-y-7">
                       <li>
                         <ul role="list" className="-mx-2 space-y-1">
-                          {navigation.map((item) => (
+                          {items.map((item) => (
                             <li key={item.name}>
                               <Link
                                 to={item.href}
@@ -155,7 +159,7 @@ export default function Sidebar({ open, setOpen }) {
             <ul role="list" className="flex flex-1 flex-col gap-y-7">
               <li>
                 <ul role="list" className="-mx-2 space-y-1">
-                  {navigation.map((item) => (
+                  {items.map((item) => (
                     <li key={item.name}>
                       <Link
                         to={item.href}
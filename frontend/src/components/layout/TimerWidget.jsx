@@ -0,0 +1,149 @@
+import { useEffect, useState } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { ClockIcon, PlayIcon, StopIcon } from '@heroicons/react/24/outline';
+import { taskService, timeEntryService } from '../../services/apiService';
+import { usePermissions } from '../../hooks/use-permissions';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatElapsed = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds % 60)}`;
+};
+
+// The running timer of the current user, or a form starting one on a task
+export default function TimerWidget() {
+  const queryClient = useQueryClient();
+  const { can } = usePermissions();
+  const [open, setOpen] = useState(false);
+  const [taskId, setTaskId] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(() => Date.now());
+
+  const { data } = useQuery({
+    queryKey: ['timer'],
+    queryFn: timeEntryService.getTimer,
+    // Picks up timers started or stopped in another tab
+    refetchInterval: 60 * 1000,
+  });
+
+  const { data: tasksData } = useQuery({
+    queryKey: ['tasks', 'timer-options'],
+    queryFn: () => taskService.getTasks({ limit: 100 }),
+    enabled: open,
+  });
+
+  const timer = data?.timeEntry;
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  const run = async (action, fallback) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await action();
+      setOpen(false);
+      setTaskId('');
+      setNote('');
+      setNow(Date.now());
+      queryClient.invalidateQueries({ queryKey: ['timer'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+      queryClient.invalidateQueries({ queryKey: ['time-entries'] });
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (timer) {
+    const elapsed = Math.max(Math.floor((now - new Date(timer.start)) / 1000), 0);
+
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <ClockIcon className="h-5 w-5 text-green-600" aria-hidden="true" />
+        <span className="hidden max-w-40 truncate text-gray-700 md:inline">
+          {timer.task?.title || timer.project?.title}
+        </span>
+        <span className="font-mono tabular-nums text-gray-900">{formatElapsed(elapsed)}</span>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          disabled={saving}
+          onClick={() => run(timeEntryService.stopTimer, 'Could not stop timer')}
+        >
+          <StopIcon className="h-4 w-4" />
+          Stop
+        </Button>
+      </div>
+    );
+  }
+
+  if (!can('time:track')) return null;
+
+  const tasks = (tasksData?.tasks || []).filter((task) => !['completed', 'cancelled'].includes(task.status));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(() => timeEntryService.startTimer({ task: taskId, note }), 'Could not start timer');
+  };
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button type="button" variant="outline" size="sm">
+          <PlayIcon className="h-4 w-4" />
+          Start timer
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80">
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div className="space-y-2">
+            <Label>Task</Label>
+            <Select value={taskId} onValueChange={setTaskId}>
+              <SelectTrigger className="w-full">
+                <SelectValue placeholder="Select a task" />
+              </SelectTrigger>
+              <SelectContent>
+                {tasks.map((task) => (
+                  <SelectItem key={task._id} value={task._id}>
+                    {task.title}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="timer-note">Note</Label>
+            <Input id="timer-note" value={note} onChange={(e) => setNote(e.target.value)} maxLength={500} />
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <Button type="submit" className="w-full" disabled={saving || !taskId}>
+            Start
+          </Button>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+}
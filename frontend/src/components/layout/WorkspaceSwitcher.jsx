@@ -0,0 +1,48 @@
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { workspaceService } from '../../services/apiService';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+export default function WorkspaceSwitcher() {
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery({
+    queryKey: ['workspaces'],
+    queryFn: workspaceService.getWorkspaces,
+  });
+
+  const workspaces = data?.workspaces || [];
+  const activeWorkspace = workspaces.find((workspace) => workspace.isActive);
+
+  const handleChange = async (workspaceId) => {
+    await workspaceService.switchWorkspace(workspaceId);
+    // Everything on screen belongs to the previous workspace
+    queryClient.invalidateQueries();
+  };
+
+  if (workspaces.length < 2) {
+    return activeWorkspace ? (
+      <span className="text-sm font-medium text-gray-700">{activeWorkspace.name}</span>
+    ) : null;
+  }
+
+  return (
+    <Select value={activeWorkspace?._id} onValueChange={handleChange}>
+      <SelectTrigger className="w-56">
+        <SelectValue placeholder="Select workspace" />
+      </SelectTrigger>
+      <SelectContent>
+        {workspaces.map((workspace) => (
+          <SelectItem key={workspace._id} value={workspace._id}>
+            {workspace.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
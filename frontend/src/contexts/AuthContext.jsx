@@ -1,5 +1,11 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import { authService } from '../services/authService';
+import {
+  authService,
+  refreshAccessToken,
+  startImpersonationToken,
+  endImpersonationToken,
+} from '../services/authService';
+import { adminService } from '../services/apiService';
 
 const AuthContext = createContext();
 
@@ -16,33 +22,41 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // Without an access token, try to resume the session from the refresh cookie
     const token = localStorage.getItem('token');
-    if (token) {
-      // Verify token and get user data
-      authService.getCurrentUser()
-        .then(userData => {
-          setUser(userData);
-        })
-        .catch(() => {
-          localStorage.removeItem('token');
-        })
-        .finally(() => {
-          setLoading(false);
-        });
-    } else {
-      setLoading(false);
-    }
+    const ensureToken = token ? Promise.resolve(token) : refreshAccessToken();
+
+    ensureToken
+      .then(() => authService.getCurrentUser())
+      .then(userData => {
+        setUser(userData);
+      })
+      .catch(() => {
+        localStorage.removeItem('token');
+      })
+      .finally(() => {
+        setLoading(false);
+      });
   }, []);
 
   const login = async (email, password) => {
-    try {
-      const response = await authService.login(email, password);
-      localStorage.setItem('token', response.token);
-      setUser(response.user);
+    const response = await authService.login(email, password);
+
+    // Accounts with 2FA get a challenge token instead of a session
+    if (response.twoFactorRequired) {
       return response;
-    } catch (error) {
-      throw error;
     }
+
+    localStorage.setItem('token', response.token);
+    setUser(response.user);
+    return response;
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    const response = await authService.verifyTwoFactorLogin(challengeToken, { code, recoveryCode });
+    localStorage.setItem('token', response.token);
+    setUser(response.user);
+    return response;
   };
 
   const register = async (name, email, password) => {
@@ -56,16 +70,56 @@ export function AuthProvider({ children }) {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setUser(null);
+  const logout = async () => {
+    try {
+      if (user?.impersonator) {
+        await adminService.stopImpersonation();
+      }
+      await authService.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      endImpersonationToken();
+      setUser(null);
+    }
+  };
+
+  // Reload the current user, e.g. after verifying the email address
+  const refreshUser = async () => {
+    const userData = await authService.getCurrentUser();
+    setUser(userData);
+    return userData;
+  };
+
+  // Act as another user. The administrator's own session stays in the refresh
+  // cookie, so dropping the impersonation token later resumes it.
+  const startImpersonation = async (userId, reason) => {
+    const response = await adminService.impersonate(userId, reason);
+    startImpersonationToken(response.token);
+    // Full reload so nothing cached for the administrator is shown
+    window.location.assign('/');
+  };
+
+  const stopImpersonation = async () => {
+    try {
+      await adminService.stopImpersonation();
+    } catch (error) {
+      console.error('Stop impersonation error:', error);
+    } finally {
+      endImpersonationToken();
+      window.location.assign('/admin');
+    }
   };
 
   const value = {
     user,
+    refreshUser,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    startImpersonation,
+    stopImpersonation,
     loading
   };
 
@@ -0,0 +1,24 @@
+import { useQuery } from '@tanstack/react-query';
+import { userService } from '../services/apiService';
+
+// Permissions of the current user in the active workspace, e.g.
+// const { can } = usePermissions(); can('invoices:send')
+export function usePermissions() {
+  const { data, isLoading } = useQuery({
+    queryKey: ['permissions'],
+    queryFn: userService.getPermissions,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const permissions = data?.permissions || [];
+
+  const can = (...required) => required.every((permission) => permissions.includes(permission));
+
+  return {
+    can,
+    role: data?.role,
+    isAdmin: Boolean(data?.isAdmin),
+    permissions,
+    isLoading,
+  };
+}
@@ -0,0 +1,59 @@
+// Human readable descriptions of activity events from /api/activity
+
+import { formatMoney } from './money';
+
+const ENTITY_NAMES = {
+  client: 'client',
+  project: 'project',
+  task: 'task',
+  invoice: 'invoice',
+};
+
+const formatStatus = (status) => (status ? status.replace(/-/g, ' ') : 'unknown');
+
+export function describeActivity(activity) {
+  const { type, entityType, data = {} } = activity;
+  const name = data.label ? `"${data.label}"` : `a ${ENTITY_NAMES[entityType] || 'record'}`;
+  const action = type.split('.')[1];
+
+  switch (type) {
+    case 'project.status_changed':
+    case 'task.status_changed':
+      return `Moved ${name} from ${formatStatus(data.from)} to ${formatStatus(data.to)}`;
+    case 'task.completed':
+    case 'project.completed':
+      return `Completed ${name}`;
+    case 'task.assigned':
+      return data.assigneeName ? `Assigned ${name} to ${data.assigneeName}` : `Reassigned ${name}`;
+    case 'task.commented':
+      return `Commented on ${name}`;
+    case 'invoice.sent':
+      return data.sentTo ? `Sent invoice ${data.label} to ${data.sentTo}` : `Sent invoice ${data.label}`;
+    case 'invoice.viewed':
+      return `Client viewed invoice ${data.label}`;
+    case 'invoice.payment_recorded':
+      return `Recorded a payment of ${formatMoney(data.amount, data.currency)} on invoice ${data.label}`;
+    case 'invoice.payment_refunded':
+      return `Refunded a payment of ${formatMoney(data.amount, data.currency)} on invoice ${data.label}`;
+    case 'invoice.payment_deleted':
+      return `Deleted a payment of ${formatMoney(data.amount, data.currency)} on invoice ${data.label}`;
+    case 'invoice.paid':
+      return `Invoice ${data.label} was paid`;
+    case 'invoice.credited':
+      return `Issued credit note ${data.creditNoteNumber} of ${formatMoney(data.amount, data.currency)} on invoice ${data.label}`;
+    case 'invoice.voided':
+      return `Voided invoice ${data.label}`;
+    case 'invoice.overdue':
+      return `Invoice ${data.label} is overdue`;
+    case 'invoice.reminder_sent':
+      return `Sent a payment reminder for invoice ${data.label} to ${data.sentTo}`;
+    default:
+      break;
+  }
+
+  if (action === 'updated' && data.fields?.length) {
+    return `Updated ${data.fields.join(', ')} on ${name}`;
+  }
+
+  return `${action.charAt(0).toUpperCase()}${action.slice(1)} ${ENTITY_NAMES[entityType] || 'record'} ${data.label || ''}`.trim();
+}
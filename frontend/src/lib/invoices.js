@@ -0,0 +1,9 @@
+// Labels for the payment methods of Invoice.paymentMethod and payments
+export const PAYMENT_METHOD_LABELS = {
+  'bank-transfer': 'Bank transfer',
+  paypal: 'PayPal',
+  stripe: 'Card (Stripe)',
+  check: 'Check',
+  cash: 'Cash',
+  other: 'Other',
+};
@@ -0,0 +1,9 @@
+// Format an amount in the invoice's currency, e.g. "$1,250.00"
+export function formatMoney(amount, currency = 'USD') {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch {
+    // Unknown currency codes still render, just without a symbol
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+}
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '../contexts/AuthContext';
+import { workspaceService } from '../services/apiService';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+export default function AcceptInvite() {
+  const { token } = useParams();
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [accepting, setAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  const { data, isLoading, error: loadError } = useQuery({
+    queryKey: ['workspace-invite', token],
+    queryFn: () => workspaceService.getInvite(token),
+    retry: false,
+  });
+
+  const invite = data?.invite;
+  const returnState = { from: `/invites/${token}` };
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    setError('');
+
+    try {
+      await workspaceService.acceptInvite(token);
+      queryClient.invalidateQueries();
+      navigate('/');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not accept the invitation');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Content Workflow Platform
+          </h2>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Workspace Invitation</CardTitle>
+            <CardDescription>
+              {invite
+                ? `${invite.invitedBy || 'Someone'} invited you to join ${invite.workspace} as ${invite.role}`
+                : 'Loading invitation...'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {(error || loadError) && (
+              <Alert variant="destructive">
+                <AlertDescription>
+                  {error || loadError.response?.data?.message || 'Invitation is invalid or has expired'}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            {!isLoading && invite && (
+              user ? (
+                <>
+                  {user.email !== invite.email && (
+                    <p className="text-sm text-gray-600">
+                      This invitation was sent to {invite.email}. Sign in with that account to accept it.
+                    </p>
+                  )}
+                  <Button
+                    className="w-full"
+                    onClick={handleAccept}
+                    disabled={accepting || user.email !== invite.email}
+                  >
+                    {accepting ? 'Joining...' : 'Accept Invitation'}
+                  </Button>
+                </>
+              ) : (
+                <div className="space-y-2 text-center text-sm text-gray-600">
+                  <p>Sign in or create an account with {invite.email} to accept.</p>
+                  <div className="flex justify-center gap-4">
+                    <Link
+                      to="/login"
+                      state={returnState}
+                      className="font-medium text-indigo-600 hover:text-indigo-500"
+                    >
+                      Sign in
+                    </Link>
+                    <Link
+                      to="/register"
+                      state={returnState}
+                      className="font-medium text-indigo-600 hover:text-indigo-500"
+                    >
+                      Sign up
+                    </Link>
+                  </div>
+                </div>
+              )
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,305 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { EllipsisHorizontalIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { adminService } from '../services/apiService';
+import { useAuth } from '../contexts/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+
+const ACTION_LABELS = {
+  'admin.user.role_changed': 'Changed role',
+  'admin.user.activated': 'Activated account',
+  'admin.user.deactivated': 'Deactivated account',
+  'admin.user.password_reset_forced': 'Forced password reset',
+  'admin.user.impersonation_started': 'Started impersonation',
+  'admin.user.impersonation_stopped': 'Stopped impersonation',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+function UserActions({ user, onAction, onImpersonate }) {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm">
+          <EllipsisHorizontalIcon className="h-5 w-5" />
+          <span className="sr-only">Actions for {user.name}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem
+          onClick={() => onAction(() => adminService.updateRole(user._id, user.role === 'admin' ? 'user' : 'admin'))}
+        >
+          {user.role === 'admin' ? 'Remove admin role' : 'Make admin'}
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          onClick={() => onAction(() => adminService.updateStatus(user._id, !user.isActive))}
+        >
+          {user.isActive ? 'Deactivate' : 'Activate'}
+        </DropdownMenuItem>
+        <DropdownMenuItem
+          onClick={() => {
+            if (window.confirm(`Sign ${user.name} out and require a new password?`)) {
+              onAction(() => adminService.forcePasswordReset(user._id));
+            }
+          }}
+        >
+          Force password reset
+        </DropdownMenuItem>
+        {user.role !== 'admin' && user.isActive && (
+          <>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onClick={() => onImpersonate(user)}>
+              Impersonate
+            </DropdownMenuItem>
+          </>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
+export default function Admin() {
+  const queryClient = useQueryClient();
+  const { user: currentUser, startImpersonation } = useAuth();
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('all');
+  const [status, setStatus] = useState('all');
+  const [page, setPage] = useState(1);
+  const [message, setMessage] = useState(null);
+
+  const params = {
+    page,
+    limit: 20,
+    ...(search && { search }),
+    ...(role !== 'all' && { role }),
+    ...(status !== 'all' && { status }),
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin', 'users', params],
+    queryFn: () => adminService.getUsers(params),
+  });
+
+  const { data: auditData } = useQuery({
+    queryKey: ['admin', 'audit-log'],
+    queryFn: () => adminService.getAuditLog({ limit: 10 }),
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => action(),
+    onSuccess: (response) => {
+      setMessage({ type: 'success', text: response.message });
+      queryClient.invalidateQueries({ queryKey: ['admin'] });
+    },
+    onError: (err) => {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Action failed' });
+    },
+  });
+
+  const handleImpersonate = async (user) => {
+    const reason = window.prompt(`Why are you signing in as ${user.name}? This is recorded in the audit log.`);
+    if (reason === null) return;
+
+    try {
+      await startImpersonation(user._id, reason);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Could not impersonate user' });
+    }
+  };
+
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const users = data?.users || [];
+  const pagination = data?.pagination;
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Admin</h1>
+        <p className="text-gray-600">Manage user accounts across the platform</p>
+      </div>
+
+      {message && (
+        <Alert variant={message.type === 'error' ? 'destructive' : 'default'}>
+          <AlertDescription>{message.text}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Users</CardTitle>
+          <CardDescription>
+            {pagination ? `${pagination.total} users` : 'Loading users...'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-wrap gap-3">
+            <div className="relative flex-1 min-w-56">
+              <MagnifyingGlassIcon className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+              <Input
+                value={search}
+                onChange={(e) => updateFilter(setSearch)(e.target.value)}
+                placeholder="Search by name, email or company"
+                className="pl-9"
+              />
+            </div>
+            <Select value={role} onValueChange={updateFilter(setRole)}>
+              <SelectTrigger className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All roles</SelectItem>
+                <SelectItem value="user">Users</SelectItem>
+                <SelectItem value="admin">Admins</SelectItem>
+              </SelectContent>
+            </Select>
+            <Select value={status} onValueChange={updateFilter(setStatus)}>
+              <SelectTrigger className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All statuses</SelectItem>
+                <SelectItem value="active">Active</SelectItem>
+                <SelectItem value="inactive">Deactivated</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Role</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Last login</TableHead>
+                <TableHead className="w-12" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-gray-500">Loading...</TableCell>
+                </TableRow>
+              )}
+              {!isLoading && users.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={5} className="text-center text-gray-500">No users found</TableCell>
+                </TableRow>
+              )}
+              {users.map((user) => (
+                <TableRow key={user._id}>
+                  <TableCell>
+                    <div className="font-medium text-gray-900">{user.name}</div>
+                    <div className="text-gray-500">{user.email}</div>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={user.role === 'admin' ? 'default' : 'secondary'}>{user.role}</Badge>
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      <Badge variant={user.isActive ? 'outline' : 'destructive'}>
+                        {user.isActive ? 'Active' : 'Deactivated'}
+                      </Badge>
+                      {user.passwordResetRequired && <Badge variant="outline">Reset required</Badge>}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-gray-500">{formatDate(user.lastLogin)}</TableCell>
+                  <TableCell>
+                    {user._id !== currentUser?.id && user._id !== currentUser?._id && (
+                      <UserActions
+                        user={user}
+                        onAction={actionMutation.mutate}
+                        onImpersonate={handleImpersonate}
+                      />
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-500">
+                Page {pagination.page} of {pagination.pages}
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={page >= pagination.pages}
+                  onClick={() => setPage(page + 1)}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Recent admin activity</CardTitle>
+          <CardDescription>Every admin action is recorded</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-3">
+            {auditData?.entries?.length ? (
+              auditData.entries.map((entry) => (
+                <div key={entry._id} className="flex items-center justify-between text-sm">
+                  <div>
+                    <span className="font-medium text-gray-900">{entry.actor?.name || 'Unknown'}</span>
+                    {entry.impersonatedBy && (
+                      <span className="text-gray-500"> (via {entry.impersonatedBy.name})</span>
+                    )}
+                    <span className="text-gray-600"> · {ACTION_LABELS[entry.action] || entry.action}</span>
+                    {entry.target && <span className="text-gray-900"> · {entry.target.name}</span>}
+                    {entry.metadata?.reason && (
+                      <span className="text-gray-500"> · “{entry.metadata.reason}”</span>
+                    )}
+                  </div>
+                  <span className="text-gray-500">{formatDate(entry.createdAt)}</span>
+                </div>
+              ))
+            ) : (
+              <p className="text-sm text-gray-500">No admin activity yet</p>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import { useQuery } from '@tanstack/react-query';
 import { dashboardService } from '../services/apiService';
+import { describeActivity } from '../lib/activity';
+import { formatMoney } from '../lib/money';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { 
   FolderIcon, 
@@ -30,20 +32,22 @@ const StatCard = ({ title, value, description, icon: Icon, trend }) => (
 );
 
 const ActivityItem = ({ activity }) => {
-  const getIcon = (type) => {
-    switch (type) {
+  const getIcon = (entityType) => {
+    switch (entityType) {
       case 'project':
         return FolderIcon;
       case 'task':
         return CheckCircleIcon;
       case 'invoice':
         return DocumentTextIcon;
+      case 'client':
+        return UsersIcon;
       default:
         return ClockIcon;
     }
   };
 
-  const Icon = getIcon(activity.type);
+  const Icon = getIcon(activity.entityType);
 
   return (
     <div className="flex items-center space-x-4">
@@ -52,16 +56,14 @@ const ActivityItem = ({ activity }) => {
       </div>
       <div className="flex-1 min-w-0">
         <p className="text-sm font-medium text-gray-900 truncate">
-          {activity.title}
+          {describeActivity(activity)}
         </p>
         <p className="text-sm text-gray-500">
-          {activity.type === 'project' && activity.client?.name}
-          {activity.type === 'task' && activity.project?.title}
-          {activity.type === 'invoice' && activity.client?.name}
+          {activity.actor?.name || 'System'}
         </p>
       </div>
       <div className="flex-shrink-0 text-sm text-gray-500">
-        {new Date(activity.updatedAt).toLocaleDateString()}
+        {new Date(activity.createdAt).toLocaleDateString()}
       </div>
     </div>
   );
@@ -143,6 +145,8 @@ export default function Dashboard() {
     );
   }
 
+  const invoices = overview?.invoices;
+
   return (
     <div className="space-y-6">
       <div>
@@ -172,12 +176,44 @@ export default function Dashboard() {
         />
         <StatCard
           title="Pending Revenue"
-          value={`$${(overview?.invoices?.pendingAmount || 0).toLocaleString()}`}
+          value={formatMoney(overview?.invoices?.pendingAmount, overview?.invoices?.currency)}
           description={`${overview?.invoices?.pendingInvoices || 0} pending invoices`}
           icon={DocumentTextIcon}
         />
       </div>
 
+      {/* Revenue in each currency invoiced, converted to the base currency */}
+      {(invoices?.revenueByCurrency?.length > 1 || invoices?.missingRates?.length > 0) && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Revenue by currency</CardTitle>
+            <CardDescription>
+              {formatMoney(invoices.totalRevenue, invoices.currency)} received in total
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <ul className="divide-y text-sm">
+              {invoices.revenueByCurrency.map((bucket) => (
+                <li key={bucket.currency} className="flex justify-between py-2">
+                  <span>{formatMoney(bucket.amount, bucket.currency)}</span>
+                  <span className="text-gray-500">
+                    {bucket.converted === null
+                      ? 'No exchange rate'
+                      : formatMoney(bucket.converted, invoices.currency)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            {invoices.missingRates.length > 0 && (
+              <p className="text-sm text-amber-700">
+                Totals leave out {invoices.missingRates.join(', ')} until an exchange rate
+                to {invoices.currency} is entered.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Overdue Items Alert */}
       {(overview?.overdue?.projects > 0 || overview?.overdue?.tasks > 0) && (
         <Card className="border-red-200 bg-red-50">
@@ -215,8 +251,8 @@ export default function Dashboard() {
             ) : (
               <div className="space-y-4">
                 {recentActivity?.activities?.length > 0 ? (
-                  recentActivity.activities.map((activity, index) => (
-                    <ActivityItem key={index} activity={activity} />
+                  recentActivity.activities.map((activity) => (
+                    <ActivityItem key={activity._id} activity={activity} />
                   ))
                 ) : (
                   <p className="text-sm text-gray-500">No recent activity</p>
@@ -1,15 +1,471 @@
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { EllipsisHorizontalIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { invoiceService } from '../services/apiService';
+import { usePermissions } from '../hooks/use-permissions';
+import { downloadBlob } from '../lib/download';
+import { formatMoney } from '../lib/money';
+import SendInvoiceDialog from '../components/invoices/SendInvoiceDialog';
+import PaymentsDialog from '../components/invoices/PaymentsDialog';
+import ReminderSettingsDialog from '../components/invoices/ReminderSettingsDialog';
+import InvoiceNumberingDialog from '../components/invoices/InvoiceNumberingDialog';
+import CreditNoteDialog from '../components/invoices/CreditNoteDialog';
+import ExchangeRatesDialog from '../components/invoices/ExchangeRatesDialog';
+import TaxProfilesDialog from '../components/invoices/TaxProfilesDialog';
+import InvoiceFromTimeDialog from '../components/invoices/InvoiceFromTimeDialog';
+import { Card, CardContent } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+
+const STATUSES = ['draft', 'sent', 'viewed', 'partially-paid', 'paid', 'overdue', 'cancelled', 'void'];
+
+const STATUS_VARIANTS = {
+  paid: 'default',
+  overdue: 'destructive',
+  cancelled: 'outline',
+  void: 'outline',
+};
+
+function InvoiceActions({ invoice, can, onDownload, onSend, onShare, onPayments, onCredits, onAction }) {
+  const isVoid = invoice.status === 'void';
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="ghost" size="sm">
+          <EllipsisHorizontalIcon className="h-5 w-5" />
+          <span className="sr-only">Actions for {invoice.invoiceNumber}</span>
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem onClick={() => onDownload(invoice)}>
+          Download PDF
+        </DropdownMenuItem>
+        {can('invoices:send') && !['paid', 'void'].includes(invoice.status) && (
+          <DropdownMenuItem onClick={() => onSend(invoice)}>
+            Send to client
+          </DropdownMenuItem>
+        )}
+        {can('invoices:send') && (
+          <DropdownMenuItem onClick={() => onShare(invoice)}>
+            Copy share link
+          </DropdownMenuItem>
+        )}
+        {can('invoices:send') && invoice.sharedAt && (
+          <DropdownMenuItem onClick={() => onAction(() => invoiceService.revokeShare(invoice._id))}>
+            Revoke share link
+          </DropdownMenuItem>
+        )}
+        <DropdownMenuItem onClick={() => onPayments(invoice)}>
+          Payments
+        </DropdownMenuItem>
+        {can('invoices:mark-paid') && !['paid', 'cancelled', 'void'].includes(invoice.status) && (
+          <DropdownMenuItem onClick={() => onAction(() => invoiceService.markPaid(invoice._id))}>
+            Mark as paid
+          </DropdownMenuItem>
+        )}
+        {invoice.status !== 'draft' && (
+          <DropdownMenuItem onClick={() => onCredits(invoice)}>
+            Credit notes
+          </DropdownMenuItem>
+        )}
+        {can('invoices:void') && !isVoid && (
+          <DropdownMenuItem
+            onClick={() => {
+              const reason = window.prompt(`Void invoice ${invoice.invoiceNumber}? It stays on record but no longer counts. Reason (optional):`);
+              if (reason !== null) {
+                onAction(() => invoiceService.voidInvoice(invoice._id, reason || undefined));
+              }
+            }}
+          >
+            Void
+          </DropdownMenuItem>
+        )}
+        {can('invoices:delete') && invoice.status !== 'paid' && !isVoid && !(invoice.creditedAmount > 0) && (
+          <>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem
+              className="text-red-600"
+              onClick={() => {
+                if (window.confirm(`Delete invoice ${invoice.invoiceNumber}?`)) {
+                  onAction(() => invoiceService.deleteInvoice(invoice._id));
+                }
+              }}
+            >
+              Delete
+            </DropdownMenuItem>
+          </>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
+
 export default function Invoices() {
+  const queryClient = useQueryClient();
+  const { can } = usePermissions();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [page, setPage] = useState(1);
+  const [message, setMessage] = useState(null);
+  const [sendingInvoice, setSendingInvoice] = useState(null);
+  const [paymentsInvoice, setPaymentsInvoice] = useState(null);
+  const [showReminders, setShowReminders] = useState(false);
+  const [showNumbering, setShowNumbering] = useState(false);
+  const [creditsInvoice, setCreditsInvoice] = useState(null);
+  const [showRates, setShowRates] = useState(false);
+  const [showTaxes, setShowTaxes] = useState(false);
+  const [showFromTime, setShowFromTime] = useState(false);
+
+  const params = {
+    page,
+    limit: 20,
+    ...(search && { search }),
+    ...(status !== 'all' && { status }),
+  };
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['invoices', params],
+    queryFn: () => invoiceService.getInvoices(params),
+  });
+
+  const { data: upcomingData } = useQuery({
+    queryKey: ['invoices', 'recurring-upcoming'],
+    queryFn: () => invoiceService.getUpcomingRecurring({ days: 30 }),
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => action(),
+    onSuccess: (response) => {
+      setMessage({ type: 'success', text: response.message });
+      queryClient.invalidateQueries({ queryKey: ['invoices'] });
+    },
+    onError: (err) => {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Action failed' });
+    },
+  });
+
+  const handleDownload = async (invoice) => {
+    try {
+      const pdf = await invoiceService.downloadPdf(invoice._id);
+      downloadBlob(pdf, `${invoice.invoiceNumber}.pdf`);
+    } catch {
+      setMessage({ type: 'error', text: `Could not download ${invoice.invoiceNumber}` });
+    }
+  };
+
+  const handleShare = async (invoice) => {
+    try {
+      const { shareUrl } = await invoiceService.shareInvoice(invoice._id);
+      await navigator.clipboard.writeText(shareUrl);
+      setMessage({ type: 'success', text: `Share link for ${invoice.invoiceNumber} copied to clipboard` });
+      queryClient.invalidateQueries({ queryKey: ['invoices'] });
+    } catch {
+      setMessage({ type: 'error', text: `Could not create a share link for ${invoice.invoiceNumber}` });
+    }
+  };
+
+  const invoices = data?.invoices || [];
+  const pagination = data?.pagination;
+
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Invoices</h1>
-        <p className="text-gray-600">Create and manage invoices for your clients</p>
-      </div>
-      
-      <div className="bg-white shadow rounded-lg p-6">
-        <p className="text-gray-500">Invoice management interface coming soon...</p>
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Invoices</h1>
+          <p className="text-gray-600">Create and manage invoices for your clients</p>
+        </div>
+        <div className="flex gap-2">
+          {can('invoices:create') && (
+            <Button variant="outline" onClick={() => setShowFromTime(true)}>
+              Invoice time
+            </Button>
+          )}
+          <Button variant="outline" onClick={() => setShowTaxes(true)}>
+            Taxes
+          </Button>
+          <Button variant="outline" onClick={() => setShowRates(true)}>
+            Exchange rates
+          </Button>
+          {can('workspace:update') && (
+            <>
+              <Button variant="outline" onClick={() => setShowNumbering(true)}>
+                Numbering
+              </Button>
+              <Button variant="outline" onClick={() => setShowReminders(true)}>
+                Payment reminders
+              </Button>
+            </>
+          )}
+        </div>
       </div>
+
+      {message && (
+        <Alert variant={message.type === 'error' ? 'destructive' : 'default'}>
+          <AlertDescription>{message.text}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardContent className="space-y-4 pt-6">
+          <div className="flex flex-wrap gap-3">
+            <div className="relative flex-1 min-w-56">
+              <MagnifyingGlassIcon className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+              <Input
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(1);
+                }}
+                placeholder="Search by invoice number or notes"
+                className="pl-9"
+              />
+            </div>
+            <Select
+              value={status}
+              onValueChange={(value) => {
+                setStatus(value);
+                setPage(1);
+              }}
+            >
+              <SelectTrigger className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All statuses</SelectItem>
+                {STATUSES.map((value) => (
+                  <SelectItem key={value} value={value} className="capitalize">
+                    {value.replace('-', ' ')}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Invoice</TableHead>
+                <TableHead>Client</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Due date</TableHead>
+                <TableHead className="text-right">Total</TableHead>
+                <TableHead className="w-12" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {isLoading && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-gray-500">Loading...</TableCell>
+                </TableRow>
+              )}
+              {!isLoading && invoices.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} className="text-center text-gray-500">No invoices found</TableCell>
+                </TableRow>
+              )}
+              {invoices.map((invoice) => (
+                <TableRow key={invoice._id}>
+                  <TableCell>
+                    <div className="font-medium text-gray-900">{invoice.invoiceNumber}</div>
+                    {invoice.project?.title && (
+                      <div className="text-gray-500">{invoice.project.title}</div>
+                    )}
+                  </TableCell>
+                  <TableCell>{invoice.client?.company || invoice.client?.name}</TableCell>
+                  <TableCell>
+                    <Badge variant={STATUS_VARIANTS[invoice.status] || 'secondary'} className="capitalize">
+                      {invoice.status.replace('-', ' ')}
+                    </Badge>
+                    {invoice.lastViewedAt && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        Viewed {invoice.viewCount}x, last {new Date(invoice.lastViewedAt).toLocaleDateString()}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-gray-500">
+                    {new Date(invoice.dueDate).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell className="text-right font-medium">
+                    {formatMoney(invoice.total, invoice.currency)}
+                    {invoice.status === 'partially-paid' && (
+                      <div className="text-xs font-normal text-gray-500">
+                        {formatMoney(invoice.balanceDue, invoice.currency)} due
+                      </div>
+                    )}
+                    {invoice.creditedAmount > 0 && (
+                      <div className="text-xs font-normal text-gray-500">
+                        {formatMoney(invoice.creditedAmount, invoice.currency)} credited
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <InvoiceActions
+                      invoice={invoice}
+                      can={can}
+                      onDownload={handleDownload}
+                      onSend={setSendingInvoice}
+                      onShare={handleShare}
+                      onPayments={setPaymentsInvoice}
+                      onCredits={setCreditsInvoice}
+                      onAction={actionMutation.mutate}
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-between">
+              <p className="text-sm text-gray-500">
+                Page {pagination.page} of {pagination.pages}
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={page >= pagination.pages}
+                  onClick={() => setPage(page + 1)}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {upcomingData?.upcoming.length > 0 && (
+        <Card>
+          <CardContent className="pt-6">
+            <h2 className="text-lg font-semibold text-gray-900">Upcoming recurring invoices</h2>
+            <p className="text-sm text-gray-500 mb-4">Generated automatically over the next 30 days</p>
+            <ul className="divide-y">
+              {upcomingData.upcoming.map((upcoming) => (
+                <li
+                  key={`${upcoming.recurringSource._id}-${upcoming.issueDate}`}
+                  className="flex items-center justify-between py-2 text-sm"
+                >
+                  <div>
+                    <span className="font-medium text-gray-900">
+                      {upcoming.client?.company || upcoming.client?.name}
+                    </span>
+                    <span className="text-gray-500"> · from {upcoming.recurringSource.invoiceNumber}</span>
+                    {upcoming.autoSend && <Badge variant="outline" className="ml-2">Auto-send</Badge>}
+                  </div>
+                  <div className="text-right">
+                    <div className="font-medium">{formatMoney(upcoming.total, upcoming.currency)}</div>
+                    <div className="text-gray-500">{new Date(upcoming.issueDate).toLocaleDateString()}</div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
+      <SendInvoiceDialog
+        invoice={sendingInvoice}
+        onClose={() => setSendingInvoice(null)}
+        onSent={(response) => {
+          setSendingInvoice(null);
+          setMessage({ type: 'success', text: response.message });
+          queryClient.invalidateQueries({ queryKey: ['invoices'] });
+        }}
+      />
+
+      <PaymentsDialog
+        invoice={paymentsInvoice}
+        canManage={can('invoices:mark-paid')}
+        onClose={() => setPaymentsInvoice(null)}
+        onChange={(invoice, text) => {
+          setPaymentsInvoice(invoice);
+          setMessage({ type: 'success', text });
+          queryClient.invalidateQueries({ queryKey: ['invoices'] });
+        }}
+      />
+
+      <ReminderSettingsDialog
+        open={showReminders}
+        onClose={() => setShowReminders(false)}
+        onSaved={(text) => {
+          setShowReminders(false);
+          setMessage({ type: 'success', text });
+        }}
+      />
+
+      <CreditNoteDialog
+        invoice={creditsInvoice}
+        canCredit={can('invoices:credit')}
+        onClose={() => setCreditsInvoice(null)}
+        onIssued={(invoice, text) => {
+          setCreditsInvoice(invoice);
+          setMessage({ type: 'success', text });
+          queryClient.invalidateQueries({ queryKey: ['invoices'] });
+        }}
+      />
+
+      <InvoiceFromTimeDialog
+        open={showFromTime}
+        onClose={() => setShowFromTime(false)}
+        onCreated={(response) => {
+          setShowFromTime(false);
+          setMessage({ type: 'success', text: `${response.message}: ${response.invoice.invoiceNumber}` });
+          queryClient.invalidateQueries({ queryKey: ['invoices'] });
+          queryClient.invalidateQueries({ queryKey: ['time-entries'] });
+        }}
+      />
+
+      <TaxProfilesDialog
+        open={showTaxes}
+        canManage={can('workspace:update')}
+        onClose={() => setShowTaxes(false)}
+        onChange={(text) => setMessage({ type: 'success', text })}
+      />
+
+      <ExchangeRatesDialog
+        open={showRates}
+        canManage={can('workspace:update')}
+        onClose={() => setShowRates(false)}
+        onChange={(text) => setMessage({ type: 'success', text })}
+      />
+
+      <InvoiceNumberingDialog
+        open={showNumbering}
+        onClose={() => setShowNumbering(false)}
+        onSaved={(text) => {
+          setShowNumbering(false);
+          setMessage({ type: 'success', text });
+        }}
+      />
     </div>
   );
 }
-
@@ -1,19 +1,27 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
 
 export default function Login() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const { login } = useAuth();
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const notice = location.state?.message;
+  const redirectTo = location.state?.from || '/';
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -21,8 +29,12 @@ export default function Login() {
     setError('');
 
     try {
-      await login(email, password);
-      navigate('/');
+      const response = await login(email, password);
+      if (response.twoFactorRequired) {
+        setChallengeToken(response.challengeToken);
+        return;
+      }
+      navigate(redirectTo);
     } catch (err) {
       setError(err.response?.data?.message || 'Login failed');
     } finally {
@@ -30,6 +42,130 @@ export default function Login() {
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await completeTwoFactorLogin(
+        challengeToken,
+        useRecovery ? { recoveryCode } : { code }
+      );
+      navigate(redirectTo);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetTwoFactor = () => {
+    setChallengeToken('');
+    setCode('');
+    setRecoveryCode('');
+    setUseRecovery(false);
+    setPassword('');
+    setError('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Content Workflow Platform
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Two-factor authentication
+            </p>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Verify It's You</CardTitle>
+              <CardDescription>
+                {useRecovery
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+                {error && (
+                  <Alert variant="destructive">
+                    <AlertDescription>{error}</AlertDescription>
+                  </Alert>
+                )}
+
+                {useRecovery ? (
+                  <div className="space-y-2">
+                    <Label htmlFor="recoveryCode">Recovery Code</Label>
+                    <Input
+                      id="recoveryCode"
+                      type="text"
+                      value={recoveryCode}
+                      onChange={(e) => setRecoveryCode(e.target.value)}
+                      required
+                      autoComplete="off"
+                      placeholder="xxxxx-xxxxx"
+                    />
+                  </div>
+                ) : (
+                  <div className="flex justify-center">
+                    <InputOTP
+                      maxLength={6}
+                      value={code}
+                      onChange={setCode}
+                      autoFocus
+                      inputMode="numeric"
+                      pattern="^[0-9]*$"
+                    >
+                      <InputOTPGroup>
+                        {[...Array(6)].map((_, index) => (
+                          <InputOTPSlot key={index} index={index} />
+                        ))}
+                      </InputOTPGroup>
+                    </InputOTP>
+                  </div>
+                )}
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={loading || (!useRecovery && code.length < 6)}
+                >
+                  {loading ? 'Verifying...' : 'Verify'}
+                </Button>
+              </form>
+
+              <div className="mt-4 flex items-center justify-between text-sm">
+                <button
+                  type="button"
+                  className="font-medium text-indigo-600 hover:text-indigo-500"
+                  onClick={() => {
+                    setUseRecovery(!useRecovery);
+                    setError('');
+                  }}
+                >
+                  {useRecovery ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  className="font-medium text-gray-600 hover:text-gray-500"
+                  onClick={resetTwoFactor}
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -56,6 +192,12 @@ export default function Login() {
                   <AlertDescription>{error}</AlertDescription>
                 </Alert>
               )}
+
+              {notice && !error && (
+                <Alert>
+                  <AlertDescription>{notice}</AlertDescription>
+                </Alert>
+              )}
               
               <div className="space-y-2">
                 <Label htmlFor="email">Email</Label>
@@ -70,7 +212,15 @@ export default function Login() {
               </div>
               
               <div className="space-y-2">
-                <Label htmlFor="password">Password</Label>
+                <div className="flex items-center justify-between">
+                  <Label htmlFor="password">Password</Label>
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+                  >
+                    Forgot your password?
+                  </Link>
+                </div>
                 <Input
                   id="password"
                   type="password"
@@ -95,6 +245,7 @@ export default function Login() {
                 Don't have an account?{' '}
                 <Link
                   to="/register"
+                  state={location.state?.from ? { from: location.state.from } : undefined}
                   className="font-medium text-indigo-600 hover:text-indigo-500"
                 >
                   Sign up
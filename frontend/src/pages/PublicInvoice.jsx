@@ -0,0 +1,259 @@
+import { useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import { publicService } from '../services/apiService';
+import { downloadBlob } from '../lib/download';
+import { formatMoney } from '../lib/money';
+import { PAYMENT_METHOD_LABELS } from '../lib/invoices';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '');
+
+function Party({ title, party }) {
+  return (
+    <div>
+      <p className="text-xs font-semibold uppercase text-gray-500">{title}</p>
+      <p className="mt-1 font-medium text-gray-900">{party.company || party.name}</p>
+      {[
+        party.company ? party.name : null,
+        party.email,
+        party.phone,
+        party.website,
+        party.address,
+        party.taxNumber ? `Tax no. ${party.taxNumber}` : null,
+      ]
+        .filter(Boolean)
+        .map((line) => (
+          <p key={line} className="text-sm text-gray-600">{line}</p>
+        ))}
+    </div>
+  );
+}
+
+export default function PublicInvoice() {
+  const { token } = useParams();
+  const [downloadError, setDownloadError] = useState('');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['public-invoice', token],
+    queryFn: () => publicService.getInvoice(token),
+    retry: false,
+  });
+
+  const invoice = data?.invoice;
+
+  const handleDownload = async () => {
+    setDownloadError('');
+    try {
+      const pdf = await publicService.downloadInvoicePdf(token);
+      downloadBlob(pdf, `${invoice.invoiceNumber}.pdf`);
+    } catch {
+      setDownloadError('Could not download the PDF, please try again');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-32 w-32 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (error || !invoice) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 px-4">
+        <Alert variant="destructive" className="max-w-md">
+          <AlertDescription>
+            This invoice link is invalid or has been revoked. Please contact the sender for a new link.
+          </AlertDescription>
+        </Alert>
+      </div>
+    );
+  }
+
+  // Reverse-charge and other tax notes
+  const taxNotes = [...new Set((invoice.taxSummary || []).map((tax) => tax.note).filter(Boolean))];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-10 px-4 sm:px-6 lg:px-8">
+      <div className="mx-auto max-w-3xl space-y-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Invoice {invoice.invoiceNumber}</h1>
+            {invoice.project?.title && <p className="text-gray-600">{invoice.project.title}</p>}
+          </div>
+          <Button variant="outline" onClick={handleDownload}>
+            <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+            Download PDF
+          </Button>
+        </div>
+
+        {downloadError && (
+          <Alert variant="destructive">
+            <AlertDescription>{downloadError}</AlertDescription>
+          </Alert>
+        )}
+
+        <Card>
+          <CardContent className="space-y-8 pt-6">
+            <div className="flex flex-wrap justify-between gap-6">
+              <Party title="From" party={invoice.from} />
+              <Party title="Bill to" party={invoice.billTo} />
+              <div className="space-y-1 text-sm">
+                <p>
+                  <span className="text-gray-500">Issued </span>
+                  {formatDate(invoice.issueDate)}
+                </p>
+                <p>
+                  <span className="text-gray-500">Due </span>
+                  {formatDate(invoice.dueDate)}
+                </p>
+                {invoice.status === 'paid' && <Badge>Paid {formatDate(invoice.paidDate)}</Badge>}
+                {invoice.status === 'partially-paid' && <Badge variant="secondary">Partially paid</Badge>}
+                {invoice.status === 'overdue' && <Badge variant="destructive">Overdue</Badge>}
+                {invoice.status === 'void' && <Badge variant="outline">Void</Badge>}
+              </div>
+            </div>
+
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Description</TableHead>
+                  <TableHead className="text-right">Qty</TableHead>
+                  <TableHead className="text-right">Rate</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {invoice.items.map((item, index) => (
+                  <TableRow key={index}>
+                    <TableCell className="whitespace-normal">
+                      {item.description}
+                      {item.taxes?.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          {item.taxes.map((tax) => `${tax.name} ${tax.rate}%`).join(', ')}
+                        </p>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">{item.quantity}</TableCell>
+                    <TableCell className="text-right">{formatMoney(item.rate, invoice.currency)}</TableCell>
+                    <TableCell className="text-right">{formatMoney(item.amount, invoice.currency)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div className="ml-auto max-w-xs space-y-1 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-500">Subtotal</span>
+                <span>{formatMoney(invoice.subtotal, invoice.currency)}</span>
+              </div>
+              {invoice.discountAmount > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Discount ({invoice.discountRate}%)</span>
+                  <span>-{formatMoney(invoice.discountAmount, invoice.currency)}</span>
+                </div>
+              )}
+              {invoice.taxSummary?.length > 0 ? (
+                // Withholding last, as it comes off what is paid
+                [...invoice.taxSummary]
+                  .sort((a, b) => (a.type === 'withholding') - (b.type === 'withholding'))
+                  .map((tax) => (
+                    <div key={`${tax.name}-${tax.rate}`} className="flex justify-between">
+                      <span className="text-gray-500">
+                        {tax.name} ({tax.rate}%){tax.inclusive && ' included'}
+                      </span>
+                      <span>
+                        {tax.reverseCharge && 'Reverse charge'}
+                        {!tax.reverseCharge && tax.type === 'withholding' && '-'}
+                        {!tax.reverseCharge && formatMoney(tax.amount, invoice.currency)}
+                      </span>
+                    </div>
+                  ))
+              ) : invoice.taxAmount > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-500">Tax ({invoice.taxRate}%)</span>
+                  <span>{formatMoney(invoice.taxAmount, invoice.currency)}</span>
+                </div>
+              )}
+              {invoice.amountPaid > 0 || invoice.creditedAmount > 0 ? (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-gray-500">Total</span>
+                    <span>{formatMoney(invoice.total, invoice.currency)}</span>
+                  </div>
+                  {invoice.creditedAmount > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-500">Credited</span>
+                      <span>-{formatMoney(invoice.creditedAmount, invoice.currency)}</span>
+                    </div>
+                  )}
+                  {invoice.amountPaid > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-500">Amount paid</span>
+                      <span>-{formatMoney(invoice.amountPaid, invoice.currency)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between border-t pt-2 text-base font-semibold">
+                    <span>Balance due</span>
+                    <span>{formatMoney(invoice.balanceDue, invoice.currency)}</span>
+                  </div>
+                </>
+              ) : (
+                <div className="flex justify-between border-t pt-2 text-base font-semibold">
+                  <span>Total due</span>
+                  <span>{formatMoney(invoice.total, invoice.currency)}</span>
+                </div>
+              )}
+            </div>
+
+            <div className="space-y-4 text-sm">
+              {taxNotes.length > 0 && (
+                <div>
+                  <p className="text-xs font-semibold uppercase text-gray-500">Tax</p>
+                  {taxNotes.map((note) => (
+                    <p key={note} className="mt-1 text-gray-600">{note}</p>
+                  ))}
+                </div>
+              )}
+              <div>
+                <p className="text-xs font-semibold uppercase text-gray-500">Payment instructions</p>
+                <p className="mt-1 text-gray-900">
+                  {PAYMENT_METHOD_LABELS[invoice.paymentMethod] || invoice.paymentMethod}
+                </p>
+                {invoice.paymentDetails && (
+                  <p className="whitespace-pre-line text-gray-600">{invoice.paymentDetails}</p>
+                )}
+              </div>
+              {invoice.notes && (
+                <div>
+                  <p className="text-xs font-semibold uppercase text-gray-500">Notes</p>
+                  <p className="mt-1 whitespace-pre-line text-gray-600">{invoice.notes}</p>
+                </div>
+              )}
+              {invoice.terms && (
+                <div>
+                  <p className="text-xs font-semibold uppercase text-gray-500">Terms</p>
+                  <p className="mt-1 whitespace-pre-line text-gray-600">{invoice.terms}</p>
+                </div>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
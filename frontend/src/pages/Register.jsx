@@ -1,5 +1,5 @@
 import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -16,6 +16,7 @@ export default function Register() {
   const [error, setError] = useState('');
   const { register } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -30,7 +31,7 @@ export default function Register() {
 
     try {
       await register(name, email, password);
-      navigate('/');
+      navigate(location.state?.from || '/');
     } catch (err) {
       setError(err.response?.data?.message || 'Registration failed');
     } finally {
@@ -127,6 +128,7 @@ export default function Register() {
                 Already have an account?{' '}
                 <Link
                   to="/login"
+                  state={location.state?.from ? { from: location.state.from } : undefined}
                   className="font-medium text-indigo-600 hover:text-indigo-500"
                 >
                   Sign in
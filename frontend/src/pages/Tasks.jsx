@@ -1,15 +1,278 @@
-export default function Tasks() {
+import { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { ArrowPathIcon, LockClosedIcon } from '@heroicons/react/24/outline';
+import { taskService } from '../services/apiService';
+import { usePermissions } from '../hooks/use-permissions';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+const BOARD_QUERY_KEY = ['tasks', 'board'];
+
+const COLUMNS = [
+  { status: 'todo', label: 'To do' },
+  { status: 'in-progress', label: 'In progress' },
+  { status: 'review', label: 'Review' },
+  { status: 'completed', label: 'Completed' },
+];
+
+const SWIMLANES = [
+  { value: 'none', label: 'No swimlanes' },
+  { value: 'project', label: 'By project' },
+  { value: 'assignee', label: 'By assignee' },
+];
+
+const PRIORITY_VARIANTS = {
+  urgent: 'destructive',
+  high: 'default',
+};
+
+// Lane of a task when the board is split by `swimlane`
+const laneOf = (task, swimlane) => {
+  if (swimlane === 'project') {
+    return { key: task.project?._id || 'none', label: task.project?.title || 'No project' };
+  }
+  if (swimlane === 'assignee') {
+    return { key: task.assignedTo?._id || 'none', label: task.assignedTo?.name || 'Unassigned' };
+  }
+  return { key: 'all', label: '' };
+};
+
+const getLanes = (tasks, swimlane) => {
+  const lanes = new Map();
+  tasks.forEach((task) => {
+    const lane = laneOf(task, swimlane);
+    if (!lanes.has(lane.key)) lanes.set(lane.key, { ...lane, tasks: [] });
+    lanes.get(lane.key).tasks.push(task);
+  });
+  return [...lanes.values()].sort((a, b) => a.label.localeCompare(b.label));
+};
+
+const byPosition = (a, b) => a.position - b.position;
+
+// IDs of the `status` column in their new order once `task` is dropped
+// before `beforeId`, or after the last task of its lane when dropped on
+// the lane itself. Lanes only filter the column, which has one order.
+const getColumnOrder = (tasks, task, status, beforeId, swimlane) => {
+  const column = tasks
+    .filter((entry) => entry.status === status && entry._id !== task._id)
+    .sort(byPosition);
+
+  let index = column.findIndex((entry) => entry._id === beforeId);
+  if (index === -1) {
+    const laneKey = laneOf(task, swimlane).key;
+    const lastInLane = column.findLastIndex((entry) => laneOf(entry, swimlane).key === laneKey);
+    index = lastInLane === -1 ? column.length : lastInLane + 1;
+  }
+
+  column.splice(index, 0, task);
+  return column.map((entry) => entry._id);
+};
+
+function TaskCard({ task, draggable, onDragStart, onDrop }) {
+  const blockers = task.blockers || [];
+
   return (
-    <div className="space-y-6">
-      <div>
-        <h1 className="text-2xl font-bold text-gray-900">Tasks</h1>
-        <p className="text-gray-600">Track and manage your content creation tasks</p>
+    <div
+      draggable={draggable}
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', task._id);
+        e.dataTransfer.effectAllowed = 'move';
+        onDragStart(task);
+      }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onDrop(task._id);
+      }}
+      className={`space-y-2 rounded-md border bg-white p-3 text-sm shadow-sm ${draggable ? 'cursor-grab' : ''}`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <span className="font-medium text-gray-900">{task.title}</span>
+        {task.recurring?.isRecurring && (
+          <ArrowPathIcon className="h-4 w-4 shrink-0 text-gray-400" aria-label="Recurring" />
+        )}
       </div>
-      
-      <div className="bg-white shadow rounded-lg p-6">
-        <p className="text-gray-500">Task management interface coming soon...</p>
+      {task.project?.title && <p className="text-gray-500">{task.project.title}</p>}
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <Badge variant={PRIORITY_VARIANTS[task.priority] || 'secondary'} className="capitalize">
+          {task.priority}
+        </Badge>
+        {task.dueDate && <span>Due {new Date(task.dueDate).toLocaleDateString()}</span>}
+        {task.assignedTo?.name && <span className="ml-auto">{task.assignedTo.name}</span>}
       </div>
+      {task.isBlocked && (
+        <p className="flex items-center gap-1 text-xs text-amber-700">
+          <LockClosedIcon className="h-3.5 w-3.5" />
+          Blocked by {blockers.map((blocker) => blocker.title).join(', ')}
+        </p>
+      )}
     </div>
   );
 }
 
+export default function Tasks() {
+  const queryClient = useQueryClient();
+  const { can } = usePermissions();
+  const [swimlane, setSwimlane] = useState('none');
+  const [dragged, setDragged] = useState(null);
+  const [error, setError] = useState('');
+  // A move refused because the task is blocked, kept to retry it anyway
+  const [blockedMove, setBlockedMove] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: BOARD_QUERY_KEY,
+    queryFn: () => taskService.getBoardTasks(),
+  });
+
+  const moveMutation = useMutation({
+    mutationFn: ({ task, status, order, ignoreBlockers }) => taskService.moveTask(task._id, {
+      status,
+      // The server places the task before its new neighbour and renumbers
+      // the column itself
+      before: order[order.indexOf(task._id) + 1],
+      ignoreBlockers,
+    }),
+    onMutate: async ({ task, status, order }) => {
+      setError('');
+      setBlockedMove(null);
+      await queryClient.cancelQueries({ queryKey: BOARD_QUERY_KEY });
+      const previous = queryClient.getQueryData(BOARD_QUERY_KEY);
+
+      const positions = new Map(order.map((id, position) => [id, position]));
+      queryClient.setQueryData(BOARD_QUERY_KEY, (current) => current && {
+        ...current,
+        tasks: current.tasks.map((entry) => ({
+          ...entry,
+          ...(entry._id === task._id && { status }),
+          ...(positions.has(entry._id) && { position: positions.get(entry._id) }),
+        })),
+      });
+
+      return { previous };
+    },
+    onError: (err, move, context) => {
+      queryClient.setQueryData(BOARD_QUERY_KEY, context.previous);
+      if (err.response?.status === 409 && err.response.data?.blockers) {
+        setBlockedMove({ ...move, message: err.response.data.message });
+      } else {
+        setError(err.response?.data?.errors?.[0]?.message || err.response?.data?.message || 'Could not move task');
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+
+  const tasks = (data?.tasks || []).filter((task) => COLUMNS.some((column) => column.status === task.status));
+  const lanes = getLanes(tasks, swimlane);
+  const canMove = can('tasks:update');
+
+  const handleDrop = (lane, status, beforeId = null) => {
+    const task = dragged;
+    setDragged(null);
+    // Lanes group tasks, moving one to another lane would change its project
+    // or assignee
+    if (!task || task._id === beforeId || laneOf(task, swimlane).key !== lane.key) return;
+
+    moveMutation.mutate({ task, status, order: getColumnOrder(tasks, task, status, beforeId, swimlane) });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tasks</h1>
+          <p className="text-gray-600">Track and manage your content creation tasks</p>
+        </div>
+        <Select value={swimlane} onValueChange={setSwimlane}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {SWIMLANES.map(({ value, label }) => (
+              <SelectItem key={value} value={value}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {blockedMove && (
+        <Alert>
+          <AlertDescription className="flex flex-wrap items-center justify-between gap-2">
+            <span>{blockedMove.message}</span>
+            <span className="flex gap-2">
+              <Button size="sm" variant="outline" onClick={() => setBlockedMove(null)}>
+                Cancel
+              </Button>
+              <Button size="sm" onClick={() => moveMutation.mutate({ ...blockedMove, ignoreBlockers: true })}>
+                Move anyway
+              </Button>
+            </span>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <p className="text-gray-500">Loading tasks...</p>
+      ) : tasks.length === 0 ? (
+        <div className="rounded-lg bg-white p-6 shadow">
+          <p className="text-gray-500">No tasks yet</p>
+        </div>
+      ) : (
+        <div className="space-y-6 overflow-x-auto">
+          {lanes.map((lane) => (
+            <section key={lane.key} className="space-y-2">
+              {swimlane !== 'none' && <h2 className="text-sm font-semibold text-gray-700">{lane.label}</h2>}
+              <div className="grid min-w-[56rem] grid-cols-4 gap-4">
+                {COLUMNS.map((column) => {
+                  const columnTasks = lane.tasks.filter((task) => task.status === column.status).sort(byPosition);
+
+                  return (
+                    <div
+                      key={column.status}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        handleDrop(lane, column.status);
+                      }}
+                      className="min-h-32 space-y-2 rounded-lg bg-gray-100 p-3"
+                    >
+                      <div className="flex items-center justify-between text-sm font-medium text-gray-700">
+                        <span>{column.label}</span>
+                        <span className="text-gray-500">{columnTasks.length}</span>
+                      </div>
+                      {columnTasks.map((task) => (
+                        <TaskCard
+                          key={task._id}
+                          task={task}
+                          draggable={canMove}
+                          onDragStart={setDragged}
+                          onDrop={(beforeId) => handleDrop(lane, column.status, beforeId)}
+                        />
+                      ))}
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
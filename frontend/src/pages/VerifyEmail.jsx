@@ -0,0 +1,67 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services/authService';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const { user, refreshUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+        if (user) {
+          refreshUser().catch(() => {});
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Email verification failed');
+      });
+    // Only verify once per token
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Content Workflow Platform
+          </h2>
+        </div>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Email Verification</CardTitle>
+            <CardDescription>
+              {status === 'verifying' ? 'Verifying your email address...' : 'Verification result'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {status !== 'verifying' && (
+              <Alert variant={status === 'error' ? 'destructive' : 'default'}>
+                <AlertDescription>{message}</AlertDescription>
+              </Alert>
+            )}
+
+            <div className="text-center">
+              <Link
+                to={user ? '/' : '/login'}
+                className="text-sm font-medium text-indigo-600 hover:text-indigo-500"
+              >
+                {user ? 'Go to dashboard' : 'Go to sign in'}
+              </Link>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -75,6 +75,16 @@ export const taskService = {
     return response.data;
   },
 
+  // Every task in board order, fetched a page at a time
+  async getBoardTasks() {
+    const tasks = [];
+    for (let page = 1; ; page++) {
+      const data = await this.getTasks({ page, limit: 100, sort: 'position' });
+      tasks.push(...data.tasks);
+      if (page >= data.pagination.pages) return { tasks };
+    }
+  },
+
   async getTask(id) {
     const response = await api.get(`/tasks/${id}`);
     return response.data;
@@ -85,13 +95,37 @@ export const taskService = {
     return response.data;
   },
 
-  async updateTask(id, data) {
-    const response = await api.put(`/tasks/${id}`, data);
+  // scope: 'this' or 'future' for occurrences of a recurring task
+  async updateTask(id, data, scope) {
+    const response = await api.put(`/tasks/${id}`, scope ? { ...data, scope } : data);
+    return response.data;
+  },
+
+  // Move a task into a status column of the board, before the task `before`
+  // or to the end of the column when there is none
+  async moveTask(id, { status, before, ignoreBlockers }) {
+    const response = await api.put('/tasks/reorder', {
+      task: id,
+      status,
+      before: before || null,
+      ...(ignoreBlockers && { ignoreBlockers }),
+    });
+    return response.data;
+  },
+
+  async deleteTask(id, scope) {
+    const response = await api.delete(`/tasks/${id}`, { params: scope ? { scope } : {} });
+    return response.data;
+  },
+
+  // type: how the task relates to the other one, 'blocks' or 'blocked-by'
+  async addDependency(id, taskId, type) {
+    const response = await api.post(`/tasks/${id}/dependencies`, { task: taskId, type });
     return response.data;
   },
 
-  async deleteTask(id) {
-    const response = await api.delete(`/tasks/${id}`);
+  async removeDependency(id, taskId) {
+    const response = await api.delete(`/tasks/${id}/dependencies/${taskId}`);
     return response.data;
   },
 
@@ -111,6 +145,43 @@ export const taskService = {
   },
 };
 
+export const timeEntryService = {
+  async getTimeEntries(params = {}) {
+    const response = await api.get('/time-entries', { params });
+    return response.data;
+  },
+
+  async createTimeEntry(data) {
+    const response = await api.post('/time-entries', data);
+    return response.data;
+  },
+
+  async updateTimeEntry(id, data) {
+    const response = await api.put(`/time-entries/${id}`, data);
+    return response.data;
+  },
+
+  async deleteTimeEntry(id) {
+    const response = await api.delete(`/time-entries/${id}`);
+    return response.data;
+  },
+
+  async getTimer() {
+    const response = await api.get('/time-entries/timer');
+    return response.data;
+  },
+
+  async startTimer(data) {
+    const response = await api.post('/time-entries/timer/start', data);
+    return response.data;
+  },
+
+  async stopTimer() {
+    const response = await api.post('/time-entries/timer/stop');
+    return response.data;
+  },
+};
+
 export const invoiceService = {
   async getInvoices(params = {}) {
     const response = await api.get('/invoices', { params });
@@ -127,6 +198,11 @@ export const invoiceService = {
     return response.data;
   },
 
+  async createFromTime(data) {
+    const response = await api.post('/invoices/from-time', data);
+    return response.data;
+  },
+
   async updateInvoice(id, data) {
     const response = await api.put(`/invoices/${id}`, data);
     return response.data;
@@ -137,8 +213,13 @@ export const invoiceService = {
     return response.data;
   },
 
-  async sendInvoice(id) {
-    const response = await api.post(`/invoices/${id}/send`);
+  async sendInvoice(id, options = {}) {
+    const response = await api.post(`/invoices/${id}/send`, options);
+    return response.data;
+  },
+
+  async getEmailTemplate() {
+    const response = await api.get('/invoices/email-template');
     return response.data;
   },
 
@@ -151,6 +232,120 @@ export const invoiceService = {
     const response = await api.get('/invoices/stats/overview');
     return response.data;
   },
+
+  // Tax per currency and tax for invoices issued between from and to
+  async getTaxSummary(params = {}) {
+    const response = await api.get('/invoices/stats/tax-summary', { params });
+    return response.data;
+  },
+
+  async downloadPdf(id) {
+    const response = await api.get(`/invoices/${id}/pdf`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  async recordPayment(id, data) {
+    const response = await api.post(`/invoices/${id}/payments`, data);
+    return response.data;
+  },
+
+  async refundPayment(id, paymentId, reason) {
+    const response = await api.post(`/invoices/${id}/payments/${paymentId}/refund`, { reason });
+    return response.data;
+  },
+
+  async deletePayment(id, paymentId) {
+    const response = await api.delete(`/invoices/${id}/payments/${paymentId}`);
+    return response.data;
+  },
+
+  async getCreditNotes(id) {
+    const response = await api.get(`/invoices/${id}/credit-notes`);
+    return response.data;
+  },
+
+  async createCreditNote(id, data) {
+    const response = await api.post(`/invoices/${id}/credit-notes`, data);
+    return response.data;
+  },
+
+  async voidInvoice(id, reason) {
+    const response = await api.post(`/invoices/${id}/void`, { reason });
+    return response.data;
+  },
+
+  async getUpcomingRecurring(params = {}) {
+    const response = await api.get('/invoices/recurring/upcoming', { params });
+    return response.data;
+  },
+
+  async shareInvoice(id) {
+    const response = await api.post(`/invoices/${id}/share`);
+    return response.data;
+  },
+
+  async revokeShare(id) {
+    const response = await api.delete(`/invoices/${id}/share`);
+    return response.data;
+  },
+};
+
+export const taxProfileService = {
+  async getTaxProfiles() {
+    const response = await api.get('/tax-profiles');
+    return response.data;
+  },
+
+  async createTaxProfile(data) {
+    const response = await api.post('/tax-profiles', data);
+    return response.data;
+  },
+
+  async updateTaxProfile(id, data) {
+    const response = await api.put(`/tax-profiles/${id}`, data);
+    return response.data;
+  },
+
+  async deleteTaxProfile(id) {
+    const response = await api.delete(`/tax-profiles/${id}`);
+    return response.data;
+  },
+};
+
+export const exchangeRateService = {
+  async getRates(params = {}) {
+    const response = await api.get('/exchange-rates', { params });
+    return response.data;
+  },
+
+  async createRate(data) {
+    const response = await api.post('/exchange-rates', data);
+    return response.data;
+  },
+
+  // csv is the text of a file with date, from, to and rate columns
+  async importRates(csv) {
+    const response = await api.post('/exchange-rates/import', { csv });
+    return response.data;
+  },
+
+  async deleteRate(id) {
+    const response = await api.delete(`/exchange-rates/${id}`);
+    return response.data;
+  },
+};
+
+// Client-facing endpoints reached through public links
+export const publicService = {
+  async getInvoice(token) {
+    const response = await api.get(`/public/invoices/${token}`);
+    return response.data;
+  },
+
+  async downloadInvoicePdf(token) {
+    const response = await api.get(`/public/invoices/${token}/pdf`, { responseType: 'blob' });
+    return response.data;
+  },
 };
 
 export const dashboardService = {
@@ -181,3 +376,148 @@ export const dashboardService = {
   },
 };
 
+
+export const activityService = {
+  // Filter by client, project, task or invoice; pass the previous
+  // response's nextCursor to load older activity
+  async getActivity(params = {}) {
+    const response = await api.get('/activity', { params });
+    return response.data;
+  },
+};
+
+export const workspaceService = {
+  async getWorkspaces() {
+    const response = await api.get('/workspaces');
+    return response.data;
+  },
+
+  async getCurrentWorkspace() {
+    const response = await api.get('/workspaces/current');
+    return response.data;
+  },
+
+  async createWorkspace(data) {
+    const response = await api.post('/workspaces', data);
+    return response.data;
+  },
+
+  async updateWorkspace(id, data) {
+    const response = await api.put(`/workspaces/${id}`, data);
+    return response.data;
+  },
+
+  async updateReminders(id, data) {
+    const response = await api.put(`/workspaces/${id}/reminders`, data);
+    return response.data;
+  },
+
+  async getInvoiceNumbering(id) {
+    const response = await api.get(`/workspaces/${id}/invoice-numbering`);
+    return response.data;
+  },
+
+  async updateInvoiceNumbering(id, data) {
+    const response = await api.put(`/workspaces/${id}/invoice-numbering`, data);
+    return response.data;
+  },
+
+  async switchWorkspace(id) {
+    const response = await api.post(`/workspaces/${id}/switch`);
+    return response.data;
+  },
+
+  async getMembers(id) {
+    const response = await api.get(`/workspaces/${id}/members`);
+    return response.data;
+  },
+
+  async updateMemberRole(id, userId, role) {
+    const response = await api.put(`/workspaces/${id}/members/${userId}`, { role });
+    return response.data;
+  },
+
+  async removeMember(id, userId) {
+    const response = await api.delete(`/workspaces/${id}/members/${userId}`);
+    return response.data;
+  },
+
+  async getInvites(id) {
+    const response = await api.get(`/workspaces/${id}/invites`);
+    return response.data;
+  },
+
+  async inviteMember(id, email, role) {
+    const response = await api.post(`/workspaces/${id}/invites`, { email, role });
+    return response.data;
+  },
+
+  async revokeInvite(id, inviteId) {
+    const response = await api.delete(`/workspaces/${id}/invites/${inviteId}`);
+    return response.data;
+  },
+
+  async getInvite(token) {
+    const response = await api.get(`/workspaces/invites/${token}`, { skipAuthRefresh: true });
+    return response.data;
+  },
+
+  async acceptInvite(token) {
+    const response = await api.post(`/workspaces/invites/${token}/accept`);
+    return response.data;
+  },
+};
+
+export const userService = {
+  async getPermissions() {
+    const response = await api.get('/users/permissions');
+    return response.data;
+  },
+
+  async updateProfile(data) {
+    const response = await api.put('/users/profile', data);
+    return response.data;
+  },
+};
+
+export const adminService = {
+  async getUsers(params = {}) {
+    const response = await api.get('/admin/users', { params });
+    return response.data;
+  },
+
+  async getUser(id) {
+    const response = await api.get(`/admin/users/${id}`);
+    return response.data;
+  },
+
+  async updateRole(id, role) {
+    const response = await api.put(`/admin/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  async updateStatus(id, isActive) {
+    const response = await api.put(`/admin/users/${id}/status`, { isActive });
+    return response.data;
+  },
+
+  async forcePasswordReset(id) {
+    const response = await api.post(`/admin/users/${id}/force-password-reset`);
+    return response.data;
+  },
+
+  async impersonate(id, reason) {
+    const response = await api.post(`/admin/users/${id}/impersonate`, { reason });
+    return response.data;
+  },
+
+  async stopImpersonation() {
+    const response = await api.post('/admin/impersonation/stop');
+    return response.data;
+  },
+
+  async getAuditLog(params = {}) {
+    const response = await api.get('/admin/audit-log', { params });
+    return response.data;
+  },
+};
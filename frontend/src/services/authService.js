@@ -5,6 +5,7 @@ const API_BASE_URL = 'http://localhost:5000/api';
 // Create axios instance
 const api = axios.create({
   baseURL: API_BASE_URL,
+  withCredentials: true, // send the httpOnly refresh token cookie
   headers: {
     'Content-Type': 'application/json',
   },
@@ -19,32 +20,169 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Set while an administrator acts as another user. The refresh cookie is
+// still the administrator's, so an impersonation token is never refreshed.
+const IMPERSONATION_KEY = 'impersonating';
+
+export function startImpersonationToken(token) {
+  localStorage.setItem('token', token);
+  localStorage.setItem(IMPERSONATION_KEY, 'true');
+}
+
+export function endImpersonationToken() {
+  localStorage.removeItem('token');
+  localStorage.removeItem(IMPERSONATION_KEY);
+}
+
+// Share a single refresh request between concurrent 401s
+let refreshPromise = null;
+
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/auth/refresh', null, { skipAuthRefresh: true })
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    // The impersonation expired or was ended elsewhere: go back to the
+    // administrator's own session instead of refreshing into it
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest.skipAuthRefresh &&
+      localStorage.getItem(IMPERSONATION_KEY)
+    ) {
+      endImpersonationToken();
+      window.location.assign('/admin');
+      return Promise.reject(error);
     }
+
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest.skipAuthRefresh &&
+      !originalRequest._retry
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        localStorage.removeItem('token');
+        if (window.location.pathname !== '/login') {
+          window.location.href = '/login';
+        }
+      }
+    }
+
     return Promise.reject(error);
   }
 );
 
 export const authService = {
   async login(email, password) {
-    const response = await api.post('/auth/login', { email, password });
+    const response = await api.post('/auth/login', { email, password }, { skipAuthRefresh: true });
+    return response.data;
+  },
+
+  async verifyTwoFactorLogin(challengeToken, { code, recoveryCode }) {
+    const response = await api.post(
+      '/auth/login/2fa',
+      { challengeToken, code, recoveryCode },
+      { skipAuthRefresh: true }
+    );
     return response.data;
   },
 
   async register(name, email, password) {
-    const response = await api.post('/auth/register', { name, email, password });
+    const response = await api.post('/auth/register', { name, email, password }, { skipAuthRefresh: true });
+    return response.data;
+  },
+
+  async logout() {
+    const response = await api.post('/auth/logout', null, { skipAuthRefresh: true });
     return response.data;
   },
 
   async getCurrentUser() {
     const response = await api.get('/auth/me');
-    return response.data.user;
+    // impersonator is set while an administrator is acting as this user
+    return { ...response.data.user, impersonator: response.data.impersonator };
+  },
+
+  async verifyEmail(token) {
+    const response = await api.get(`/auth/verify-email/${token}`, { skipAuthRefresh: true });
+    return response.data;
+  },
+
+  async resendVerification() {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  async forgotPassword(email) {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  async resetPassword(token, password) {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  async getTwoFactorStatus() {
+    const response = await api.get('/auth/2fa/status');
+    return response.data;
+  },
+
+  async setupTwoFactor() {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  async enableTwoFactor(code) {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  async disableTwoFactor(password, { code, recoveryCode }) {
+    const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+    return response.data;
+  },
+
+  async regenerateRecoveryCodes(code) {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  async getSessions() {
+    const response = await api.get('/users/sessions');
+    return response.data;
+  },
+
+  async revokeSession(id) {
+    const response = await api.delete(`/users/sessions/${id}`);
+    return response.data;
+  },
+
+  async revokeOtherSessions() {
+    const response = await api.delete('/users/sessions');
+    return response.data;
   },
 
   async changePassword(currentPassword, newPassword) {